@@ -0,0 +1,136 @@
+/* ═══════════════════════════════════════════════════════════
+   Alert Rules — evaluated after every refresh (index.html)
+   ══════════════════════════════════════════════════════════
+   Rules come from manifest.json "alerts.rules" (DEFAULT_ALERT_RULES
+   when absent). Each rule: id, label, type, optional repos[]:
+     • "branch" — the latest completed run of any workflow on
+       `branch` failed (optional `workflow` regex narrows it)
+     • "metric" — a ci_stats metric compared with a threshold:
+       stat ("test"), metric ("coverage"), op (< <= > >= == !=),
+       value (80)
+   Users can switch rules off or change thresholds; those
+   overrides live in localStorage, next to the last evaluated
+   state (so a transition is noticed even across page loads)
+   and the alert log.
+   ═══════════════════════════════════════════════════════════ */
+
+import { compilePatterns, metricText, metricValue, statLabel, workflowKey } from './core/index.mjs';
+
+const ALERT_PREFS_KEY = 'dashboard_alert_prefs_v1';
+export const ALERT_STATE_KEY = 'dashboard_alert_state_v1';
+export const ALERT_LOG_KEY   = 'dashboard_alert_log_v1';
+export const MAX_ALERT_LOG   = 50;
+
+const DEFAULT_ALERT_RULES = [
+  { id: 'main-failing',      label: 'main branch fails',    type: 'branch', branch: 'main' },
+  { id: 'critical-findings', label: 'Critical findings > 0', type: 'metric', stat: 'security', metric: 'critical', op: '>', value: 0 },
+  { id: 'coverage-low',      label: 'Coverage below 80%',    type: 'metric', stat: 'test', metric: 'coverage', op: '<', value: 80 }
+];
+
+const ALERT_OPS = {
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+export function readStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function writeStored(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+// { notify: bool, rules: { <id>: { enabled, value } } }
+export function loadAlertPrefs() {
+  const prefs = readStored(ALERT_PREFS_KEY, {});
+  return { notify: prefs.notify !== false, rules: prefs.rules || {} };
+}
+
+export function saveAlertPrefs(prefs) {
+  writeStored(ALERT_PREFS_KEY, prefs);
+}
+
+// Manifest rules with the user's overrides applied; invalid rules are dropped
+export function resolveAlertRules(manifest, prefs) {
+  const base = Array.isArray(manifest?.alerts?.rules) ? manifest.alerts.rules : DEFAULT_ALERT_RULES;
+  return base
+    .filter(rule => {
+      const valid = rule?.id && (rule.type === 'branch' ? rule.branch : rule.type === 'metric' && rule.stat && rule.metric && ALERT_OPS[rule.op]);
+      if (!valid) console.warn(`Ignoring invalid alert rule ${JSON.stringify(rule)}`);
+      return valid;
+    })
+    .map(rule => {
+      const override = prefs.rules[rule.id] || {};
+      return {
+        ...rule,
+        label: rule.label || rule.id,
+        enabled: override.enabled ?? rule.enabled !== false,
+        value: rule.type === 'metric' && typeof override.value === 'number' ? override.value : rule.value
+      };
+    });
+}
+
+// { active, detail, url } for one rule against one repo's data
+function evaluateAlertRule(rule, data) {
+  if (rule.type === 'branch') {
+    const workflow = rule.workflow ? compilePatterns([rule.workflow], rule.id)[0] : null;
+    const latestByWorkflow = new Map();
+    (data.runs || [])
+      .filter(r => r.head_branch === rule.branch && r.status === 'completed')
+      .filter(r => !workflow || workflow.test(r.name))
+      .forEach(r => {
+        const prev = latestByWorkflow.get(workflowKey(r.name));
+        if (!prev || new Date(r.created_at) > new Date(prev.created_at)) latestByWorkflow.set(workflowKey(r.name), r);
+      });
+    const failed = [...latestByWorkflow.values()].find(r => r.conclusion === 'failure');
+    return failed
+      ? { active: true, detail: `${failed.name} #${failed.run_number} failed on ${rule.branch}`, url: failed.html_url }
+      : { active: false, detail: `${rule.branch} is passing`, url: null };
+  }
+
+  const value = metricValue(data.ciStats?.[rule.stat], rule.metric);
+  if (value === null) return { active: false, detail: `no ${rule.metric} reported`, url: null };
+  const shown = metricText(data.ciStats[rule.stat], rule.metric);
+  return {
+    active: ALERT_OPS[rule.op](value, rule.value),
+    detail: `${statLabel(rule.metric)} ${shown} (${rule.op} ${rule.value})`,
+    url: null
+  };
+}
+
+// { "<ruleId>:<repo>": { ruleId, label, repo, active, detail, url } } for enabled rules
+export function evaluateAlerts(rules, repos, repoData) {
+  const state = {};
+  rules.filter(r => r.enabled).forEach(rule => {
+    repos
+      .filter(repo => !rule.repos || rule.repos.includes(repo.name))
+      .forEach(repo => {
+        const data = repoData[repo.name];
+        if (!data || data.error) return;
+        state[`${rule.id}:${repo.name}`] = { ruleId: rule.id, label: rule.label, repo: repo.name, ...evaluateAlertRule(rule, data) };
+      });
+  });
+  return state;
+}
+
+// Alerts that switched on ("triggered") or off ("resolved") since `previous`.
+// A key missing from `previous` (first run, new rule or repo) only fires
+// when it is already active.
+export function diffAlerts(previous, current) {
+  const transitions = [];
+  Object.entries(current).forEach(([key, alert]) => {
+    const was = previous?.[key]?.active ?? false;
+    if (alert.active && !was) transitions.push({ ...alert, key, kind: 'triggered' });
+    else if (!alert.active && was) transitions.push({ ...alert, key, kind: 'resolved' });
+  });
+  return transitions;
+}
@@ -6,41 +6,89 @@
      2. Loads PRE-GENERATED static JSON data (no live API calls)
         → Eliminates GitHub API rate-limiting for visitors
         → Data is refreshed by a scheduled GitHub Action
-     3. Categorises jobs into: Lint, Test, Security, Release
-     4. Renders per-repo cards with categorised status panels
-     5. Auto-refreshes from static data on configurable interval
+     3. Categorises jobs using manifest-configured categories; loading,
+       normalisation, categories and stats come from core/ (ES modules
+       shared with repo.html and the data generator)
+     4. Renders per-repo cards with categorised status panels, in
+        collapsible team sections when the manifest declares groups (core/groups.mjs)
+     5. Filter bar state lives in the URL query (?branch=main&since=7d)
+     6. Auto-refreshes from static data on configurable interval
+     7. Works offline: sw.js keeps the shell and data snapshots (pwa.js)
+     8. ?mode=wallboard swaps the page for rotating full-screen views (wallboard.js)
+     9. Checks manifest.json and the data files against schemas/ (core/schema.mjs);
+        invalid runs and jobs are left out and listed in a data-problem panel
+    10. Opt-in live mode overlays in-flight runs from the REST API (live.js)
+    11. Estimates Actions spend per repo, workflow, matrix cell and runner OS
+        from job minutes and manifest.billing (core/cost.mjs)
    ═══════════════════════════════════════════════════════════ */
 
-'use strict';
-
-const CACHE_KEY  = 'dashboard_cache_v5';
-const CACHE_TTL  = 5 * 60 * 1000;
-const DATA_PATH  = 'data';  // static JSON files generated by CI
-
-// Category definitions — used for classification and display
-const CATEGORIES = [
-  { key: 'lint',     label: 'Lint',          icon: '🔍', patterns: [/lint/i] },
-  { key: 'test',     label: 'Unit Tests',    icon: '🧪', patterns: [/test/i] },
-  { key: 'security', label: 'Security',      icon: '🛡️', patterns: [/security/i, /scan/i, /sast/i, /trivy/i, /vuln/i] },
-  { key: 'release',  label: 'Release',       icon: '🚀', patterns: [/release/i] },
-];
+import {
+  buildRepoModel, classifyName, classifyRun, collectJobCosts, compareAxis, computeDuration,
+  conclusionClass, conclusionLabel, costCoverage, DATA_PATH, deriveRepoModel, describeSchemaProblem,
+  emptyCategories, fetchJSON, forecastMonth, formatBillingMonth, formatCost, formatCoverage,
+  formatDurationMs, groupBy, listMetrics, loadCombinedData, loadManifest, loadRepoData,
+  loadSchemaRegistry, metricText, metricValue, relativeTime, repoInGroup, repoUrl,
+  resolveBillingConfig, resolveCategories, resolveGroups, SCHEMA_FILES, slowestJobs, statLabel,
+  sumCosts, usableRepoData, validateSchema
+} from './core/index.mjs';
+import {
+  ALERT_LOG_KEY, ALERT_STATE_KEY, diffAlerts, evaluateAlerts, loadAlertPrefs, MAX_ALERT_LOG,
+  readStored, resolveAlertRules, saveAlertPrefs, writeStored
+} from './alerts.js';
+import { renderDataProblems } from './data-problems.js';
+import { collectDeployments, commitTimes, computeDora, formatFrequency, resolveDoraConfig } from './dora.js';
+import {
+  bindExportMenu, buildWeeklyReport, downloadFile, exportFileName, JOB_COLUMNS, passRate,
+  printReport, reportHtml, reportMarkdown, RUN_COLUMNS, toCSV, toExportJSON
+} from './export.js';
+import { escapeHtml, isSafeUrl, safeUrl } from './html.js';
+import {
+  clearLiveSettings, createLiveClient, fetchLiveOverlay, liveApiUrlProblem, loadLiveSettings,
+  mergeLiveData, rateLimitText, resolveLiveConfig, saveLiveSettings
+} from './live.js';
+import { dataAsOf, isOffline, registerServiceWorker } from './pwa.js';
+import {
+  failingItems, isWallboardMode, resolveWallboardConfig, staleReason, WALLBOARD_VIEWS,
+  wallboardGrid
+} from './wallboard.js';
+
+const CACHE_KEY  = 'dashboard_cache_v5';   // last good data, for browsers without a service worker
+const COLLAPSED_GROUPS_KEY = 'dashboard_collapsed_groups_v1';
 
 let manifest     = null;
 let allRuns      = [];
 let repoData     = {};
+let filters      = {};   // active filter bar state, mirrored in the URL query string
+let viewRuns     = [];   // allRuns after filters
+let viewData     = {};   // repoData after filters (runs/jobs/categories recomputed)
+let viewRepos    = [];   // manifest repos that pass the filters
 let refreshTimer = null;
 let isLoading    = false;
+let lastGeneratedAt = null;  // generated_at of the data on screen
+let schemaRegistry = null;   // schemas/ by $id; null when they couldn't be loaded
+let fileProblems = { manifest: null, combined: null };  // reports for the #data-problems section
+let baseTitle    = null;   // document title without the alert count badge
+let baseFavicon  = null;
+let wallboard    = null;   // { config, index, timer } in ?mode=wallboard
+let live         = null;   // { config, settings, client, jobCache, error } while live mode is on
+let liveNotice   = null;   // why live mode was switched off, until it is switched on again
 
 // ─── Bootstrap ───
 document.addEventListener('DOMContentLoaded', async () => {
+  filters = readFiltersFromURL();
   bindEvents();
   await init();
 });
 
 async function init() {
   try {
-    manifest = await fetchJSON('manifest.json');
+    schemaRegistry = await loadSchemaRegistry();
+    ({ manifest, problem: fileProblems.manifest } = await loadManifest(schemaRegistry));
+    if (fileProblems.manifest) renderFileProblems();
     applyManifestConfig();
+    startLive(loadLiveSettings());
+    if (isWallboardMode(new URLSearchParams(window.location.search))) startWallboard();
+    registerServiceWorker(() => refresh());
     await refresh();
     startAutoRefresh();
   } catch (err) {
@@ -50,13 +98,107 @@ async function init() {
 
 function bindEvents() {
   document.getElementById('refresh-btn').addEventListener('click', () => refresh());
-  document.querySelectorAll('.filter-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      applyRepoFilter(btn.dataset.filter);
+  window.addEventListener('online', () => refresh());
+  window.addEventListener('offline', () => updateDataSourceBadge('offline', lastGeneratedAt));
+  document.querySelectorAll('[data-filter-key]').forEach(input => {
+    input.addEventListener('change', () => {
+      setFilter(input.dataset.filterKey, input.value);
     });
   });
+  document.getElementById('filter-clear').addEventListener('click', () => {
+    filters = {};
+    writeFiltersToURL();
+    syncFilterInputs();
+    render();
+  });
+  document.getElementById('filter-copy').addEventListener('click', async () => {
+    const btn = document.getElementById('filter-copy');
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      btn.textContent = 'Copied ✓';
+    } catch (_) {
+      btn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { btn.textContent = 'Copy link'; }, 1500);
+  });
+
+  // Group rollups double as a shortcut for the group filter
+  document.getElementById('group-rollup').addEventListener('click', e => {
+    const card = e.target.closest('[data-group]');
+    if (!card) return;
+    setFilter('group', filters.group === card.dataset.group ? '' : card.dataset.group);
+    syncFilterInputs();
+  });
+  // "toggle" doesn't bubble, so listen in the capture phase
+  document.getElementById('repo-cards').addEventListener('toggle', e => {
+    const key = e.target.dataset?.group;
+    if (!key) return;
+    const collapsed = new Set(readStored(COLLAPSED_GROUPS_KEY, []));
+    if (e.target.open) collapsed.delete(key);
+    else collapsed.add(key);
+    writeStored(COLLAPSED_GROUPS_KEY, [...collapsed]);
+  }, true);
+
+  // Avatars that fail to load are hidden ("error" doesn't bubble either)
+  document.getElementById('author-breakdown').addEventListener('error', e => {
+    if (e.target.tagName === 'IMG') e.target.style.display = 'none';
+  }, true);
+
+  // Alert preferences are per browser (localStorage)
+  document.getElementById('alerts-notify').addEventListener('click', toggleAlertNotifications);
+  document.getElementById('alerts-clear').addEventListener('click', () => {
+    writeStored(ALERT_LOG_KEY, []);
+    processAlerts({ silent: true });
+  });
+  document.getElementById('alerts-rules').addEventListener('change', e => {
+    const id = e.target.dataset.alertRule;
+    if (!id) return;
+    const prefs = loadAlertPrefs();
+    const override = prefs.rules[id] || (prefs.rules[id] = {});
+    if (e.target.type === 'checkbox') override.enabled = e.target.checked;
+    else if (e.target.value !== '' && !isNaN(Number(e.target.value))) override.value = Number(e.target.value);
+    else delete override.value;
+    saveAlertPrefs(prefs);
+    processAlerts({ silent: true });
+  });
+
+  // Live mode: the token stays in this tab's sessionStorage
+  document.getElementById('live-form').addEventListener('submit', e => {
+    e.preventDefault();
+    const tokenInput = document.getElementById('live-token');
+    const apiUrl = document.getElementById('live-api-url').value.trim() || resolveLiveConfig(manifest).apiUrl;
+    const problem = liveUrlProblem(apiUrl);
+    const error = document.getElementById('live-form-error');
+    error.hidden = !problem;
+    error.textContent = problem || '';
+    if (problem) return;
+    const settings = { token: tokenInput.value.trim(), apiUrl };
+    if (!settings.token) return;
+    saveLiveSettings(settings);
+    tokenInput.value = '';
+    document.getElementById('live-menu').open = false;
+    startLive(settings);
+    refresh();
+  });
+  document.getElementById('live-off').addEventListener('click', () => {
+    document.getElementById('live-menu').open = false;
+    stopLive(null);
+    refresh();
+  });
+
+  bindExportMenu(document.getElementById('export-menu'), {
+    'runs-csv': () => downloadFile(exportFileName('ci-runs', 'csv'), toCSV(RUN_COLUMNS, viewRuns.map(run => ({ ...run, repo: run._repo?.name }))), 'text/csv'),
+    'jobs-csv': () => downloadFile(exportFileName('ci-jobs', 'csv'), toCSV(JOB_COLUMNS, viewJobsForExport()), 'text/csv'),
+    json: () => downloadFile(exportFileName('ci-data', 'json'), toExportJSON({
+      exported_at: new Date().toISOString(),
+      data_generated_at: lastGeneratedAt,
+      filters,
+      repos: viewData
+    }), 'application/json'),
+    'report-print': async () => printReport(reportHtml(await buildViewReport())),
+    'report-html': async () => downloadFile(exportFileName('ci-weekly-report', 'html'), reportHtml(await buildViewReport()), 'text/html'),
+    'report-md': async () => downloadFile(exportFileName('ci-weekly-report', 'md'), reportMarkdown(await buildViewReport()), 'text/markdown')
+  });
 }
 
 function applyManifestConfig() {
@@ -77,15 +219,17 @@ async function refresh() {
   try {
     const repos = manifest.repos || [];
 
-    // Try loading the combined static data file first (single request)
-    let combinedData = null;
-    try {
-      combinedData = await fetchJSON(`${DATA_PATH}/dashboard-data.json`);
-    } catch (e) {
-      console.warn('Combined data file not available, trying per-repo files...', e.message);
-    }
+    // Try loading the combined static data file first (single request). Its
+    // problems inside a repo's slice end up on that card, the rest in
+    // #data-problems.
+    const combined = await loadCombinedData(schemaRegistry);
+    if (combined.error) console.warn('Combined data file not available, trying per-repo files...', combined.error.message);
+    fileProblems.combined = combined.fileProblems.length > 0
+      ? { file: `${DATA_PATH}/dashboard-data.json`, problems: combined.fileProblems }
+      : null;
 
-    const results = await Promise.allSettled(repos.map(r => fetchRepoData(r, combinedData)));
+    const liveData = await fetchLive(repos, combined.data);
+    const results = await Promise.allSettled(repos.map(r => fetchRepoData(r, combined, liveData?.[r.name])));
 
     allRuns  = [];
     repoData = {};
@@ -96,22 +240,31 @@ async function refresh() {
         repoData[repo.name] = result.value;
         allRuns.push(...(result.value.runs || []).map(r => ({ ...r, _repo: repo })));
       } else {
-        repoData[repo.name] = { runs: [], jobs: [], categories: emptyCategories(), conclusion: 'unknown', error: true };
+        repoData[repo.name] = { runs: [], jobs: [], categories: emptyCategories(resolveCategories(manifest, repo)), conclusion: 'unknown', error: true };
       }
     });
 
     allRuns.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
-    try { localStorage.setItem(CACHE_KEY, JSON.stringify({ ts: Date.now(), repoData, allRuns })); } catch (_) {}
+    lastGeneratedAt = combined.data?.generated_at
+      || Object.values(repoData).map(d => d.generated_at).filter(Boolean).sort().pop()
+      || null;
+    try { localStorage.setItem(CACHE_KEY, JSON.stringify({ ts: Date.now(), generatedAt: lastGeneratedAt, repoData, allRuns })); } catch (_) {}
 
+    populateFilterOptions();
     render();
-    // Show static badge with generation timestamp
-    const generatedAt = combinedData?.generated_at;
-    updateDataSourceBadge('static', generatedAt);
+    renderFileProblems();
+    processAlerts();
+    // Served by the service worker's copy when the network is gone
     updateLastRefreshed();
+    updateDataSourceBadge(isOffline() ? 'offline' : liveData ? 'live' : 'static', lastGeneratedAt);
   } catch (err) {
     const cached = loadCache();
-    if (cached) { repoData = cached.repoData; allRuns = cached.allRuns; render(); updateDataSourceBadge('cached'); }
+    if (cached) {
+      repoData = cached.repoData; allRuns = cached.allRuns;
+      lastGeneratedAt = cached.generatedAt || new Date(cached.ts).toISOString();
+      populateFilterOptions(); render(); updateDataSourceBadge('cached', lastGeneratedAt);
+    }
     else { showGlobalError('Failed to fetch data: ' + err.message); updateDataSourceBadge('error'); }
   } finally {
     isLoading = false;
@@ -119,215 +272,315 @@ async function refresh() {
   }
 }
 
-async function fetchRepoData(repo, combinedData) {
-  const name  = repo.name;
+// combined: loadCombinedData()'s result; liveData: { runs, jobs } from the API
+// to lay over the snapshot in live mode. Runs, jobs and stat blocks that
+// don't match the schema are left out rather than patched up.
+async function fetchRepoData(repo, combined, liveData) {
+  const { data, problems, file } = await loadRepoData(repo.name, combined, schemaRegistry);
+  if (!data) console.warn(`No static data available for ${repo.name}`);
+
+  const usable = usableRepoData(data, problems);
+  let dataProblem = null;
+  if (problems.length > 0) {
+    dataProblem = { file, problems, skipped: usable.skipped };
+    console.warn(`${file}: ${problems.length} invalid fields`, problems.map(describeSchemaProblem));
+  }
 
-  let staticData = null;
+  const model = buildRepoModel(mergeLiveData(usable, liveData), resolveCategories(manifest, repo));
+  return { ...model, totalCount: model.runs.length, dataProblem, generated_at: data?.generated_at || null };
+}
 
-  // 1. Try from combined data (already loaded, zero extra requests)
-  if (combinedData?.repos?.[name]) {
-    staticData = combinedData.repos[name];
-  }
+// ═══════════════════════════════════════════════════
+//  DATA VALIDATION
+// ═══════════════════════════════════════════════════
 
-  // 2. Fallback: try individual repo JSON file
-  if (!staticData) {
-    try {
-      staticData = await fetchJSON(`${DATA_PATH}/${name}.json`);
-    } catch (_) {
-      console.warn(`No static data available for ${name}`);
-    }
-  }
+// Invalid fields are dropped so their defaults apply, and so are repo entries
+// without a usable name; every problem is listed in #data-problems
+function renderFileProblems() {
+  const reports = Object.values(fileProblems).filter(Boolean);
+  const section = document.getElementById('data-problems');
+  section.hidden = reports.length === 0;
+  section.innerHTML = reports.map(report => renderDataProblems(report)).join('');
+}
 
-  // 3. Use static data — NO GitHub API calls
-  let runs = [];
-  let allJobs = [];
-  let ciStats = { lint: {}, test: {}, security: {} };
-
-  if (staticData) {
-    runs = (staticData.runs || []).map(normalizeRun);
-    allJobs = (staticData.jobs || []).map(j => {
-      // Find the parent run for this job
-      const parentRun = runs.find(r => r.id === j.run_id) || {};
-      return normalizeJob(j, parentRun);
-    });
-    ciStats = staticData.ciStats || ciStats;
-  }
+// ═══════════════════════════════════════════════════
+//  LIVE MODE
+// ═══════════════════════════════════════════════════
 
-  // 4. Categorise
-  const categories = categoriseData(runs, allJobs);
-  const latestConclusion = runs.length > 0 ? runs[0].conclusion : 'unknown';
+function startLive(settings) {
+  // A URL saved before the page's CSP changed would fail on every request
+  const problem = settings && liveUrlProblem(settings.apiUrl);
+  if (problem) {
+    stopLive(`Live mode is off: ${problem}`);
+    return;
+  }
+  if (settings) {
+    live = { config: resolveLiveConfig(manifest), settings, client: createLiveClient(settings), jobCache: new Map(), error: null };
+    liveNotice = null;
+    if (refreshTimer) startAutoRefresh();
+  }
+  renderLiveStatus();
+}
 
-  return { runs, jobs: allJobs, categories, conclusion: latestConclusion, totalCount: runs.length, ciStats };
+// Why the API URL can't be used from this page (see liveApiUrlProblem), or null
+function liveUrlProblem(apiUrl) {
+  const policy = document.querySelector('meta[http-equiv="Content-Security-Policy"]')?.content;
+  return liveApiUrlProblem(apiUrl, policy, window.location.origin);
 }
 
-function parseAnnotationKV(str) {
-  const obj = {};
-  (str || '').split('|').forEach(part => {
-    const [k, v] = part.split('=');
-    if (k && v !== undefined) obj[k.trim()] = v.trim();
-  });
-  return obj;
+// notice: why live mode went off, shown in its place (null when the user chose to)
+function stopLive(notice) {
+  clearLiveSettings();
+  live = null;
+  liveNotice = notice;
+  if (refreshTimer) startAutoRefresh();
+  renderLiveStatus();
 }
 
-function normalizeRun(run) {
-  return {
-    id:             run.id,
-    name:           run.name || run.workflow_name || 'unknown',
-    status:         run.status || 'completed',
-    conclusion:     run.conclusion || (run.status === 'completed' ? 'unknown' : 'in_progress'),
-    html_url:       run.html_url || '#',
-    created_at:     run.created_at || new Date().toISOString(),
-    updated_at:     run.updated_at || run.created_at || new Date().toISOString(),
-    head_branch:    run.head_branch || 'main',
-    head_sha:       run.head_sha || '',
-    event:          run.event || 'push',
-    run_number:     run.run_number || 0,
-    actor:          run.actor || run.triggering_actor || null,
-    run_started_at: run.run_started_at || run.created_at
-  };
+// { <repo>: { runs, jobs } } from the API, or null — static data only — when
+// live mode is off, the browser is offline or the API can't be used
+async function fetchLive(repos, combinedData) {
+  if (!live || isOffline()) return null;
+  const snapshotRuns = Object.fromEntries(repos.map(r => [r.name, combinedData?.repos?.[r.name]?.runs || []]));
+  try {
+    const { overlay, errors } = await fetchLiveOverlay(live.client, manifest, repos, snapshotRuns, {
+      runsPerRepo: live.config.runsPerRepo,
+      jobCache: live.jobCache
+    });
+    live.error = errors.length > 0 ? errors.map(e => `${e.repo}: ${e.message}`).join('; ') : null;
+    return Object.fromEntries(Object.entries(overlay).map(([name, data]) => [name, checkLiveData(name, data)]));
+  } catch (err) {
+    if (err.status === 401) stopLive('Token rejected (HTTP 401), live mode is off');
+    else live.error = err.message;
+    return null;
+  } finally {
+    renderLiveStatus();
+  }
 }
 
-function normalizeJob(job, parentRun) {
-  return {
-    id:          job.id,
-    name:        job.name || 'unknown',
-    status:      job.status || 'completed',
-    conclusion:  job.conclusion || 'unknown',
-    html_url:    job.html_url || parentRun.html_url || '#',
-    started_at:  job.started_at || parentRun.created_at,
-    completed_at: job.completed_at || parentRun.updated_at,
-    run_id:      parentRun.id,
-    run_number:  parentRun.run_number,
-    head_branch: parentRun.head_branch,
-    actor:       parentRun.actor,
-    event:       parentRun.event,
-    _parentRun:  parentRun
-  };
+// Live runs and jobs go through the same schema as the data files
+function checkLiveData(name, data) {
+  if (!schemaRegistry) return data;
+  const file = { generated_at: new Date().toISOString(), runs: data.runs, jobs: data.jobs, ciStats: {} };
+  const problems = validateSchema(schemaRegistry[SCHEMA_FILES.repoData], file, schemaRegistry);
+  if (problems.length > 0) console.warn(`Live data for ${name}: ${problems.length} invalid fields`, problems.map(describeSchemaProblem));
+  const { runs, jobs } = usableRepoData(file, problems);
+  return { runs, jobs };
 }
 
-function isReleaseRun(run) {
-  const n = (run.name || '').toLowerCase();
-  return n.includes('release');
+// Rate limit of the last API response, or why live mode isn't on
+function renderLiveStatus() {
+  const el = document.getElementById('live-status');
+  const apiUrlInput = document.getElementById('live-api-url');
+  if (!apiUrlInput.value) apiUrlInput.value = live?.settings.apiUrl || resolveLiveConfig(manifest).apiUrl;
+  document.getElementById('live-off').disabled = !live;
+  el.className = 'live-status';
+  if (live) {
+    el.hidden = false;
+    el.textContent = `API ${rateLimitText(live.client.rate)}`;
+    el.title = live.error ? `Showing static data where the API failed: ${live.error}` : `Live from ${live.settings.apiUrl}`;
+    if (live.error) el.classList.add('warn');
+  } else {
+    el.hidden = !liveNotice;
+    el.textContent = liveNotice || '';
+    el.title = '';
+    el.classList.add('warn');
+  }
 }
 
 // ═══════════════════════════════════════════════════
-//  CATEGORISATION ENGINE
+//  FILTERS — one state object drives every section
 // ═══════════════════════════════════════════════════
-function categoriseData(runs, jobs) {
-  const cats = {};
-  CATEGORIES.forEach(c => { cats[c.key] = { items: [], latest: null, conclusion: 'unknown' }; });
-
-  // First, categorise individual jobs (from CI runs)
-  jobs.forEach(job => {
-    const cat = classifyName(job.name);
-    if (cat && cats[cat]) {
-      cats[cat].items.push({
-        type: 'job',
-        id: job.id,
-        name: job.name,
-        conclusion: job.conclusion,
-        status: job.status,
-        html_url: job.html_url,
-        time: job.started_at,
-        duration: computeDuration(job.started_at, job.completed_at),
-        branch: job.head_branch,
-        run_number: job.run_number,
-        actor: job.actor
-      });
-    }
+const FILTER_KEYS = ['group', 'repo', 'language', 'status', 'branch', 'actor', 'event', 'category', 'since', 'until'];
+const SINCE_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000 };
+
+function readFiltersFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  FILTER_KEYS.forEach(k => {
+    const v = params.get(k);
+    if (v) state[k] = v;
   });
+  return state;
+}
 
-  // Also add Release runs
-  const releaseRuns = runs.filter(isReleaseRun);
-  releaseRuns.forEach(run => {
-    cats['release'].items.push({
-      type: 'run',
-      id: run.id,
-      name: run.name,
-      conclusion: run.conclusion,
-      status: run.status,
-      html_url: run.html_url,
-      time: run.created_at,
-      duration: computeDuration(run.run_started_at || run.created_at, run.updated_at),
-      branch: run.head_branch,
-      run_number: run.run_number,
-      actor: run.actor
-    });
+function writeFiltersToURL() {
+  const params = new URLSearchParams(window.location.search);
+  FILTER_KEYS.forEach(k => {
+    if (filters[k]) params.set(k, filters[k]);
+    else params.delete(k);
   });
+  const query = params.toString();
+  history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
 
-  // If no jobs available (old runs), fall back to classifying run names
-  const hasJobs = jobs.length > 0;
-  if (!hasJobs) {
-    runs.filter(r => !isReleaseRun(r)).forEach(run => {
-      // Assign CI runs to the "test" category as best guess
-      cats['test'].items.push({
-        type: 'run',
-        id: run.id,
-        name: run.name,
-        conclusion: run.conclusion,
-        status: run.status,
-        html_url: run.html_url,
-        time: run.created_at,
-        duration: computeDuration(run.run_started_at || run.created_at, run.updated_at),
-        branch: run.head_branch,
-        run_number: run.run_number,
-        actor: run.actor
-      });
-    });
+function setFilter(key, value) {
+  if (value) filters[key] = value;
+  else delete filters[key];
+  writeFiltersToURL();
+  render();
+}
+
+// "24h" / "7d" / "2w" relative to now, or an absolute YYYY-MM-DD date
+function parseSince(value) {
+  if (!value) return null;
+  const rel = /^(\d+)([hdw])$/.exec(value);
+  if (rel) return new Date(Date.now() - parseInt(rel[1], 10) * SINCE_UNITS[rel[2]]);
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+function parseUntil(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d)) return null;
+  // A bare date means "through the end of that day"
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+function hasRunFilters() {
+  return ['status', 'branch', 'actor', 'event', 'category', 'since', 'until'].some(k => filters[k]);
+}
+
+function runMatchesFilters(run, repo, jobsByRun) {
+  if (filters.status && run.conclusion !== filters.status) return false;
+  if (filters.branch && run.head_branch !== filters.branch) return false;
+  if (filters.actor && run.actor?.login !== filters.actor) return false;
+  if (filters.event && run.event !== filters.event) return false;
+
+  const created = new Date(run.created_at);
+  const since = parseSince(filters.since);
+  const until = parseUntil(filters.until);
+  if (since && created < since) return false;
+  if (until && created > until) return false;
+
+  if (filters.category) {
+    const catDefs = resolveCategories(manifest, repo);
+    const runCat = classifyRun(run, catDefs);
+    if (runCat) return runCat.key === filters.category;
+    return (jobsByRun[run.id] || []).some(j => classifyName(j.name, catDefs) === filters.category);
   }
+  return true;
+}
+
+function applyFilters() {
+  viewData = {};
+  viewRepos = (manifest.repos || []).filter(repo => {
+    if (filters.group && !repoInGroup(manifest, repo, filters.group)) return false;
+    if (filters.repo && repo.name !== filters.repo) return false;
+    if (filters.language && (repo.language || '') !== filters.language) return false;
+    return true;
+  });
+
+  viewRepos.forEach(repo => {
+    const data = repoData[repo.name];
+    if (!data) return;
+    if (!hasRunFilters()) { viewData[repo.name] = data; return; }
+
+    const catDefs = resolveCategories(manifest, repo);
+    const jobsByRun = groupBy(data.jobs || [], j => j.run_id);
+    const runs = (data.runs || []).filter(r => runMatchesFilters(r, repo, jobsByRun));
+    const runIds = new Set(runs.map(r => r.id));
+    const jobs = (data.jobs || []).filter(j =>
+      runIds.has(j.run_id) && (!filters.category || classifyName(j.name, catDefs) === filters.category));
 
-  // Sort each category and set latest
-  Object.values(cats).forEach(cat => {
-    cat.items.sort((a, b) => new Date(b.time) - new Date(a.time));
-    cat.latest = cat.items[0] || null;
-    cat.conclusion = cat.latest?.conclusion || 'unknown';
+    viewData[repo.name] = { ...data, ...deriveRepoModel(runs, jobs, catDefs, data.ciStats) };
   });
 
-  return cats;
+  // With run-level filters active, repos without a matching run drop out of view
+  if (hasRunFilters()) viewRepos = viewRepos.filter(repo => (viewData[repo.name]?.runs || []).length > 0);
+
+  const visibleRunIds = new Set(viewRepos.flatMap(repo => (viewData[repo.name]?.runs || []).map(r => r.id)));
+  viewRuns = allRuns.filter(run => visibleRunIds.has(run.id));
+
+  const countEl = document.getElementById('filter-count');
+  countEl.textContent = Object.keys(filters).length > 0
+    ? `${viewRuns.length} of ${allRuns.length} runs match`
+    : '';
 }
 
-function classifyName(name) {
-  const lower = (name || '').toLowerCase();
-  for (const cat of CATEGORIES) {
-    for (const pattern of cat.patterns) {
-      if (pattern.test(lower)) return cat.key;
-    }
-  }
-  // Fallback: if name contains "ci status" or "ci pipeline", skip it
-  if (lower.includes('ci status') || lower.includes('ci pipeline')) return null;
-  return null;
+// Fill the filter dropdowns from the loaded data, keeping URL values even if unseen
+function populateFilterOptions() {
+  const repos = manifest.repos || [];
+  const uniq = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+  const categories = new Map();
+  repos.forEach(repo => resolveCategories(manifest, repo).forEach(c => {
+    if (!categories.has(c.key)) categories.set(c.key, `${c.icon} ${c.label}`);
+  }));
+
+  const options = {
+    group:    resolveGroups(manifest, repos).map(g => [g.key, `${g.icon} ${g.label}`]),
+    repo:     repos.map(r => [r.name, r.displayName || r.name]),
+    language: uniq(repos.map(r => r.language)).map(v => [v, v]),
+    branch:   uniq(allRuns.map(r => r.head_branch)).map(v => [v, v]),
+    actor:    uniq(allRuns.map(r => r.actor?.login)).map(v => [v, v]),
+    event:    uniq(allRuns.map(r => r.event)).map(v => [v, v]),
+    category: [...categories.entries()]
+  };
+
+  Object.entries(options).forEach(([key, opts]) => {
+    const select = document.getElementById(`filter-${key}`);
+    const current = filters[key];
+    if (current && !opts.some(([v]) => v === current)) opts.push([current, current]);
+    const placeholder = select.options[0];
+    select.innerHTML = '';
+    select.appendChild(placeholder);
+    opts.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+  });
+  // The group selector only means something when the manifest declares groups
+  document.getElementById('filter-group').hidden = options.group.length === 0;
+  syncFilterInputs();
 }
 
-function emptyCategories() {
-  const cats = {};
-  CATEGORIES.forEach(c => { cats[c.key] = { items: [], latest: null, conclusion: 'unknown' }; });
-  return cats;
+function syncFilterInputs() {
+  document.querySelectorAll('[data-filter-key]').forEach(input => {
+    const key = input.dataset.filterKey;
+    const value = filters[key] || '';
+    // A custom "since" date shows in the date picker, presets in the dropdown
+    if (key === 'since' && input.type === 'date') input.value = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '';
+    else if (key === 'since' && input.tagName === 'SELECT' && value && !/^\d+[hdw]$/.test(value)) input.value = '';
+    else {
+      if (input.tagName === 'SELECT' && value && ![...input.options].some(o => o.value === value)) {
+        input.appendChild(new Option(value, value));
+      }
+      input.value = value;
+    }
+  });
 }
 
 // ═══════════════════════════════════════════════════
 //  RENDERING
 // ═══════════════════════════════════════════════════
 function render() {
+  applyFilters();
+  if (wallboard) {
+    renderWallboard();
+    return;
+  }
   renderSummary();
   renderRepoCards();
   renderTimeline();
+  renderDora();
+  renderCost();
   renderInsights();
 }
 
 // ── Summary ──
 function renderSummary() {
-  const totalRuns = allRuns.length;
-  const successful = allRuns.filter(r => r.conclusion === 'success').length;
-  const failed = allRuns.filter(r => r.conclusion === 'failure').length;
+  const totalRuns = viewRuns.length;
+  const successful = viewRuns.filter(r => r.conclusion === 'success').length;
+  const failed = viewRuns.filter(r => r.conclusion === 'failure').length;
   const passRate = totalRuns > 0 ? ((successful / totalRuns) * 100).toFixed(1) : 0;
-  const repos = manifest.repos || [];
-  const healthyRepos = repos.filter(r => repoData[r.name]?.conclusion === 'success').length;
+  const repos = viewRepos;
+  const healthyRepos = repos.filter(r => viewData[r.name]?.conclusion === 'success').length;
   const streak = computeStreak();
 
   // Count security-specific stats
   let secTotal = 0, secPass = 0;
   repos.forEach(r => {
-    const cat = repoData[r.name]?.categories?.security;
+    const cat = viewData[r.name]?.categories?.security;
     if (cat && cat.items.length > 0) {
       secTotal += cat.items.length;
       secPass += cat.items.filter(i => i.conclusion === 'success').length;
@@ -349,11 +602,51 @@ function renderSummary() {
       <div class="summary-detail">${c.detail}</div>
     </div>
   `).join('');
+
+  renderGroupRollup();
+}
+
+// Per-group health, from the same filtered view as the cards above
+function groupHealth(group) {
+  const names = new Set(group.repos.map(r => r.name));
+  const runs = viewRuns.filter(r => names.has(r._repo?.name));
+  const successful = runs.filter(r => r.conclusion === 'success').length;
+  const failing = group.repos.filter(r => viewData[r.name]?.conclusion === 'failure');
+  return {
+    runs: runs.length,
+    passRate: runs.length > 0 ? (successful / runs.length) * 100 : null,
+    healthy: group.repos.filter(r => viewData[r.name]?.conclusion === 'success').length,
+    failing
+  };
+}
+
+function renderGroupRollup() {
+  const container = document.getElementById('group-rollup');
+  const groups = resolveGroups(manifest, viewRepos);
+  container.hidden = groups.length === 0;
+
+  container.innerHTML = groups.map(group => {
+    const h = groupHealth(group);
+    const accent = h.failing.length > 0 ? 'var(--failure)' : h.healthy === group.repos.length ? 'var(--success)' : 'var(--accent)';
+    return `
+      <button class="group-card${filters.group === group.key ? ' active' : ''}" data-group="${escapeHtml(group.key)}" style="--card-accent: ${accent}" title="Show only ${escapeHtml(group.label)}">
+        <div class="group-card-title">${escapeHtml(group.icon)} ${escapeHtml(group.label)}</div>
+        <div class="group-card-stats">
+          <span><strong>${h.healthy}/${group.repos.length}</strong> healthy</span>
+          <span><strong>${h.passRate === null ? '—' : h.passRate.toFixed(1) + '%'}</strong> pass rate</span>
+          <span><strong>${h.runs}</strong> run${h.runs === 1 ? '' : 's'}</span>
+        </div>
+        <div class="group-card-detail">${h.failing.length > 0
+          ? `Failing: ${escapeHtml(h.failing.map(r => r.displayName || r.name).join(', '))}`
+          : 'no failing repos'}</div>
+      </button>
+    `;
+  }).join('');
 }
 
 function computeStreak() {
   let streak = 0;
-  for (const run of allRuns) {
+  for (const run of viewRuns) {
     if (run.conclusion === 'success') streak++;
     else break;
   }
@@ -362,68 +655,116 @@ function computeStreak() {
 
 // ── Repo Cards (categorised) ──
 function renderRepoCards() {
-  const repos = manifest.repos || [];
+  const repos = viewRepos;
   const container = document.getElementById('repo-cards');
 
-  container.innerHTML = repos.map(repo => {
-    const data = repoData[repo.name] || { runs: [], categories: emptyCategories(), conclusion: 'unknown', ciStats: {} };
-    const cats = data.categories || emptyCategories();
-    const stats = data.ciStats || { lint: {}, test: {}, security: {} };
-    const overallConclusion = data.conclusion || 'unknown';
-    const langClass = (repo.language || '').toLowerCase();
+  if (repos.length === 0) {
+    container.innerHTML = '<div class="empty-state">No repositories match the current filters</div>';
+    return;
+  }
 
+  const groups = resolveGroups(manifest, repos);
+  if (groups.length === 0) {
+    container.innerHTML = repos.map(renderRepoCard).join('');
+    return;
+  }
+
+  // One collapsible section per group; which ones are collapsed is remembered per browser
+  const collapsed = new Set(readStored(COLLAPSED_GROUPS_KEY, []));
+  container.innerHTML = groups.map(group => {
+    const h = groupHealth(group);
     return `
-      <div class="repo-card status-${overallConclusion}" data-repo="${repo.name}" data-status="${overallConclusion}">
-        <div class="repo-card-header">
-          <div class="repo-icon">${repo.icon || '📦'}</div>
-          <div class="repo-info">
-            <div class="repo-name">
-              <a href="https://github.com/${manifest.owner}/${repo.name}" target="_blank">${repo.displayName || repo.name}</a>
-              <span class="lang-badge ${langClass}">${repo.language || ''}</span>
-            </div>
-            <div class="repo-desc">${repo.description || ''}</div>
-          </div>
-          <span class="repo-status-badge ${overallConclusion}">${conclusionLabel(overallConclusion)}</span>
+      <details class="repo-group" data-group="${escapeHtml(group.key)}"${collapsed.has(group.key) ? '' : ' open'}>
+        <summary class="repo-group-header">
+          <span class="repo-group-title">${escapeHtml(group.icon)} ${escapeHtml(group.label)}</span>
+          ${group.description ? `<span class="repo-group-desc">${escapeHtml(group.description)}</span>` : ''}
+          <span class="repo-status-badge ${h.failing.length > 0 ? 'failure' : h.healthy === group.repos.length ? 'success' : 'unknown'}">${h.healthy}/${group.repos.length} healthy</span>
+        </summary>
+        <div class="repo-cards">
+          ${group.repos.map(renderRepoCard).join('')}
         </div>
+      </details>
+    `;
+  }).join('');
+}
 
-        <!-- Category Panels with Stats -->
-        <div class="repo-card-body">
-          <div class="category-grid">
-            ${renderLintPanel(cats.lint, stats.lint)}
-            ${renderTestPanel(cats.test, stats.test)}
-            ${renderSecurityPanel(cats.security, stats.security)}
-            ${renderCategoryPanel(CATEGORIES[3], cats.release)}
+function renderRepoCard(repo) {
+  const catDefs = resolveCategories(manifest, repo);
+  const data = viewData[repo.name] || { runs: [], categories: emptyCategories(catDefs), conclusion: 'unknown', ciStats: {} };
+  const cats = data.categories || emptyCategories(catDefs);
+  const stats = data.ciStats || { lint: {}, test: {}, security: {} };
+  const overallConclusion = conclusionClass(data.conclusion || 'unknown');
+  const langClass = (repo.language || '').toLowerCase();
+
+  return `
+    <div class="repo-card status-${overallConclusion}" data-repo="${escapeHtml(repo.name)}" data-status="${overallConclusion}">
+      <div class="repo-card-header">
+        <div class="repo-icon">${escapeHtml(repo.icon || '📦')}</div>
+        <div class="repo-info">
+          <div class="repo-name">
+            <a href="${safeUrl(repoUrl(manifest, repo))}" target="_blank">${escapeHtml(repo.displayName || repo.name)}</a>
+            <span class="lang-badge ${escapeHtml(langClass)}">${escapeHtml(repo.language)}</span>
           </div>
+          <div class="repo-desc">${escapeHtml(repo.description)}</div>
         </div>
+        <span class="repo-status-badge ${overallConclusion}">${escapeHtml(conclusionLabel(data.conclusion || 'unknown'))}</span>
+      </div>
 
-        <div class="repo-card-footer">
-          <a class="detail-link" href="repo.html?repo=${repo.name}">View detailed stats →</a>
+      <!-- Category Panels with Stats -->
+      <div class="repo-card-body">
+        ${data.dataProblem ? renderDataProblems(data.dataProblem) : ''}
+        <div class="category-grid">
+          ${catDefs.map(def => renderPanelFor(def, cats[def.key], stats)).join('')}
         </div>
       </div>
-    `;
-  }).join('');
+
+      <div class="repo-card-footer">
+        ${renderFlakyBadge(data.flakiness)}
+        <a class="detail-link" href="repo.html?repo=${encodeURIComponent(repo.name)}">View detailed stats →</a>
+      </div>
+    </div>
+  `;
+}
+
+// Categories whose key matches a ci_* stats block get a richer panel
+const STAT_PANELS = {
+  lint:     renderLintPanel,
+  test:     renderTestPanel,
+  security: renderSecurityPanel
+};
+
+function renderPanelFor(catDef, catData, stats) {
+  const statPanel = STAT_PANELS[catDef.key];
+  return statPanel ? statPanel(catDef, catData, stats[catDef.key]) : renderCategoryPanel(catDef, catData, stats[catDef.key]);
 }
 
-function renderLintPanel(catData, stats) {
-  const conclusion = catData?.conclusion || 'unknown';
+function renderFlakyBadge(flakiness) {
+  if (!flakiness || flakiness.score === null) return '<span></span>';
+  const cls = flakiness.score === 0 ? 'ok' : flakiness.score >= 25 ? 'fail' : 'warn';
+  const names = flakiness.jobs.map(j => j.name).join(', ');
+  return `<span class="stat-inline ${cls}" title="${flakiness.jobs.length} of ${flakiness.observed} jobs flaky${names ? ': ' + escapeHtml(names) : ''}">🎲 ${flakiness.score}% flaky</span>`;
+}
+
+function renderLintPanel(catDef, catData, stats) {
+  const conclusion = conclusionClass(catData?.conclusion);
   const latest = catData?.latest;
-  const items = (catData?.items || []).slice(0, 5);
-  const errors = stats?.errors;
+  const items = (catData?.history || []).slice(0, 5);
+  const errors = metricValue(stats, 'errors');
 
   const statusDot = `<span class="run-status-dot ${conclusion}"></span>`;
   const latestInfo = latest
-    ? `<a class="run-link" href="${latest.html_url}" target="_blank">#${latest.run_number}</a>
+    ? `<a class="run-link" href="${safeUrl(latest.html_url)}" target="_blank">#${latest.run_number}</a>
        <span class="text-muted">${latest.duration}</span>`
     : '<span class="text-muted">no runs</span>';
   const historyDots = items.map(item =>
-    `<span class="history-dot ${item.conclusion}" title="#${item.run_number} — ${item.conclusion}"></span>`
+    `<span class="history-dot ${conclusionClass(item.conclusion)}" title="#${item.run_number} — ${escapeHtml(item.conclusion)}"></span>`
   ).join('');
 
   // Stats line
   let statsLine = '';
   if (conclusion === 'success') {
     statsLine = '<span class="stat-inline ok">✅ All OK</span>';
-  } else if (conclusion === 'failure' && errors !== undefined) {
+  } else if (conclusion === 'failure' && errors !== null) {
     statsLine = `<span class="stat-inline fail">❌ ${errors} error(s)</span>`;
   } else if (conclusion === 'failure') {
     statsLine = '<span class="stat-inline fail">❌ Failed</span>';
@@ -432,42 +773,42 @@ function renderLintPanel(catData, stats) {
   return `
     <div class="category-panel cat-${conclusion}">
       <div class="category-header">
-        <span class="category-icon">🔍</span>
-        <span class="category-label">Lint</span>
+        <span class="category-icon">${escapeHtml(catDef.icon)}</span>
+        <span class="category-label">${escapeHtml(catDef.label)}</span>
         ${statusDot}
       </div>
       ${statsLine ? `<div class="category-stats">${statsLine}</div>` : ''}
+      ${renderMatrixStrip(latest)}
       <div class="category-latest">${latestInfo}</div>
       <div class="category-history">${historyDots || '<span class="text-muted">—</span>'}</div>
     </div>
   `;
 }
 
-function renderTestPanel(catData, stats) {
-  const conclusion = catData?.conclusion || 'unknown';
+function renderTestPanel(catDef, catData, stats) {
+  const conclusion = conclusionClass(catData?.conclusion);
   const latest = catData?.latest;
-  const items = (catData?.items || []).slice(0, 5);
+  const items = (catData?.history || []).slice(0, 5);
 
   const statusDot = `<span class="run-status-dot ${conclusion}"></span>`;
   const latestInfo = latest
-    ? `<a class="run-link" href="${latest.html_url}" target="_blank">#${latest.run_number}</a>
+    ? `<a class="run-link" href="${safeUrl(latest.html_url)}" target="_blank">#${latest.run_number}</a>
        <span class="text-muted">${latest.duration}</span>`
     : '<span class="text-muted">no runs</span>';
   const historyDots = items.map(item =>
-    `<span class="history-dot ${item.conclusion}" title="#${item.run_number} — ${item.conclusion}"></span>`
+    `<span class="history-dot ${conclusionClass(item.conclusion)}" title="#${item.run_number} — ${escapeHtml(item.conclusion)}"></span>`
   ).join('');
 
   let statsLine = '';
-  const total = stats?.total, passed = stats?.passed, failed = stats?.failed, cov = stats?.coverage;
-  if (total !== undefined) {
-    const failClass = parseInt(failed) > 0 ? 'fail' : 'ok';
+  const total = metricValue(stats, 'total'), failed = metricValue(stats, 'failed'), cov = metricValue(stats, 'coverage');
+  if (total !== null) {
+    const failClass = failed > 0 ? 'fail' : 'ok';
     statsLine = `<span class="stat-inline neutral">${total} total</span>
-      <span class="stat-inline ok">${passed} pass</span>
-      <span class="stat-inline ${failClass}">${failed} fail</span>`;
-    if (cov && cov !== 'N/A') {
-      const covNum = parseFloat(cov);
-      const covClass = covNum >= 80 ? 'ok' : covNum >= 50 ? 'warn' : 'fail';
-      statsLine += ` <span class="stat-inline ${covClass}">📊 ${cov}</span>`;
+      <span class="stat-inline ok">${escapeHtml(metricText(stats, 'passed'))} pass</span>
+      <span class="stat-inline ${failClass}">${escapeHtml(metricText(stats, 'failed'))} fail</span>`;
+    if (cov !== null) {
+      const covClass = cov >= 80 ? 'ok' : cov >= 50 ? 'warn' : 'fail';
+      statsLine += ` <span class="stat-inline ${covClass}">📊 ${escapeHtml(metricText(stats, 'coverage'))}</span>`;
     }
   } else if (conclusion === 'success') {
     statsLine = '<span class="stat-inline ok">✅ Passed</span>';
@@ -478,46 +819,49 @@ function renderTestPanel(catData, stats) {
   return `
     <div class="category-panel cat-${conclusion}">
       <div class="category-header">
-        <span class="category-icon">🧪</span>
-        <span class="category-label">Unit Tests</span>
+        <span class="category-icon">${escapeHtml(catDef.icon)}</span>
+        <span class="category-label">${escapeHtml(catDef.label)}</span>
         ${statusDot}
       </div>
       ${statsLine ? `<div class="category-stats">${statsLine}</div>` : ''}
+      ${renderMatrixStrip(latest)}
       <div class="category-latest">${latestInfo}</div>
       <div class="category-history">${historyDots || '<span class="text-muted">—</span>'}</div>
     </div>
   `;
 }
 
-function renderSecurityPanel(catData, stats) {
-  const conclusion = catData?.conclusion || 'unknown';
+function renderSecurityPanel(catDef, catData, stats) {
+  const conclusion = conclusionClass(catData?.conclusion);
   const latest = catData?.latest;
-  const items = (catData?.items || []).slice(0, 5);
+  const items = (catData?.history || []).slice(0, 5);
 
   const statusDot = `<span class="run-status-dot ${conclusion}"></span>`;
   const latestInfo = latest
-    ? `<a class="run-link" href="${latest.html_url}" target="_blank">#${latest.run_number}</a>
+    ? `<a class="run-link" href="${safeUrl(latest.html_url)}" target="_blank">#${latest.run_number}</a>
        <span class="text-muted">${latest.duration}</span>`
     : '<span class="text-muted">no runs</span>';
   const historyDots = items.map(item =>
-    `<span class="history-dot ${item.conclusion}" title="#${item.run_number} — ${item.conclusion}"></span>`
+    `<span class="history-dot ${conclusionClass(item.conclusion)}" title="#${item.run_number} — ${escapeHtml(item.conclusion)}"></span>`
   ).join('');
 
   let statsLine = '';
-  const sast = stats?.sast, deps = stats?.deps, crit = stats?.critical, high = stats?.high, med = stats?.medium, low = stats?.low;
-  if (sast !== undefined || crit !== undefined) {
+  const [sast, deps, crit, high, med, low] = ['sast', 'deps', 'critical', 'high', 'medium', 'low'].map(k => metricValue(stats, k));
+  if (sast !== null || crit !== null) {
     const parts = [];
-    if (parseInt(sast) > 0) parts.push(`<span class="stat-inline fail">${sast} SAST</span>`);
-    if (parseInt(deps) > 0) parts.push(`<span class="stat-inline warn">${deps} deps</span>`);
-    if (parseInt(crit) > 0) parts.push(`<span class="stat-inline fail">${crit} crit</span>`);
-    if (parseInt(high) > 0) parts.push(`<span class="stat-inline fail">${high} high</span>`);
-    if (parseInt(med) > 0) parts.push(`<span class="stat-inline warn">${med} med</span>`);
-    if (parseInt(low) > 0) parts.push(`<span class="stat-inline neutral">${low} low</span>`);
+    if (sast > 0) parts.push(`<span class="stat-inline fail">${sast} SAST</span>`);
+    if (deps > 0) parts.push(`<span class="stat-inline warn">${deps} deps</span>`);
+    if (crit > 0) parts.push(`<span class="stat-inline fail">${crit} crit</span>`);
+    if (high > 0) parts.push(`<span class="stat-inline fail">${high} high</span>`);
+    if (med > 0)  parts.push(`<span class="stat-inline warn">${med} med</span>`);
+    if (low > 0)  parts.push(`<span class="stat-inline neutral">${low} low</span>`);
     if (parts.length === 0) {
       statsLine = '<span class="stat-inline ok">✅ Clean</span>';
     } else {
       statsLine = parts.join(' ');
     }
+    const accepted = metricValue(stats, 'accepted');
+    if (accepted > 0) statsLine += ` <span class="stat-inline neutral" title="Accepted in the security allowlist">${accepted} accepted</span>`;
   } else if (conclusion === 'success') {
     statsLine = '<span class="stat-inline ok">✅ Clean</span>';
   } else if (conclusion === 'failure') {
@@ -527,40 +871,62 @@ function renderSecurityPanel(catData, stats) {
   return `
     <div class="category-panel cat-${conclusion}">
       <div class="category-header">
-        <span class="category-icon">🛡️</span>
-        <span class="category-label">Security</span>
+        <span class="category-icon">${escapeHtml(catDef.icon)}</span>
+        <span class="category-label">${escapeHtml(catDef.label)}</span>
         ${statusDot}
       </div>
       ${statsLine ? `<div class="category-stats">${statsLine}</div>` : ''}
+      ${renderMatrixStrip(latest)}
       <div class="category-latest">${latestInfo}</div>
       <div class="category-history">${historyDots || '<span class="text-muted">—</span>'}</div>
     </div>
   `;
 }
 
-function renderCategoryPanel(catDef, catData) {
+// One dot per matrix leg of the latest run, so a single broken cell stands out
+function renderMatrixStrip(latest) {
+  const legs = (latest?.legs || []).filter(l => l.matrix);
+  if (legs.length < 2) return '';
+  const passed = legs.filter(l => l.conclusion === 'success').length;
+  const dots = legs
+    .slice()
+    .sort((a, b) => compareAxis(a.matrix.version, b.matrix.version) || compareAxis(a.matrix.os, b.matrix.os) || compareAxis(a.matrix.variant, b.matrix.variant))
+    .map(l => {
+      const label = [l.matrix.version, l.matrix.os, l.matrix.variant].filter(Boolean).join(' · ');
+      return `<a class="history-dot ${conclusionClass(l.conclusion)}" href="${safeUrl(l.html_url)}" target="_blank" title="${escapeHtml(label)} — ${escapeHtml(l.conclusion)}"></a>`;
+    }).join('');
+  return `<div class="category-matrix"><span class="text-muted">Matrix ${passed}/${legs.length}</span>${dots}</div>`;
+}
+
+function renderCategoryPanel(catDef, catData, stats) {
   const latest = catData?.latest;
-  const items = (catData?.items || []).slice(0, 5);
-  const conclusion = catData?.conclusion || 'unknown';
+  const items = (catData?.history || []).slice(0, 5);
+  const conclusion = conclusionClass(catData?.conclusion);
 
   const statusDot = `<span class="run-status-dot ${conclusion}"></span>`;
   const latestInfo = latest
-    ? `<a class="run-link" href="${latest.html_url}" target="_blank">#${latest.run_number}</a>
+    ? `<a class="run-link" href="${safeUrl(latest.html_url)}" target="_blank">#${latest.run_number}</a>
        <span class="text-muted">${latest.duration}</span>`
     : '<span class="text-muted">no runs</span>';
 
   // Mini history dots
   const historyDots = items.map(item =>
-    `<span class="history-dot ${item.conclusion}" title="#${item.run_number} — ${item.conclusion}"></span>`
+    `<span class="history-dot ${conclusionClass(item.conclusion)}" title="#${item.run_number} — ${escapeHtml(item.conclusion)}"></span>`
   ).join('');
 
+  // Any ci_stats_v2 type named after the category rides along as plain metrics
+  const statsLine = listMetrics(stats).slice(0, 3)
+    .map(m => `<span class="stat-inline neutral">${escapeHtml(statLabel(m.name))} ${escapeHtml(m.text)}</span>`).join(' ');
+
   return `
     <div class="category-panel cat-${conclusion}">
       <div class="category-header">
-        <span class="category-icon">${catDef.icon}</span>
-        <span class="category-label">${catDef.label}</span>
+        <span class="category-icon">${escapeHtml(catDef.icon)}</span>
+        <span class="category-label">${escapeHtml(catDef.label)}</span>
         ${statusDot}
       </div>
+      ${statsLine ? `<div class="category-stats">${statsLine}</div>` : ''}
+      ${renderMatrixStrip(latest)}
       <div class="category-latest">${latestInfo}</div>
       <div class="category-history">${historyDots || '<span class="text-muted">—</span>'}</div>
     </div>
@@ -572,9 +938,9 @@ function renderTimeline() {
   const container = document.getElementById('timeline');
   const countEl = document.getElementById('timeline-count');
   const maxItems = 30;
-  const items = allRuns.slice(0, maxItems);
+  const items = viewRuns.slice(0, maxItems);
 
-  countEl.textContent = `Showing ${items.length} of ${allRuns.length}`;
+  countEl.textContent = `Showing ${items.length} of ${viewRuns.length}`;
 
   if (items.length === 0) {
     container.innerHTML = '<div class="empty-state">No workflow runs to display</div>';
@@ -586,23 +952,22 @@ function renderTimeline() {
     const timeAgo = relativeTime(run.created_at);
     const duration = computeDuration(run.run_started_at || run.created_at, run.updated_at);
     const actor = run.actor?.login || 'unknown';
-    const catKey = isReleaseRun(run) ? 'release' : 'ci';
-    const catIcon = isReleaseRun(run) ? '🚀' : '⚙️';
+    const catIcon = classifyRun(run, resolveCategories(manifest, repo))?.icon || '⚙️';
 
     return `
       <div class="timeline-item">
-        <span class="timeline-dot ${run.conclusion}"></span>
+        <span class="timeline-dot ${conclusionClass(run.conclusion)}"></span>
         <div class="timeline-body">
           <div class="timeline-header">
-            <span class="timeline-repo">${repo.displayName || repo.name || 'unknown'}</span>
+            <span class="timeline-repo">${escapeHtml(repo.displayName || repo.name || 'unknown')}</span>
             <span class="timeline-workflow">
-              ${catIcon} <a href="${run.html_url}" target="_blank">${run.name} #${run.run_number}</a>
+              ${escapeHtml(catIcon)} <a href="${safeUrl(run.html_url)}" target="_blank">${escapeHtml(run.name)} #${run.run_number}</a>
             </span>
           </div>
           <div class="timeline-meta">
             <span>⏱ ${duration}</span>
-            <span>🌿 ${run.head_branch}</span>
-            <span>👤 ${actor}</span>
+            <span>🌿 ${escapeHtml(run.head_branch ?? '—')}</span>
+            <span>👤 ${escapeHtml(actor)}</span>
             <span>${timeAgo}</span>
           </div>
         </div>
@@ -615,6 +980,8 @@ function renderTimeline() {
 function renderInsights() {
   renderLangBreakdown();
   renderWorkflowBreakdown();
+  renderFlakyJobs();
+  renderSlowestJobs();
   renderAuthorBreakdown();
   renderBranchBreakdown();
 }
@@ -623,7 +990,7 @@ function renderLangBreakdown() {
   const container = document.getElementById('lang-breakdown');
   const langCounts = {};
 
-  allRuns.forEach(run => {
+  viewRuns.forEach(run => {
     const lang = run._repo?.language || 'Unknown';
     if (!langCounts[lang]) langCounts[lang] = { total: 0, success: 0 };
     langCounts[lang].total++;
@@ -641,12 +1008,13 @@ function renderWorkflowBreakdown() {
   const container = document.getElementById('workflow-breakdown');
   // Show by category instead of raw workflow name
   const catCounts = {};
-  CATEGORIES.forEach(c => { catCounts[c.label] = { total: 0, success: 0 }; });
 
-  Object.values(repoData).forEach(rd => {
-    const cats = rd.categories || {};
+  viewRepos.forEach(repo => {
+    const catDefs = resolveCategories(manifest, repo);
+    const cats = viewData[repo.name]?.categories || {};
     Object.entries(cats).forEach(([key, cat]) => {
-      const label = CATEGORIES.find(c => c.key === key)?.label || key;
+      const def = catDefs.find(c => c.key === key);
+      const label = def?.label || key;
       if (!catCounts[label]) catCounts[label] = { total: 0, success: 0 };
       catCounts[label].total += cat.items.length;
       catCounts[label].success += cat.items.filter(i => i.conclusion === 'success').length;
@@ -661,10 +1029,51 @@ function renderWorkflowBreakdown() {
     .join('') || '<div class="text-muted">No data yet</div>';
 }
 
+function renderFlakyJobs() {
+  const container = document.getElementById('flaky-jobs');
+  const flaky = [];
+  viewRepos.forEach(repo => {
+    (viewData[repo.name]?.flakiness?.jobs || []).forEach(j => flaky.push({ ...j, repo }));
+  });
+
+  container.innerHTML = flaky
+    .sort((a, b) => b.flips - a.flips)
+    .slice(0, 6)
+    .map(j => `
+      <div class="flaky-row">
+        <div class="flaky-name">
+          <a href="${safeUrl(j.html_url)}" target="_blank">${escapeHtml(j.name)}</a>
+          <span class="text-muted">· ${escapeHtml(j.repo.displayName || j.repo.name)}</span>
+        </div>
+        <div class="flaky-reason">${escapeHtml(j.reasons.join(' · '))} — ${j.failures}/${j.executions} failed</div>
+      </div>
+    `).join('') || '<div class="text-muted">No flaky jobs detected</div>';
+}
+
+// Median wall time per job across the filtered runs — where CI time goes
+function renderSlowestJobs() {
+  const container = document.getElementById('slowest-jobs');
+  const slowest = viewRepos.flatMap(repo =>
+    slowestJobs(viewData[repo.name]?.jobs || []).map(j => ({ ...j, repo })));
+
+  const top = slowest.sort((a, b) => b.p50 - a.p50).slice(0, 6);
+  const maxP90 = Math.max(...top.map(j => j.p90), 1);
+  container.innerHTML = top.map(j => `
+      <div class="insight-bar-row" title="${j.count} run${j.count === 1 ? '' : 's'} · p90 ${formatDurationMs(j.p90)}">
+        <span class="insight-bar-label job-label"><a href="${safeUrl(j.slowest.html_url)}" target="_blank">${escapeHtml(j.name)}</a> <span class="text-muted">· ${escapeHtml(j.repo.displayName || j.repo.name)}</span></span>
+        <div class="insight-bar-track stacked">
+          <div class="insight-bar-fill duration-p90" style="width: ${(j.p90 / maxP90) * 100}%"></div>
+          <div class="insight-bar-fill duration-p50" style="width: ${(j.p50 / maxP90) * 100}%"></div>
+        </div>
+        <span class="insight-bar-value">${formatDurationMs(j.p50)}</span>
+      </div>
+    `).join('') || '<div class="text-muted">No job timings yet</div>';
+}
+
 function renderAuthorBreakdown() {
   const container = document.getElementById('author-breakdown');
   const authors = {};
-  allRuns.forEach(run => {
+  viewRuns.forEach(run => {
     const login = run.actor?.login;
     if (!login) return;
     if (!authors[login]) authors[login] = { count: 0, avatar: run.actor.avatar_url || '' };
@@ -676,8 +1085,8 @@ function renderAuthorBreakdown() {
     .slice(0, 5)
     .map(([login, data]) => `
       <div class="insight-contributor">
-        <img class="insight-avatar" src="${data.avatar}" alt="${login}" onerror="this.style.display='none'" />
-        <span class="insight-bar-label">${login}</span>
+        <img class="insight-avatar" src="${safeUrl(data.avatar, '')}" alt="${escapeHtml(login)}" />
+        <span class="insight-bar-label">${escapeHtml(login)}</span>
         <span class="insight-bar-value">${data.count} runs</span>
       </div>
     `).join('') || '<div class="text-muted">No contributor data</div>';
@@ -686,7 +1095,7 @@ function renderAuthorBreakdown() {
 function renderBranchBreakdown() {
   const container = document.getElementById('branch-breakdown');
   const branches = {};
-  allRuns.forEach(run => { const b = run.head_branch || 'unknown'; branches[b] = (branches[b] || 0) + 1; });
+  viewRuns.forEach(run => { const b = run.head_branch || 'unknown'; branches[b] = (branches[b] || 0) + 1; });
   const maxCount = Math.max(...Object.values(branches), 1);
   container.innerHTML = Object.entries(branches)
     .sort((a, b) => b[1] - a[1])
@@ -698,63 +1107,484 @@ function renderBranchBreakdown() {
 function barRow(label, fillValue, maxValue, displayValue, fillClass) {
   return `
     <div class="insight-bar-row">
-      <span class="insight-bar-label">${label}</span>
+      <span class="insight-bar-label">${escapeHtml(label)}</span>
       <div class="insight-bar-track">
         <div class="insight-bar-fill ${fillClass}" style="width: ${(fillValue / maxValue) * 100}%"></div>
       </div>
-      <span class="insight-bar-value">${displayValue}</span>
+      <span class="insight-bar-value">${escapeHtml(displayValue)}</span>
     </div>
   `;
 }
 
-// ── Filters ──
-function applyRepoFilter(filter) {
-  document.querySelectorAll('.repo-card').forEach(card => {
-    card.classList.toggle('hidden', filter !== 'all' && card.dataset.status !== filter);
+// ═══════════════════════════════════════════════════
+//  DORA — delivery metrics per repo and org-wide (dora.js)
+// ═══════════════════════════════════════════════════
+// { perRepo: [{ repo, deployments, metrics }], org } for the filtered view
+function doraMetrics() {
+  const config = resolveDoraConfig(manifest);
+  const times = viewRuns.map(r => new Date(r.created_at).getTime()).filter(t => !isNaN(t));
+  const windowStart = parseSince(filters.since)?.getTime() ?? (times.length > 0 ? Math.min(...times) : Date.now());
+  const windowEnd = Math.min(parseUntil(filters.until)?.getTime() ?? Date.now(), Date.now());
+
+  const perRepo = viewRepos.map(repo => {
+    const data = viewData[repo.name] || {};
+    // Commit times come from every stored run so filters don't shift lead time
+    const deployments = collectDeployments(data.runs || [], data.jobs || [], config, commitTimes(repoData[repo.name]?.runs || []));
+    return { repo, deployments, metrics: computeDora(deployments, windowStart, windowEnd) };
   });
+  const orgDeployments = perRepo
+    .flatMap(r => r.deployments.map(d => ({ ...d, target: `${r.repo.name}/${d.target}` })))
+    .sort((a, b) => a.at - b.at);
+  return { perRepo, org: computeDora(orgDeployments, windowStart, windowEnd) };
+}
+
+function renderDora() {
+  const { perRepo, org } = doraMetrics();
+  const cfr = m => m.changeFailureRate === null ? '—' : `${(m.changeFailureRate * 100).toFixed(0)}%`;
+  const duration = ms => ms === null ? '—' : formatDurationMs(ms);
+  const cards = [
+    { value: formatFrequency(org.perWeek), label: 'Deployment Frequency', detail: `${org.deployments} successful deployment${org.deployments === 1 ? '' : 's'}`, accent: org.perWeek >= 1 ? 'var(--success)' : 'var(--accent)' },
+    { value: duration(org.leadTimeMs), label: 'Lead Time for Changes', detail: 'median commit → deploy', accent: org.leadTimeMs !== null && org.leadTimeMs <= 86400000 ? 'var(--success)' : 'var(--accent)' },
+    { value: cfr(org), label: 'Change Failure Rate', detail: `${org.failures} failed deployment${org.failures === 1 ? '' : 's'}`, accent: org.changeFailureRate === null ? 'var(--accent)' : org.changeFailureRate <= 0.15 ? 'var(--success)' : 'var(--failure)' },
+    { value: duration(org.restoreMs), label: 'Time to Restore', detail: org.unresolved > 0 ? `${org.unresolved} still failing` : `mean of ${org.restores} restore${org.restores === 1 ? '' : 's'}`, accent: org.unresolved > 0 ? 'var(--failure)' : 'var(--success)' }
+  ];
+
+  document.getElementById('dora-strip').innerHTML = cards.map(c => `
+    <div class="summary-card" style="--card-accent: ${c.accent}">
+      <div class="summary-value">${c.value}</div>
+      <div class="summary-label">${c.label}</div>
+      <div class="summary-detail">${c.detail}</div>
+    </div>
+  `).join('');
+
+  const rows = perRepo.filter(r => r.deployments.length > 0);
+  document.getElementById('dora-table').innerHTML = rows.length === 0
+    ? '<div class="empty-state">No release, publish or deploy runs in view</div>'
+    : `
+      <table class="run-table">
+        <thead>
+          <tr><th>Repository</th><th>Deployments</th><th>Frequency</th><th>Lead Time</th><th>Change Failure Rate</th><th>Time to Restore</th><th>Last Deployment</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ repo, deployments, metrics }) => {
+            const last = deployments[deployments.length - 1];
+            return `
+            <tr>
+              <td><a href="repo.html?repo=${encodeURIComponent(repo.name)}">${escapeHtml(repo.displayName || repo.name)}</a></td>
+              <td>${metrics.deployments} <span class="text-muted">/ ${metrics.failures} failed</span></td>
+              <td>${formatFrequency(metrics.perWeek)}</td>
+              <td>${duration(metrics.leadTimeMs)}</td>
+              <td>${cfr(metrics)}</td>
+              <td>${duration(metrics.restoreMs)}${metrics.unresolved > 0 ? ' <span class="text-muted">· failing</span>' : ''}</td>
+              <td><span class="history-dot ${conclusionClass(last.conclusion)}"></span> <a href="${safeUrl(last.html_url)}" target="_blank">${escapeHtml(last.name)}</a> <span class="text-muted">${relativeTime(new Date(last.at).toISOString())}</span></td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
 }
 
 // ═══════════════════════════════════════════════════
-//  UTILITIES
+//  ACTIONS SPEND — runner minutes and cost estimate (core/cost.mjs)
+// ═══════════════════════════════════════════════════
+function renderCost() {
+  const config = resolveBillingConfig(manifest);
+  const items = viewRepos.flatMap(repo => {
+    const data = viewData[repo.name] || {};
+    return collectJobCosts(data.runs || [], data.jobs || [], config).map(item => ({ ...item, repo }));
+  });
+  // The month being forecast is the data's, not the visitor's: a snapshot from
+  // last month shouldn't forecast this one from nothing
+  const asOf = Math.max(new Date(lastGeneratedAt).getTime() || 0, ...items.map(i => i.at)) || Date.now();
+  const current = forecastMonth(items, asOf);
+  const monthItems = items.filter(i => i.month === current.month);
+  const months = [...new Set(items.map(i => i.month))].sort().slice(-3);
+  const monthLabel = formatBillingMonth(current.month);
+  const cost = amount => formatCost(amount, config.currency);
+  const minutes = n => `${Math.round(n).toLocaleString('en-US')} min`;
+  const lastDays = n => (Math.round(n) === 1 ? 'last day' : `last ${Math.round(n)} days`);
+  const repoLabel = repo => repo.displayName || repo.name;
+
+  document.getElementById('cost-rate').textContent =
+    `Estimate · ${cost(config.ratePerMinute)}/min · ` +
+    Object.entries(config.multipliers).map(([os, m]) => `${os} ×${m}`).join(', ');
+  // Only the jobs the retention policy keeps are billed here; say which
+  const coverage = costCoverage(items);
+  document.getElementById('cost-coverage').textContent = coverage
+    ? `Figures cover the jobs kept in the data: ${formatCoverage(coverage)}. Older runs are dropped by the retention policy.`
+    : '';
+
+  const byRepo = sumCosts(monthItems, i => i.repo.name);
+  const top = byRepo[0] && viewRepos.find(r => r.name === byRepo[0].key);
+  const cards = [
+    { value: cost(current.toDate), label: 'Month to Date', detail: `${monthLabel} · ${minutes(current.toDateMinutes)} billable` },
+    { value: cost(current.forecast), label: 'Forecast', detail: `${monthLabel} at ${cost(current.dailyRate)}/day (${lastDays(current.rateDays)})` },
+    { value: minutes(current.forecastMinutes), label: 'Billable Minutes', detail: `forecast for ${monthLabel}` },
+    { value: top ? escapeHtml(repoLabel(top)) : '—', label: 'Top Spender', detail: top && current.toDate > 0 ? `${Math.round(byRepo[0].cost / current.toDate * 100)}% of ${monthLabel}` : `no billed jobs in ${monthLabel}` }
+  ];
+  document.getElementById('cost-strip').innerHTML = cards.map(c => `
+    <div class="summary-card" style="--card-accent: var(--accent)">
+      <div class="summary-value">${c.value}</div>
+      <div class="summary-label">${c.label}</div>
+      <div class="summary-detail">${c.detail}</div>
+    </div>
+  `).join('');
+
+  // Per repo: the last three months in view, then this month's forecast
+  const repoRows = viewRepos
+    .map(repo => {
+      const repoItems = items.filter(i => i.repo === repo);
+      const perMonth = new Map(sumCosts(repoItems, i => i.month).map(t => [t.key, t]));
+      const forecast = forecastMonth(repoItems, asOf);
+      const perOs = sumCosts(repoItems.filter(i => i.month === current.month), i => i.os);
+      return { repo, perMonth, forecast, perOs, total: repoItems.length };
+    })
+    .filter(r => r.total > 0)
+    .sort((a, b) => b.forecast.forecast - a.forecast.forecast);
+  document.getElementById('cost-table').innerHTML = repoRows.length === 0
+    ? '<div class="empty-state">No finished jobs in view</div>'
+    : `
+      <table class="run-table">
+        <thead>
+          <tr><th>Repository</th>${months.map(m => `<th>${escapeHtml(formatBillingMonth(m))}</th>`).join('')}<th>Forecast ${escapeHtml(monthLabel)}</th><th>Runner OS ${escapeHtml(monthLabel)}</th></tr>
+        </thead>
+        <tbody>
+          ${repoRows.map(({ repo, perMonth, forecast, perOs }) => `
+            <tr>
+              <td><a href="repo.html?repo=${encodeURIComponent(repo.name)}">${escapeHtml(repoLabel(repo))}</a></td>
+              ${months.map(m => {
+                const t = perMonth.get(m);
+                return `<td>${t ? `${cost(t.cost)} <span class="text-muted">· ${minutes(t.billableMinutes)}</span>` : '—'}</td>`;
+              }).join('')}
+              <td class="cost-forecast" title="${cost(forecast.dailyRate)}/day (${lastDays(forecast.rateDays)})">${cost(forecast.forecast)}</td>
+              <td>${perOs.map(t => `${escapeHtml(t.key)} ${minutes(t.minutes)}`).join(' · ') || '—'}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+
+  const costBars = (id, totals, label) => {
+    const top6 = totals.slice(0, 6);
+    const max = Math.max(...top6.map(t => t.cost), 0.0001);
+    document.getElementById(id).innerHTML = top6
+      .map(t => barRow(label(t), t.cost, max, `${cost(t.cost)} · ${minutes(t.billableMinutes)}`, ''))
+      .join('') || `<div class="text-muted">No billed jobs in ${escapeHtml(monthLabel)}</div>`;
+  };
+  ['workflows', 'cells', 'os'].forEach(k => { document.getElementById(`cost-month-${k}`).textContent = monthLabel; });
+  costBars('cost-workflows', sumCosts(monthItems, i => `${i.repo.name}/${i.workflow}`),
+    t => `${t.first.workflow} · ${repoLabel(t.first.repo)}`);
+  costBars('cost-cells', sumCosts(monthItems, i => i.cell && `${i.repo.name}/${i.cell}`),
+    t => `${t.first.cell} · ${repoLabel(t.first.repo)}`);
+  costBars('cost-os', sumCosts(monthItems, i => i.os), t => t.key);
+}
+
+// ═══════════════════════════════════════════════════
+//  ALERTS — rule transitions → notification, badge, log (alerts.js)
+// ═══════════════════════════════════════════════════
+// Evaluated on the unfiltered data so the filter bar never hides an alert.
+// `silent` re-baselines without notifying (rule edits, clearing the log).
+function processAlerts({ silent = false } = {}) {
+  const prefs = loadAlertPrefs();
+  const rules = resolveAlertRules(manifest, prefs);
+  const previous = readStored(ALERT_STATE_KEY, null);
+  const current = evaluateAlerts(rules, manifest.repos || [], repoData);
+  writeStored(ALERT_STATE_KEY, current);
+
+  // Without a stored state there is nothing to compare against yet
+  const transitions = previous && !silent ? diffAlerts(previous, current) : [];
+  if (transitions.length > 0) {
+    const at = new Date().toISOString();
+    const entries = transitions.map(t => ({ at, kind: t.kind, ruleId: t.ruleId, label: t.label, repo: t.repo, detail: t.detail, url: t.url }));
+    writeStored(ALERT_LOG_KEY, [...entries, ...readStored(ALERT_LOG_KEY, [])].slice(0, MAX_ALERT_LOG));
+    if (prefs.notify) transitions.forEach(showAlertNotification);
+  }
+
+  const active = Object.values(current).filter(a => a.active);
+  updateAlertBadge(active.length);
+  renderAlerts(rules, active, prefs);
+}
+
+function repoDisplayName(name) {
+  const repo = (manifest.repos || []).find(r => r.name === name);
+  return repo?.displayName || name;
+}
+
+function showAlertNotification(t) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const title = `${t.kind === 'triggered' ? '🔴' : '🟢'} ${repoDisplayName(t.repo)}: ${t.label}${t.kind === 'resolved' ? ' — resolved' : ''}`;
+  const notification = new Notification(title, { body: t.detail, tag: t.key });
+  notification.onclick = () => {
+    window.focus();
+    if (t.url && isSafeUrl(t.url)) window.open(t.url, '_blank');
+  };
+}
+
+// "(2) CI/CD Dashboard" plus a red dot on the favicon while alerts are active
+function updateAlertBadge(count) {
+  const favicon = document.getElementById('favicon');
+  if (baseTitle === null) baseTitle = document.title;
+  if (baseFavicon === null) baseFavicon = favicon?.getAttribute('href') || '';
+
+  document.title = count > 0 ? `(${count}) ${baseTitle}` : baseTitle;
+  if (favicon) {
+    favicon.setAttribute('href', count > 0
+      ? "data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>🚀</text><circle cx='80' cy='20' r='18' fill='%23f85149'/></svg>"
+      : baseFavicon);
+  }
+}
+
+async function toggleAlertNotifications() {
+  if (!('Notification' in window)) return;
+  const prefs = loadAlertPrefs();
+  if (Notification.permission === 'default') {
+    prefs.notify = (await Notification.requestPermission()) === 'granted';
+  } else if (Notification.permission === 'granted') {
+    prefs.notify = !prefs.notify;
+  }
+  saveAlertPrefs(prefs);
+  processAlerts({ silent: true });
+}
+
+function renderAlerts(rules, active, prefs) {
+  const btn = document.getElementById('alerts-notify');
+  const supported = 'Notification' in window;
+  const permission = supported ? Notification.permission : 'unsupported';
+  btn.disabled = !supported || permission === 'denied';
+  btn.textContent = !supported ? 'Notifications unsupported'
+    : permission === 'denied' ? 'Notifications blocked'
+    : permission === 'granted' && prefs.notify ? '🔔 Notifications on' : '🔕 Enable notifications';
+
+  document.getElementById('alerts-count').textContent = active.length > 0 ? `${active.length} active` : 'all clear';
+
+  document.getElementById('alerts-active').innerHTML = active.map(a => `
+      <div class="alert-row active">
+        <span class="history-dot failure"></span>
+        <div>
+          <div><strong>${escapeHtml(repoDisplayName(a.repo))}</strong> · ${escapeHtml(a.label)}</div>
+          <div class="text-muted">${a.url ? `<a href="${safeUrl(a.url)}" target="_blank">${escapeHtml(a.detail)}</a>` : escapeHtml(a.detail)}</div>
+        </div>
+      </div>
+    `).join('') || '<div class="text-muted">No active alerts</div>';
+
+  document.getElementById('alerts-log').innerHTML = readStored(ALERT_LOG_KEY, []).slice(0, 10).map(e => `
+      <div class="alert-row">
+        <span class="history-dot ${e.kind === 'triggered' ? 'failure' : 'success'}"></span>
+        <div>
+          <div><strong>${escapeHtml(repoDisplayName(e.repo))}</strong> · ${escapeHtml(e.label)} ${e.kind === 'triggered' ? 'triggered' : 'resolved'}</div>
+          <div class="text-muted">${relativeTime(e.at)} · ${e.url ? `<a href="${safeUrl(e.url)}" target="_blank">${escapeHtml(e.detail)}</a>` : escapeHtml(e.detail)}</div>
+        </div>
+      </div>
+    `).join('') || '<div class="text-muted">Nothing logged yet — changes are recorded as refreshes find them</div>';
+
+  document.getElementById('alerts-rules').innerHTML = rules.map(r => `
+      <label class="alert-rule">
+        <input type="checkbox" data-alert-rule="${escapeHtml(r.id)}" ${r.enabled ? 'checked' : ''} />
+        <span>${escapeHtml(r.label)}</span>
+        ${r.type === 'metric' ? `<span class="text-muted">${escapeHtml(r.op)}</span><input class="filter-select alert-threshold" type="number" step="any" data-alert-rule="${escapeHtml(r.id)}" value="${escapeHtml(r.value)}" title="Threshold" />` : ''}
+      </label>
+    `).join('');
+}
+
 // ═══════════════════════════════════════════════════
-async function fetchJSON(url) {
-  const resp = await fetch(url);
-  if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
-  return resp.json();
+//  WALLBOARD — full-screen rotating views (wallboard.js)
+// ═══════════════════════════════════════════════════
+const WALLBOARD_RENDERERS = {
+  summary:  renderWallSummary,
+  repos:    renderWallRepos,
+  failing:  renderWallFailing,
+  insights: renderWallInsights
+};
+
+function startWallboard() {
+  wallboard = { config: resolveWallboardConfig(manifest, new URLSearchParams(window.location.search)), index: 0, timer: null };
+  document.body.classList.add('wallboard-mode');
+  document.getElementById('wallboard').hidden = false;
+  restartWallboardTimer();
+
+  window.addEventListener('resize', () => renderWallboard());
+  // Arrow keys step through the views by hand (the rotation restarts from there)
+  document.addEventListener('keydown', e => {
+    if (e.key === 'ArrowRight') showWallboardView(wallboard.index + 1);
+    else if (e.key === 'ArrowLeft') showWallboardView(wallboard.index - 1);
+    else return;
+    restartWallboardTimer();
+  });
+}
+
+function restartWallboardTimer() {
+  clearInterval(wallboard.timer);
+  wallboard.timer = setInterval(() => showWallboardView(wallboard.index + 1), wallboard.config.rotateSeconds * 1000);
+}
+
+function showWallboardView(index) {
+  const count = wallboard.config.views.length;
+  wallboard.index = (index + count) % count;
+  renderWallboard();
+}
+
+function renderWallboard() {
+  const { config, index } = wallboard;
+  const view = config.views[index];
+  // Re-checked on every rotation, so a screen whose data stops updating turns loud on its own
+  const stale = staleReason(lastGeneratedAt, config.staleAfterMinutes, Date.now(), isOffline());
+
+  document.getElementById('wallboard').innerHTML = `
+    ${stale ? `<div class="wb-stale">⚠ STALE DATA — ${stale}</div>` : ''}
+    <div class="wb-header">
+      <span class="wb-title">${escapeHtml(manifest.title || 'CI/CD Dashboard')}</span>
+      <span class="wb-view">${WALLBOARD_VIEWS[view]}</span>
+      <span class="wb-dots">${config.views.map((_, i) => `<span class="wb-dot${i === index ? ' active' : ''}"></span>`).join('')}</span>
+      <span class="wb-asof">Data as of ${dataAsOf(lastGeneratedAt)}</span>
+    </div>
+    <div class="wb-body wb-view-${view}">${WALLBOARD_RENDERERS[view]()}</div>
+  `;
+}
+
+function wallTile({ value, label, detail = '', state = 'neutral' }) {
+  return `
+    <div class="wb-stat wb-${state}">
+      <div class="wb-stat-value">${escapeHtml(value)}</div>
+      <div class="wb-stat-label">${escapeHtml(label)}</div>
+      ${detail ? `<div class="wb-stat-detail">${escapeHtml(detail)}</div>` : ''}
+    </div>
+  `;
+}
+
+function renderWallSummary() {
+  const passed = viewRuns.filter(r => r.conclusion === 'success').length;
+  const passRate = viewRuns.length > 0 ? (passed / viewRuns.length) * 100 : null;
+  const healthy = viewRepos.filter(r => viewData[r.name]?.conclusion === 'success').length;
+  const failing = failingItems(viewRepos, viewData, manifest);
+  const last = viewRuns[0];
+
+  const tiles = [
+    { value: passRate === null ? '—' : `${passRate.toFixed(0)}%`, label: 'Pass Rate', detail: `${passed} of ${viewRuns.length} runs`, state: passRate === null ? 'neutral' : passRate >= 80 ? 'ok' : passRate >= 50 ? 'warn' : 'bad' },
+    { value: `${healthy}/${viewRepos.length}`, label: 'Healthy Repos', state: healthy === viewRepos.length ? 'ok' : 'bad' },
+    { value: failing.length, label: 'Failing Checks', detail: failing.length === 0 ? 'all green' : failing.slice(0, 3).map(f => f.repo.displayName || f.repo.name).join(', '), state: failing.length === 0 ? 'ok' : 'bad' },
+    { value: last ? relativeTime(last.created_at) : '—', label: 'Last Run', detail: last ? `${last._repo?.displayName || last._repo?.name} · ${last.name}` : '' }
+  ];
+  const groups = resolveGroups(manifest, viewRepos).map(group => {
+    const h = groupHealth(group);
+    return { value: `${h.healthy}/${group.repos.length}`, label: `${group.icon} ${group.label}`, detail: h.passRate === null ? 'no runs' : `${h.passRate.toFixed(0)}% pass rate`, state: h.failing.length > 0 ? 'bad' : h.healthy === group.repos.length ? 'ok' : 'warn' };
+  });
+
+  return `
+    <div class="wb-stats">${tiles.map(wallTile).join('')}</div>
+    ${groups.length > 0 ? `<div class="wb-stats wb-groups">${groups.map(wallTile).join('')}</div>` : ''}
+  `;
 }
 
-function conclusionLabel(c) {
-  return { success: 'Passing', failure: 'Failing', cancelled: 'Cancelled', skipped: 'Skipped', in_progress: 'Running', unknown: 'Unknown' }[c] || c;
+function renderWallRepos() {
+  if (viewRepos.length === 0) return '<div class="wb-empty">No repositories match the current filters</div>';
+  // The header takes roughly the top tenth of the screen
+  const grid = wallboardGrid(viewRepos.length, window.innerWidth, window.innerHeight * 0.88);
+
+  return `
+    <div class="wb-grid" style="grid-template-columns: repeat(${grid.cols}, 1fr); grid-template-rows: repeat(${grid.rows}, 1fr); --tile-size: ${Math.floor(grid.size)}px">
+      ${viewRepos.map(repo => {
+        const data = viewData[repo.name] || {};
+        const conclusion = conclusionClass(data.conclusion);
+        const latest = data.runs?.[0];
+        const cats = data.categories || {};
+        return `
+          <div class="wb-tile wb-tile-${conclusion}">
+            <div class="wb-tile-name">${escapeHtml(repo.icon || '📦')} ${escapeHtml(repo.displayName || repo.name)}</div>
+            <div class="wb-tile-status">${escapeHtml(conclusionLabel(data.conclusion || 'unknown'))}</div>
+            <div class="wb-tile-detail">${latest ? `${escapeHtml(latest.name)} · ${escapeHtml(latest.head_branch ?? '—')} · ${relativeTime(latest.created_at)}` : 'no runs'}</div>
+            <div class="wb-tile-cats">
+              ${resolveCategories(manifest, repo).map(def => `<span class="wb-cat ${conclusionClass(cats[def.key]?.conclusion)}" title="${escapeHtml(def.label)}">${escapeHtml(def.icon)}</span>`).join('')}
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderWallFailing() {
+  const failing = failingItems(viewRepos, viewData, manifest);
+  if (failing.length === 0) return '<div class="wb-allgreen">✓ All green</div>';
+
+  // Larger lists shrink the rows rather than scroll
+  const shown = failing.slice(0, 10);
+  return `
+    <div class="wb-failing" style="--rows: ${shown.length + (failing.length > shown.length ? 1 : 0)}">
+      ${shown.map(({ repo, category, item }) => `
+        <div class="wb-fail-row">
+          <span class="wb-fail-repo">${escapeHtml(repo.icon || '📦')} ${escapeHtml(repo.displayName || repo.name)}</span>
+          <span class="wb-fail-cat">${escapeHtml(category.icon)} ${escapeHtml(category.label)}</span>
+          <span class="wb-fail-name">${escapeHtml(item.name)}${item.branch ? ` · ${escapeHtml(item.branch)}` : ''}</span>
+          <span class="wb-fail-age">${relativeTime(item.time)}</span>
+        </div>
+      `).join('')}
+      ${failing.length > shown.length ? `<div class="wb-fail-row wb-more">+${failing.length - shown.length} more</div>` : ''}
+    </div>
+  `;
+}
+
+function renderWallInsights() {
+  const { org } = doraMetrics();
+  const duration = ms => ms === null ? '—' : formatDurationMs(ms);
+  const dora = [
+    { value: formatFrequency(org.perWeek), label: 'Deploy Frequency', state: org.perWeek >= 1 ? 'ok' : 'neutral' },
+    { value: duration(org.leadTimeMs), label: 'Lead Time', state: org.leadTimeMs !== null && org.leadTimeMs <= 86400000 ? 'ok' : 'neutral' },
+    { value: org.changeFailureRate === null ? '—' : `${(org.changeFailureRate * 100).toFixed(0)}%`, label: 'Change Failure Rate', state: org.changeFailureRate === null ? 'neutral' : org.changeFailureRate <= 0.15 ? 'ok' : 'bad' },
+    { value: duration(org.restoreMs), label: 'Time to Restore', detail: org.unresolved > 0 ? `${org.unresolved} still failing` : '', state: org.unresolved > 0 ? 'bad' : 'neutral' }
+  ];
+  const slowest = viewRepos
+    .flatMap(repo => slowestJobs(viewData[repo.name]?.jobs || []).map(j => ({ ...j, repo })))
+    .sort((a, b) => b.p50 - a.p50)
+    .slice(0, 5);
+  const flaky = viewRepos.reduce((n, repo) => n + (viewData[repo.name]?.flakiness?.jobs || []).length, 0);
+
+  return `
+    <div class="wb-stats">${dora.map(wallTile).join('')}</div>
+    <div class="wb-insight-row">
+      <div class="wb-list">
+        <div class="wb-list-title">Slowest jobs (median)</div>
+        ${slowest.map(j => `
+          <div class="wb-list-row"><span>${escapeHtml(j.name)} <span class="wb-muted">· ${escapeHtml(j.repo.displayName || j.repo.name)}</span></span><span>${formatDurationMs(j.p50)}</span></div>
+        `).join('') || '<div class="wb-muted">No job timings yet</div>'}
+      </div>
+      ${wallTile({ value: flaky, label: 'Flaky Jobs', state: flaky === 0 ? 'ok' : 'warn' })}
+    </div>
+  `;
 }
 
-function computeDuration(start, end) {
-  if (!start || !end) return '—';
-  const ms = new Date(end) - new Date(start);
-  if (ms < 0) return '—';
-  const s = Math.floor(ms / 1000);
-  if (s < 60) return `${s}s`;
-  const m = Math.floor(s / 60), rs = s % 60;
-  if (m < 60) return `${m}m ${rs}s`;
-  return `${Math.floor(m / 60)}h ${m % 60}m`;
+// ═══════════════════════════════════════════════════
+//  EXPORT — CSV, JSON bundle and weekly report of the view (export.js)
+// ═══════════════════════════════════════════════════
+function viewJobsForExport() {
+  return viewRepos.flatMap(repo => (viewData[repo.name]?.jobs || []).map(job => ({ ...job, repo: repo.name })));
 }
 
-function relativeTime(dateStr) {
-  if (!dateStr) return '—';
-  const diff = Date.now() - new Date(dateStr).getTime();
-  const MIN = 60000, HOUR = 3600000, DAY = 86400000;
-  if (diff < MIN) return 'just now';
-  if (diff < HOUR) return `${Math.floor(diff / MIN)}m ago`;
-  if (diff < DAY) return `${Math.floor(diff / HOUR)}h ago`;
-  if (diff < 7 * DAY) return `${Math.floor(diff / DAY)}d ago`;
-  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+// The week up to the "until" filter (or now) across the repos in view.
+// Coverage and security deltas come from the history files, fetched on demand.
+async function buildViewReport() {
+  const entries = await Promise.all(viewRepos.filter(repo => viewData[repo.name]).map(async repo => {
+    let history = [];
+    try {
+      history = (await fetchJSON(`${DATA_PATH}/${repo.name}.history.json`))?.entries || [];
+    } catch (_) {}
+    return { repo, runs: viewData[repo.name].runs || [], jobs: viewData[repo.name].jobs || [], history };
+  }));
+  const until = parseUntil(filters.until);
+  return buildWeeklyReport({
+    title: manifest.title || 'CI/CD Dashboard',
+    entries,
+    streak: computeStreak(),
+    to: until && until < new Date() ? until : new Date()
+  });
 }
 
+// ═══════════════════════════════════════════════════
+//  UTILITIES
+// ═══════════════════════════════════════════════════
 function loadCache() {
   try {
     const raw = localStorage.getItem(CACHE_KEY);
     if (!raw) return null;
-    const d = JSON.parse(raw);
-    return (Date.now() - d.ts <= CACHE_TTL) ? d : null;
+    return JSON.parse(raw);
   } catch (_) { return null; }
 }
 
@@ -768,12 +1598,19 @@ function setRefreshing(on) {
 function updateDataSourceBadge(source, generatedAt) {
   const badge = document.getElementById('data-source-badge');
   badge.className = 'badge';
-  if (source === 'static') {
+  if (source === 'live') {
+    badge.textContent = 'LIVE';
+    badge.title = `In-flight runs from the API over data generated ${generatedAt ? new Date(generatedAt).toLocaleString() : 'at an unknown time'}`;
+    badge.classList.add('live');
+  } else if (source === 'static') {
     badge.textContent = 'STATIC';
     badge.title = generatedAt ? `Data generated: ${new Date(generatedAt).toLocaleString()}` : 'Pre-generated data (no API calls)';
-  } else if (source === 'cached') {
-    badge.textContent = 'CACHED';
+  } else if (source === 'offline' || source === 'cached') {
+    // Old data must never pass for live data on a wall screen
+    badge.textContent = source === 'offline' ? 'OFFLINE' : 'CACHED';
+    badge.title = `Showing data as of ${dataAsOf(generatedAt)}`;
     badge.classList.add('stale');
+    document.getElementById('last-updated').textContent = `Data as of ${dataAsOf(generatedAt)}`;
   } else {
     badge.textContent = 'ERROR';
     badge.classList.add('error');
@@ -786,9 +1623,14 @@ function updateLastRefreshed() {
 
 function startAutoRefresh() {
   if (refreshTimer) clearInterval(refreshTimer);
-  refreshTimer = setInterval(() => refresh(), manifest?.refreshIntervalMs || 300000);
+  const interval = manifest?.refreshIntervalMs || 300000;
+  refreshTimer = setInterval(() => refresh(), live ? Math.min(interval, live.config.intervalMs) : interval);
 }
 
 function showGlobalError(msg) {
-  document.getElementById('summary-strip').innerHTML = `<div class="error-state" style="grid-column:1/-1">${msg}</div>`;
+  if (wallboard) {
+    document.getElementById('wallboard').innerHTML = `<div class="wb-stale">⚠ ${escapeHtml(msg)}</div>`;
+    return;
+  }
+  document.getElementById('summary-strip').innerHTML = `<div class="error-state" style="grid-column:1/-1">${escapeHtml(msg)}</div>`;
 }
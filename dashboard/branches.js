@@ -0,0 +1,302 @@
+/* ═══════════════════════════════════════════════════════════
+   Branches Page — CI/CD Dashboard
+   CI status per branch and pull request across repos, from
+   data/<repo>.json and data/<repo>.pulls.json.
+   ?repo=<name> / ?group=<key> narrow the page, ?show= picks
+   active (default), prs, failing, stale or all. A branch whose
+   latest commit is red and that hasn't run for
+   manifest.json "branches.staleAfterDays" (default 3) is stale.
+   ═══════════════════════════════════════════════════════════ */
+
+import { DATA_PATH, fetchJSON, loadManifest, loadSchemaRegistry, relativeTime, repoInGroup } from './core/index.mjs';
+import { renderDataProblems } from './data-problems.js';
+import { escapeHtml, safeUrl } from './html.js';
+import { dataAsOf, isOffline, registerServiceWorker } from './pwa.js';
+
+const DEFAULT_STALE_DAYS = 3;
+const MAX_SHAS = 8;
+const SHOW_MODES = {
+  active:  'Active',
+  prs:     'Pull requests',
+  failing: 'Failing',
+  stale:   'Stale & failing',
+  all:     'All'
+};
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'startup_failure']);
+const PASSED_CONCLUSIONS = new Set(['success', 'skipped', 'neutral']);
+
+let manifest = null;
+let manifestProblem = null;  // { file, problems, skipped } when manifest.json failed schema checks
+let branchRows = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('refresh-btn').addEventListener('click', () => loadBranches());
+  window.addEventListener('online', () => loadBranches());
+  document.getElementById('branches-content').addEventListener('click', e => {
+    const btn = e.target.closest('[data-show]');
+    if (!btn) return;
+    const params = new URLSearchParams(window.location.search);
+    if (btn.dataset.show === 'active') params.delete('show');
+    else params.set('show', btn.dataset.show);
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    renderBranches(branchRows);
+  });
+  registerServiceWorker(() => loadBranches());
+  await loadBranches();
+});
+
+async function loadBranches() {
+  const content = document.getElementById('branches-content');
+  content.innerHTML = '<div class="loading-detail">Loading…</div>';
+
+  manifestProblem = null;
+  try {
+    ({ manifest, problem: manifestProblem } = await loadManifest(await loadSchemaRegistry()));
+    const params = new URLSearchParams(window.location.search);
+    const only = params.get('repo');
+    const group = params.get('group');
+    const repos = (manifest.repos || [])
+      .filter(r => !only || r.name === only)
+      .filter(r => !group || repoInGroup(manifest, r, group));
+    if (repos.length === 0) throw new Error(only ? `${only} is not in the manifest` : 'No repos match');
+
+    const entries = await Promise.all(repos.map(async repo => {
+      let data = null, pulls = null;
+      try {
+        data = await fetchJSON(`${DATA_PATH}/${repo.name}.json`);
+      } catch (_) {}
+      try {
+        pulls = await fetchJSON(`${DATA_PATH}/${repo.name}.pulls.json`);
+      } catch (_) {}
+      return { repo, data, pulls };
+    }));
+
+    const generatedAt = entries.map(e => e.data?.generated_at).filter(Boolean).sort().pop();
+    document.getElementById('dashboard-subtitle').textContent = isOffline()
+      ? `Offline · data as of ${dataAsOf(generatedAt)}`
+      : 'CI status per branch and pull request';
+
+    const staleDays = manifest.branches?.staleAfterDays ?? DEFAULT_STALE_DAYS;
+    branchRows = entries.flatMap(({ repo, data, pulls }) =>
+      branchStatuses(repo, data?.runs || [], pulls?.pulls || [], staleDays));
+    renderBranches(branchRows);
+  } catch (err) {
+    content.innerHTML = `${manifestReport()}<div class="loading-detail">Error: ${escapeHtml(err.message)}. <a href="index.html">Go back</a></div>`;
+  }
+}
+
+// What was wrong with manifest.json, shown above the page
+function manifestReport() {
+  return manifestProblem ? renderDataProblems(manifestProblem) : '';
+}
+
+// ═══════════════════════════════════════════════════
+//  BRANCH STATUS — runs grouped per branch, then per commit
+// ═══════════════════════════════════════════════════
+
+// One row per branch that has CI runs:
+// { repo, branch, pull, shas: [shaStatus], latest, lastRunAt, redSince, failing, stale }
+function branchStatuses(repo, runs, pulls, staleDays, now = Date.now()) {
+  const byBranch = new Map();
+  runs
+    .filter(r => !(r.name || '').toLowerCase().includes('release'))
+    .forEach(r => {
+      const branch = r.head_branch || 'unknown';
+      if (!byBranch.has(branch)) byBranch.set(branch, []);
+      byBranch.get(branch).push(r);
+    });
+
+  return [...byBranch.entries()].map(([branch, branchRuns]) => {
+    branchRuns.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    const shas = commitStatuses(branchRuns);
+    const latest = shas[0];
+    const lastRunAt = branchRuns[0].created_at;
+
+    // Oldest run of the unbroken run of red commits at the tip
+    const redStreak = [];
+    for (const sha of shas) {
+      if (sha.conclusion !== 'failure') break;
+      redStreak.push(sha);
+    }
+    const redSince = redStreak.length > 0 ? redStreak[redStreak.length - 1].firstRunAt : null;
+
+    const failing = latest.conclusion === 'failure';
+    const idleMs = now - new Date(lastRunAt).getTime();
+    return {
+      repo,
+      branch,
+      pull: branchPull(branch, branchRuns, pulls),
+      shas,
+      latest,
+      lastRunAt,
+      redCommits: redStreak.length,
+      redSince,
+      failing,
+      stale: failing && idleMs > staleDays * 86400000
+    };
+  });
+}
+
+// Per commit, newest first: the latest attempt of every workflow that ran on
+// it decides the conclusion; attempts is the most re-runs any of them took
+function commitStatuses(branchRuns) {
+  const bySha = new Map();
+  branchRuns.forEach(r => {
+    const sha = r.head_sha || `run-${r.id}`;
+    if (!bySha.has(sha)) bySha.set(sha, []);
+    bySha.get(sha).push(r);
+  });
+
+  return [...bySha.entries()].map(([sha, shaRuns]) => {
+    const latestPerWorkflow = new Map();
+    shaRuns.forEach(r => { if (!latestPerWorkflow.has(r.name)) latestPerWorkflow.set(r.name, r); });
+    const current = [...latestPerWorkflow.values()];
+    return {
+      sha,
+      conclusion: commitConclusion(current),
+      attempts: Math.max(...current.map(r => r.run_attempt || 1)),
+      runs: current,
+      event: shaRuns[0].event,
+      actor: shaRuns[0].actor,
+      lastRunAt: shaRuns[0].created_at,
+      firstRunAt: shaRuns[shaRuns.length - 1].created_at
+    };
+  });
+}
+
+function commitConclusion(runs) {
+  if (runs.some(r => r.status && r.status !== 'completed')) return 'in_progress';
+  if (runs.some(r => FAILED_CONCLUSIONS.has(r.conclusion))) return 'failure';
+  if (runs.every(r => PASSED_CONCLUSIONS.has(r.conclusion))) return 'success';
+  return runs.some(r => r.conclusion === 'cancelled') ? 'cancelled' : 'unknown';
+}
+
+// The PR a branch is the head of: one its runs name, else an open PR from a
+// branch of that name (fork PRs, whose runs carry no PR numbers). A PR the
+// branch is only the base of doesn't count, so main never takes one over.
+function branchPull(branch, branchRuns, pulls) {
+  const numbers = new Set(branchRuns.flatMap(r => r.pull_requests || []));
+  const shas = new Set(branchRuns.map(r => r.head_sha));
+  const candidates = pulls.filter(p => p.head_ref === branch &&
+    (numbers.has(p.number) || p.state === 'open' || shas.has(p.head_sha)));
+  return candidates.sort((a, b) => (b.state === 'open') - (a.state === 'open') || b.number - a.number)[0] || null;
+}
+
+function matchesShow(row, show) {
+  switch (show) {
+    case 'prs':     return !!row.pull && row.pull.state === 'open';
+    case 'failing': return row.failing && matchesShow(row, 'active');
+    case 'stale':   return row.stale && matchesShow(row, 'active');
+    case 'all':     return true;
+    // Branches of closed and merged PRs are done with
+    default:        return !row.pull || row.pull.state === 'open';
+  }
+}
+
+// Stale first, then failing, running, and the most recently active
+function branchRank(row) {
+  if (row.stale) return 0;
+  if (row.failing) return 1;
+  if (row.latest.conclusion === 'in_progress') return 2;
+  return 3;
+}
+
+// ═══════════════════════════════════════════════════
+//  RENDERING
+// ═══════════════════════════════════════════════════
+function renderBranches(rows) {
+  const requested = new URLSearchParams(window.location.search).get('show');
+  const show = SHOW_MODES[requested] ? requested : 'active';
+  const visible = rows
+    .filter(row => matchesShow(row, show))
+    .sort((a, b) => branchRank(a) - branchRank(b) || String(b.lastRunAt).localeCompare(String(a.lastRunAt)));
+
+  const active = rows.filter(row => matchesShow(row, 'active'));
+  const stat = (value, label, cls = '') => `<div class="branch-stat ${cls}"><span class="branch-stat-value">${value}</span><span class="branch-stat-label">${label}</span></div>`;
+
+  document.getElementById('branches-content').innerHTML = `
+    ${manifestReport()}
+    <div class="branch-stats">
+      ${stat(active.length, 'active branches')}
+      ${stat(rows.filter(row => matchesShow(row, 'prs')).length, 'open pull requests')}
+      ${stat(active.filter(row => row.failing).length, 'failing', active.some(row => row.failing) ? 'fail' : 'ok')}
+      ${stat(active.filter(row => row.stale).length, 'stale & failing', active.some(row => row.stale) ? 'fail' : 'ok')}
+    </div>
+
+    <div class="detail-section">
+      <div class="filter-group branch-show">
+        ${Object.entries(SHOW_MODES).map(([key, label]) =>
+          `<button class="filter-btn ${key === show ? 'active' : ''}" data-show="${key}">${label}</button>`).join('')}
+      </div>
+      ${visible.length === 0
+        ? '<div class="text-muted branch-empty">No branches to show</div>'
+        : `
+      <table class="run-history-table branch-table">
+        <thead>
+          <tr><th>Branch / pull request</th><th>Repository</th><th>Latest commit</th><th>Recent commits</th><th>Last run</th></tr>
+        </thead>
+        <tbody>
+          ${visible.map(renderBranchRow).join('')}
+        </tbody>
+      </table>`}
+    </div>
+  `;
+}
+
+function renderBranchRow(row) {
+  const { repo, pull, latest } = row;
+  const pullHtml = pull
+    ? `<div class="branch-pull">
+         <a href="${safeUrl(pull.html_url)}" target="_blank">#${pull.number}</a> ${escapeHtml(pull.title)}
+         ${pull.draft ? '<span class="branch-badge neutral">draft</span>' : ''}
+         ${pull.state !== 'open' ? `<span class="branch-badge neutral">${pull.merged_at ? 'merged' : 'closed'}</span>` : ''}
+       </div>
+       <div class="text-muted">${pull.author ? `by ${escapeHtml(pull.author.login)} · ` : ''}into ${escapeHtml(pull.base_ref || '—')}</div>`
+    : '';
+
+  let status = '';
+  if (row.stale) status = `<span class="branch-badge fail" title="Latest commit is red and nothing has run since">stale · red for ${age(row.redSince)}</span>`;
+  else if (row.failing) status = `<span class="branch-badge fail">red for ${row.redCommits} commit${row.redCommits === 1 ? '' : 's'}</span>`;
+
+  return `
+          <tr class="${row.stale ? 'branch-stale' : ''}">
+            <td>
+              <div class="branch-name"><span class="status-dot" style="background:${statusColor(latest.conclusion)}"></span>${escapeHtml(row.branch)} ${status}</div>
+              ${pullHtml}
+            </td>
+            <td><a href="repo.html?repo=${encodeURIComponent(repo.name)}">${escapeHtml(repo.icon || '📦')} ${escapeHtml(repo.displayName || repo.name)}</a></td>
+            <td>
+              <div><span class="branch-sha">${escapeHtml(latest.sha.slice(0, 7))}</span> ${conclusionText(latest.conclusion)}</div>
+              <div class="text-muted">${attemptsText(latest)}</div>
+            </td>
+            <td class="branch-shas">${row.shas.slice(0, MAX_SHAS).map(renderShaDot).join('')}</td>
+            <td>${relativeTime(row.lastRunAt)}${latest.actor ? `<div class="text-muted">${escapeHtml(latest.actor.login)}</div>` : ''}</td>
+          </tr>`;
+}
+
+function renderShaDot(sha) {
+  const title = `${sha.sha.slice(0, 7)} — ${sha.conclusion}${sha.attempts > 1 ? ` after ${sha.attempts} attempts` : ''}`;
+  const run = sha.runs[0];
+  return `<a class="history-dot ${sha.conclusion} ${sha.attempts > 1 ? 'retried' : ''}" href="${safeUrl(run.html_url)}" target="_blank" title="${escapeHtml(title)}"></a>`;
+}
+
+// How many attempts the commit took (or has taken so far) to go green
+function attemptsText(sha) {
+  if (sha.conclusion === 'success') return sha.attempts === 1 ? 'green on the first attempt' : `green after ${sha.attempts} attempts`;
+  if (sha.conclusion === 'in_progress') return `attempt ${sha.attempts} running`;
+  return `not green after ${sha.attempts} attempt${sha.attempts === 1 ? '' : 's'}`;
+}
+
+function conclusionText(c) {
+  return { success: 'passing', failure: 'failing', in_progress: 'running', cancelled: 'cancelled' }[c] || 'unknown';
+}
+
+function age(dateStr) {
+  const ms = Date.now() - new Date(dateStr).getTime();
+  return ms >= 86400000 ? `${Math.floor(ms / 86400000)}d` : `${Math.max(1, Math.floor(ms / 3600000))}h`;
+}
+
+function statusColor(c) {
+  return { success: 'var(--success)', failure: 'var(--failure)', cancelled: 'var(--cancelled)', in_progress: 'var(--in-progress)' }[c] || 'var(--text-muted)';
+}
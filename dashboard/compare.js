@@ -0,0 +1,101 @@
+/* ═══════════════════════════════════════════════════════════
+   Compare — repo.html?repo=<name>&compare=<runA>,<runB>
+   ══════════════════════════════════════════════════════════
+   What changed between two runs of a repo: the jobs that were
+   added, removed, broke or got fixed and how their durations
+   moved, the ciStats deltas (from the history entries) and the
+   commits between the two head SHAs, followed through
+   data/<repo>.commits.json ({ shas: { <sha>: { base_sha,
+   commits } } }) from the newer commit back to the older one.
+   ═══════════════════════════════════════════════════════════ */
+
+import { hasStats, jobDurationMs, listMetrics, metricText, metricValue } from './core/index.mjs';
+
+const LOWER_IS_BETTER = new Set(['failed', 'errors', 'warnings', 'skipped', 'sast', 'deps', 'critical', 'high', 'medium', 'low']);
+const HIGHER_IS_BETTER = new Set(['coverage', 'passed']);
+const MAX_COMMIT_HOPS = 100;
+
+// "123,456" → [123, 456], or null unless it names two runs
+export function parseCompareParam(value) {
+  const ids = String(value || '').split(',').map(s => Number(s.trim())).filter(n => Number.isInteger(n) && n > 0);
+  return ids.length === 2 && ids[0] !== ids[1] ? ids : null;
+}
+
+// Older run first
+export function orderRuns(a, b) {
+  return String(a.created_at) <= String(b.created_at) ? [a, b] : [b, a];
+}
+
+// The run to compare `run` with: the one before it of the same workflow on
+// the same branch, else of the same workflow on any branch.
+// `runs` must be sorted newest first.
+export function previousRunOf(runs, run) {
+  const older = runs.filter(r => r.name === run.name && String(r.created_at) < String(run.created_at));
+  return older.find(r => r.head_branch === run.head_branch) || older[0] || null;
+}
+
+// One row per job name: { name, a, b, change, deltaMs }. change is added,
+// removed, broke, fixed, changed (other conclusion) or same.
+export function diffJobs(jobsA, jobsB) {
+  const byName = jobs => new Map(jobs.map(j => [j.name, j]));
+  const a = byName(jobsA), b = byName(jobsB);
+  const names = [...new Set([...a.keys(), ...b.keys()])];
+
+  const rank = { broke: 0, fixed: 1, added: 2, removed: 3, changed: 4, same: 5 };
+  return names.map(name => {
+    const ja = a.get(name) || null, jb = b.get(name) || null;
+    let change = 'same';
+    if (!ja) change = 'added';
+    else if (!jb) change = 'removed';
+    else if (ja.conclusion !== jb.conclusion) {
+      change = jb.conclusion === 'failure' ? 'broke' : ja.conclusion === 'failure' && jb.conclusion === 'success' ? 'fixed' : 'changed';
+    }
+    const da = ja ? jobDurationMs(ja) : null, db = jb ? jobDurationMs(jb) : null;
+    return { name, a: ja, b: jb, change, deltaMs: da !== null && db !== null ? db - da : null };
+  }).sort((x, y) => rank[x.change] - rank[y.change] || x.name.localeCompare(y.name));
+}
+
+// One row per metric of every stat type either run recorded:
+// { type, name, a, b, delta, trend } — trend is better, worse, same or null
+export function diffStats(statsA, statsB) {
+  const order = ['lint', 'test', 'security'];
+  const types = [...new Set([...Object.keys(statsA || {}), ...Object.keys(statsB || {})])]
+    .filter(type => hasStats(statsA?.[type]) || hasStats(statsB?.[type]))
+    .sort((x, y) => {
+      const ix = order.indexOf(x), iy = order.indexOf(y);
+      return (ix === -1 ? order.length : ix) - (iy === -1 ? order.length : iy) || x.localeCompare(y);
+    });
+
+  return types.flatMap(type => {
+    const blockA = statsA?.[type], blockB = statsB?.[type];
+    const names = [...new Set([...listMetrics(blockA), ...listMetrics(blockB)].map(m => m.name))];
+    return names.map(name => {
+      const va = metricValue(blockA, name), vb = metricValue(blockB, name);
+      const delta = va !== null && vb !== null ? vb - va : null;
+      let trend = null;
+      if (delta === 0) trend = 'same';
+      else if (delta !== null && LOWER_IS_BETTER.has(name)) trend = delta < 0 ? 'better' : 'worse';
+      else if (delta !== null && HIGHER_IS_BETTER.has(name)) trend = delta > 0 ? 'better' : 'worse';
+      return { type, name, a: metricText(blockA, name), b: metricText(blockB, name), delta, trend };
+    });
+  });
+}
+
+// Commits after baseSha up to and including headSha, newest first.
+// complete is false when the chain breaks before reaching baseSha (the runs
+// are on different branches, or a range hasn't been looked up yet).
+export function commitsBetween(commitsData, baseSha, headSha) {
+  if (!baseSha || !headSha || baseSha === headSha) return { commits: [], complete: true, truncated: false };
+  const commits = [];
+  let truncated = false;
+  let sha = headSha;
+  for (let hop = 0; hop < MAX_COMMIT_HOPS; hop++) {
+    const entry = commitsData?.shas?.[sha];
+    if (!entry) return { commits, complete: false, truncated };
+    commits.push(...entry.commits);
+    truncated = truncated || entry.truncated;
+    if (entry.base_sha === baseSha) return { commits, complete: true, truncated };
+    sha = entry.base_sha;
+  }
+  return { commits, complete: false, truncated };
+}
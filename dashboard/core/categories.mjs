@@ -0,0 +1,92 @@
+/* ═══════════════════════════════════════════════════════════
+   Job Categorisation — dashboard core
+   ══════════════════════════════════════════════════════════
+   Categories come from manifest.json:
+     • "categories" at the top level apply to every repo
+     • "categories" on a repo entry are merged over them by key
+       (override fields, add new ones, or "enabled": false to drop)
+   Each category: key, label, icon, include[], exclude[], order,
+   scope ("jobs" classifies job names, "runs" classifies run names).
+   Patterns are case-insensitive regular expression strings.
+   ═══════════════════════════════════════════════════════════ */
+
+// Used when manifest.json declares no categories
+export const DEFAULT_CATEGORIES = [
+  { key: 'lint',     label: 'Lint',       icon: '🔍', include: ['lint'], order: 10 },
+  { key: 'test',     label: 'Unit Tests', icon: '🧪', include: ['test'], order: 20 },
+  { key: 'security', label: 'Security',   icon: '🛡️', include: ['security', 'scan', 'sast', 'trivy', 'vuln'], order: 30 },
+  { key: 'release',  label: 'Release',    icon: '🚀', include: ['release'], order: 40, scope: 'runs' },
+];
+
+const categoryCache = new Map();
+
+// Resolved, ordered category definitions for one repo (memoised per manifest + repo)
+export function resolveCategories(manifest, repo) {
+  const cacheKey = repo?.name || '';
+  const cached = categoryCache.get(cacheKey);
+  if (cached && cached.manifest === manifest) return cached.categories;
+
+  const byKey = new Map();
+  const base = Array.isArray(manifest?.categories) && manifest.categories.length > 0 ? manifest.categories : DEFAULT_CATEGORIES;
+  base.forEach(c => { if (c?.key) byKey.set(c.key, { ...c }); });
+  (repo?.categories || []).forEach(c => {
+    if (!c?.key) return;
+    byKey.set(c.key, { ...(byKey.get(c.key) || {}), ...c });
+  });
+
+  const categories = [...byKey.values()]
+    .filter(c => c.enabled !== false)
+    .map((c, idx) => ({
+      key:     c.key,
+      label:   c.label || c.key,
+      icon:    c.icon || '⚙️',
+      order:   typeof c.order === 'number' ? c.order : 1000 + idx,
+      scope:   c.scope === 'runs' ? 'runs' : 'jobs',
+      include: compilePatterns(c.include, c.key),
+      exclude: compilePatterns(c.exclude, c.key)
+    }))
+    .sort((a, b) => a.order - b.order);
+
+  categoryCache.set(cacheKey, { manifest, categories });
+  return categories;
+}
+
+export function compilePatterns(patterns, key) {
+  return (patterns || []).map(p => {
+    try {
+      return new RegExp(p, 'i');
+    } catch (err) {
+      console.warn(`Ignoring invalid pattern "${p}" in category "${key}": ${err.message}`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+function matchesCategory(cat, name) {
+  return cat.include.some(p => p.test(name)) && !cat.exclude.some(p => p.test(name));
+}
+
+// Category key for a job name, or null when no job-scoped category matches
+export function classifyName(name, categories) {
+  const n = name || '';
+  const cat = categories.find(c => c.scope === 'jobs' && matchesCategory(c, n));
+  return cat ? cat.key : null;
+}
+
+// Run-scoped category (e.g. Release) for a whole workflow run, or null for CI runs
+export function classifyRun(run, categories) {
+  const n = run?.name || '';
+  return categories.find(c => c.scope === 'runs' && matchesCategory(c, n)) || null;
+}
+
+// Runs that fail before starting are named after the workflow file
+// (".github/workflows/release.yml"); this maps both to "release"
+export function workflowKey(name) {
+  return String(name || '').replace(/^.*\//, '').replace(/\.ya?ml$/i, '').toLowerCase();
+}
+
+export function emptyCategories(categories) {
+  const cats = {};
+  categories.forEach(c => { cats[c.key] = { items: [], latest: null, conclusion: 'unknown' }; });
+  return cats;
+}
@@ -0,0 +1,91 @@
+/* ═══════════════════════════════════════════════════════════
+   CI Stats — dashboard core, also used by the generator
+   ══════════════════════════════════════════════════════════
+   ciStats (and history entries) hold one block per stat type:
+     v2:     { version: 2, tool, metrics: { name: { value, unit } }, breakdown[] }
+     legacy: { name: "string", … } from ci_lint / ci_test / ci_security
+   Every helper accepts either shape, so older data files and
+   history entries keep rendering. The legacy annotation parser
+   (scripts/lib/annotations.mjs) turns the pipe-separated
+   strings into blocks with the same two helpers at the top.
+   ═══════════════════════════════════════════════════════════ */
+
+// Names like "__proto__" or "constructor" come from annotation text, so
+// they must never be used as keys of the plain objects built from it
+export function isReservedKey(key) {
+  return key in Object.prototype;
+}
+
+// "key1=val1|key2=val2" → { key1: 'val1', key2: 'val2' }.
+// Splits on the first "=" only, so values may themselves contain "=".
+export function parseKeyValues(message) {
+  const out = {};
+  String(message || '').split('|').forEach(pair => {
+    const idx = pair.indexOf('=');
+    if (idx === -1) return;
+    const key = pair.slice(0, idx).trim();
+    if (key && !isReservedKey(key)) out[key] = pair.slice(idx + 1).trim();
+  });
+  return out;
+}
+
+// Legacy string → typed metric: "87%" → { value: 87, unit: '%' }, "N/A" → { value: null }
+export function parseLegacyValue(raw) {
+  const str = String(raw ?? '').trim();
+  const match = /^(-?\d+(?:\.\d+)?)\s*([a-zA-Z%]+)?$/.exec(str);
+  if (match) return match[2] ? { value: Number(match[1]), unit: match[2] } : { value: Number(match[1]) };
+  if (str === '' || /^(n\/a|—|-)$/i.test(str)) return { value: null };
+  return { value: str };
+}
+
+export function normalizeStatBlock(block) {
+  if (!block || typeof block !== 'object') return { version: null, tool: null, metrics: {}, breakdown: [] };
+  if (block.version >= 2 || (block.metrics && typeof block.metrics === 'object')) {
+    return { version: block.version || 2, tool: block.tool || null, metrics: block.metrics || {}, breakdown: block.breakdown || [] };
+  }
+  const metrics = {};
+  Object.entries(block).forEach(([k, v]) => { metrics[k] = parseLegacyValue(v); });
+  return { version: 1, tool: null, metrics, breakdown: [] };
+}
+
+function statMetric(block, name) {
+  const m = normalizeStatBlock(block).metrics[name];
+  if (m === undefined) return null;
+  return m !== null && typeof m === 'object' ? m : { value: m };
+}
+
+// Numeric value of a metric, or null when missing / not a number
+export function metricValue(block, name) {
+  const v = statMetric(block, name)?.value;
+  return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+// Display text for a metric ("87.5%", "12 kB", "pass"), or the fallback
+export function metricText(block, name, fallback = '—') {
+  return formatMetric(statMetric(block, name), fallback);
+}
+
+function formatMetric(m, fallback = '—') {
+  if (!m || m.value === null || m.value === undefined || m.value === '') return fallback;
+  const value = typeof m.value === 'number' ? +m.value.toFixed(2) : m.value;
+  if (!m.unit) return String(value);
+  return m.unit === '%' ? `${value}%` : `${value} ${m.unit}`;
+}
+
+export function hasStats(block) {
+  return Object.keys(normalizeStatBlock(block).metrics).length > 0;
+}
+
+// [{ name, text, value }] for generic rendering of any stat type
+export function listMetrics(block) {
+  return Object.entries(normalizeStatBlock(block).metrics).map(([name, m]) => ({
+    name,
+    text: formatMetric(m !== null && typeof m === 'object' ? m : { value: m }),
+    value: metricValue(block, name)
+  }));
+}
+
+// "build_size" → "Build Size"
+export function statLabel(name) {
+  return String(name).replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
@@ -0,0 +1,166 @@
+/* ═══════════════════════════════════════════════════════════
+   Actions Cost — dashboard core
+   ══════════════════════════════════════════════════════════
+   Estimates what the stored jobs cost on GitHub-hosted runners,
+   the way GitHub bills them:
+     • each job is rounded up to a whole minute
+     • the minutes are multiplied by the runner OS's multiplier
+       (Linux 1, Windows 2, macOS 10; self-hosted runners are free)
+     • billable minutes × manifest.billing.ratePerMinute
+   The OS comes from the job's runner labels, else from a matrix
+   leg's name ("Test (20, windows-latest)"), else billing.defaultOs.
+   Every attempt counts — a re-run is billed again.
+   ═══════════════════════════════════════════════════════════ */
+
+import { DAY_MS, elapsedMs } from './durations.mjs';
+import { parseMatrixJob } from './matrix.mjs';
+
+const DEFAULT_BILLING = {
+  ratePerMinute: 0.008,
+  currency: 'USD',
+  defaultOs: 'linux',
+  multipliers: { linux: 1, windows: 2, macos: 10, 'self-hosted': 0 }
+};
+
+const OS_FAMILIES = [
+  ['linux', /^(ubuntu|linux)\b/i],
+  ['windows', /^(windows|win)\b/i],
+  ['macos', /^(macos|darwin|mac)\b/i]
+];
+
+export function resolveBillingConfig(manifest) {
+  const billing = manifest?.billing || {};
+  return {
+    ...DEFAULT_BILLING,
+    ...billing,
+    multipliers: { ...DEFAULT_BILLING.multipliers, ...(billing.multipliers || {}) }
+  };
+}
+
+function osFamily(label) {
+  return OS_FAMILIES.find(([, re]) => re.test(label))?.[0] || null;
+}
+
+// 'linux' | 'windows' | 'macos' | 'self-hosted', or config.defaultOs when the
+// job says nothing about its runner (jobs stored before labels were kept)
+export function runnerOs(job, config) {
+  const labels = job.labels || [];
+  if (labels.some(l => l.toLowerCase() === 'self-hosted')) return 'self-hosted';
+  const os = [...labels, parseMatrixJob(job.name, labels)?.os].map(l => l && osFamily(l)).find(Boolean);
+  return os || config.defaultOs;
+}
+
+// { os, minutes, billableMinutes, cost } for a finished job, null while it
+// runs or when it never started
+export function jobCost(job, config) {
+  const ms = elapsedMs(job.started_at, job.completed_at);
+  if (ms === null) return null;
+  const os = runnerOs(job, config);
+  const minutes = Math.ceil(ms / 60000);
+  const billableMinutes = minutes * (config.multipliers[os] ?? 1);
+  return { os, minutes, billableMinutes, cost: billableMinutes * config.ratePerMinute };
+}
+
+// "YYYY-MM" in UTC, the month GitHub bills a job in
+export function billingMonth(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+// One entry per billed job of `runs`:
+// [{ job, workflow, cell, os, at, month, minutes, billableMinutes, cost }]
+// cell is "Test · 20 · windows-latest" for a matrix leg, else null
+export function collectJobCosts(runs, jobs, config) {
+  const workflows = new Map(runs.map(r => [r.id, r.name]));
+  return jobs.flatMap(job => {
+    const cost = jobCost(job, config);
+    if (!cost || !workflows.has(job.run_id)) return [];
+    const axes = parseMatrixJob(job.name, job.labels);
+    const at = new Date(job.completed_at).getTime();
+    return [{
+      job: job.name,
+      workflow: workflows.get(job.run_id),
+      cell: axes ? [axes.base, axes.version, axes.os].filter(Boolean).join(' · ') : null,
+      at,
+      month: billingMonth(at),
+      ...cost
+    }];
+  });
+}
+
+// [{ key, first, jobs, minutes, billableMinutes, cost }] most expensive first,
+// first being the group's first item (for labels); items keyFn returns null
+// for are left out
+export function sumCosts(items, keyFn) {
+  const totals = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (key === null || key === undefined) return;
+    if (!totals.has(key)) totals.set(key, { key, first: item, jobs: 0, minutes: 0, billableMinutes: 0, cost: 0 });
+    const t = totals.get(key);
+    t.jobs++;
+    t.minutes += item.minutes;
+    t.billableMinutes += item.billableMinutes;
+    t.cost += item.cost;
+  });
+  return [...totals.values()].sort((a, b) => b.cost - a.cost || b.billableMinutes - a.billableMinutes);
+}
+
+// The month containing asOf: { month, toDate, dailyRate, forecast } in cost and
+// { …Minutes } in billable minutes. The rest of the month is forecast at the
+// daily average of the `days` days up to asOf — or of the days since the
+// oldest item when the data covers less (at least one day); rateDays is that
+// span.
+export function forecastMonth(items, asOf, days = 30) {
+  const d = new Date(asOf);
+  const monthEnd = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  const month = billingMonth(asOf);
+  const inMonth = items.filter(i => i.month === month);
+  const recent = items.filter(i => i.at > asOf - days * DAY_MS && i.at <= asOf);
+  const sum = (list, field) => list.reduce((total, i) => total + i[field], 0);
+  const remainingDays = Math.max(monthEnd - asOf, 0) / DAY_MS;
+  const oldest = items.reduce((min, i) => Math.min(min, i.at), asOf);
+  const rateDays = Math.min(days, Math.max(1, (asOf - oldest) / DAY_MS));
+
+  const toDate = sum(inMonth, 'cost'), dailyRate = sum(recent, 'cost') / rateDays;
+  const toDateMinutes = sum(inMonth, 'billableMinutes'), dailyMinutes = sum(recent, 'billableMinutes') / rateDays;
+  return {
+    month,
+    toDate,
+    dailyRate,
+    rateDays,
+    forecast: toDate + dailyRate * remainingDays,
+    toDateMinutes,
+    forecastMinutes: toDateMinutes + dailyMinutes * remainingDays
+  };
+}
+
+// { from, to }: when the oldest and newest items finished, or null without
+// items. Jobs past the retention policy are gone from the data, so every
+// figure built from `items` covers this span only.
+export function costCoverage(items) {
+  if (items.length === 0) return null;
+  const times = items.map(i => i.at);
+  return { from: Math.min(...times), to: Math.max(...times) };
+}
+
+export function formatCost(amount, currency = DEFAULT_BILLING.currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: amount > 0 && amount < 1 ? 3 : 2 }).format(amount);
+  } catch (_) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+// "Dec 20, 2025 – Feb 9, 2026", or "Jan 3 – Feb 9, 2026" within one year (UTC)
+export function formatCoverage({ from, to }) {
+  const day = (time, year) => new Date(time).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', ...(year ? { year: 'numeric' } : {}), timeZone: 'UTC'
+  });
+  const sameYear = new Date(from).getUTCFullYear() === new Date(to).getUTCFullYear();
+  return `${day(from, !sameYear)} – ${day(to, true)}`;
+}
+
+// "Feb 2026" for a billingMonth() key
+export function formatBillingMonth(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
@@ -0,0 +1,120 @@
+/* ═══════════════════════════════════════════════════════════
+   Durations — dashboard core
+   ══════════════════════════════════════════════════════════
+   Wall time of runs and jobs, from the timestamps already in
+   the data files: run_started_at → updated_at for runs and
+   started_at → completed_at for jobs. Only completed work is
+   measured; skipped jobs and in-flight runs are left out so
+   they don't drag the percentiles down.
+   ═══════════════════════════════════════════════════════════ */
+
+export const DAY_MS = 86400000;
+
+export function elapsedMs(start, end) {
+  if (!start || !end) return null;
+  const ms = new Date(end) - new Date(start);
+  return isNaN(ms) || ms < 0 ? null : ms;
+}
+
+export function formatDurationMs(ms) {
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60), rs = s % 60;
+  if (m < 60) return `${m}m ${rs}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+}
+
+export function runDurationMs(run) {
+  if (run.status && run.status !== 'completed') return null;
+  return elapsedMs(run.run_started_at || run.created_at, run.updated_at);
+}
+
+export function jobDurationMs(job) {
+  if (job.status && job.status !== 'completed') return null;
+  if (job.conclusion === 'skipped') return null;
+  return elapsedMs(job.started_at, job.completed_at);
+}
+
+// Nearest-rank percentile; null for an empty list
+export function percentile(values, p) {
+  const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+// p50/p90 run duration per day, or per week once the runs span more than
+// three weeks: [{ created_at, label, count, p50, p90 }] oldest first
+export function durationTrend(runs) {
+  const timed = runs
+    .map(r => ({ at: new Date(r.created_at).getTime(), ms: runDurationMs(r) }))
+    .filter(r => r.ms !== null && !isNaN(r.at));
+  if (timed.length === 0) return [];
+
+  const span = Math.max(...timed.map(r => r.at)) - Math.min(...timed.map(r => r.at));
+  const bucketMs = span > 21 * DAY_MS ? 7 * DAY_MS : DAY_MS;
+  // Weeks start on Monday (1970-01-01 was a Thursday)
+  const offset = bucketMs === DAY_MS ? 0 : 3 * DAY_MS;
+
+  const buckets = new Map();
+  timed.forEach(r => {
+    const start = Math.floor((r.at + offset) / bucketMs) * bucketMs - offset;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(r.ms);
+  });
+
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, values]) => {
+      const created_at = new Date(start).toISOString();
+      const day = new Date(start).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+      return {
+        created_at,
+        label: `${bucketMs === DAY_MS ? day : `Week of ${day}`} · ${values.length} run${values.length === 1 ? '' : 's'}`,
+        count: values.length,
+        p50: percentile(values, 50),
+        p90: percentile(values, 90)
+      };
+    });
+}
+
+// Jobs grouped by name, slowest median first: [{ name, count, p50, p90, slowest }]
+export function slowestJobs(jobs) {
+  const byName = new Map();
+  jobs.forEach(job => {
+    const ms = jobDurationMs(job);
+    if (ms === null) return;
+    if (!byName.has(job.name)) byName.set(job.name, []);
+    byName.get(job.name).push({ job, ms });
+  });
+
+  return [...byName.entries()]
+    .map(([name, timed]) => {
+      const values = timed.map(t => t.ms);
+      return {
+        name,
+        count: values.length,
+        p50: percentile(values, 50),
+        p90: percentile(values, 90),
+        slowest: timed.reduce((a, b) => (b.ms > a.ms ? b : a)).job
+      };
+    })
+    .sort((a, b) => b.p50 - a.p50);
+}
+
+// Ids of the chain of jobs that bounds a run's wall time: the job that
+// finished last, then whichever job finished last before it started, and so
+// on. Job dependencies aren't in the data, so this follows the timestamps.
+export function criticalPath(jobs) {
+  const timed = jobs.filter(j => jobDurationMs(j) !== null);
+  const path = new Set();
+  let current = timed.reduce((a, b) => (!a || new Date(b.completed_at) > new Date(a.completed_at) ? b : a), null);
+
+  while (current) {
+    path.add(current.id);
+    const startedAt = new Date(current.started_at);
+    current = timed
+      .filter(j => !path.has(j.id) && new Date(j.completed_at) <= startedAt)
+      .reduce((a, b) => (!a || new Date(b.completed_at) > new Date(a.completed_at) ? b : a), null);
+  }
+  return path;
+}
@@ -0,0 +1,39 @@
+/* ═══════════════════════════════════════════════════════════
+   Formatting — dashboard core
+   ══════════════════════════════════════════════════════════
+   Plain-text labels for conclusions, durations and times, the
+   same on every page, and the CSS class for a conclusion.
+   Markup stays with the renderers.
+   ═══════════════════════════════════════════════════════════ */
+
+import { elapsedMs, formatDurationMs } from './durations.mjs';
+
+// The states the stylesheet has classes for; any other value from the API
+// (timed_out, stale, or something hostile) is styled as "unknown"
+const CONCLUSION_CLASSES = new Set(['success', 'failure', 'cancelled', 'skipped', 'in_progress', 'unknown']);
+
+export function conclusionClass(c) {
+  return CONCLUSION_CLASSES.has(c) ? c : 'unknown';
+}
+
+export function conclusionLabel(c) {
+  return { success: 'Passing', failure: 'Failing', cancelled: 'Cancelled', skipped: 'Skipped', in_progress: 'Running', unknown: 'Unknown' }[c] || c;
+}
+
+// "3m 12s" between two timestamps, "—" when either is missing
+export function computeDuration(start, end) {
+  const ms = elapsedMs(start, end);
+  return ms === null ? '—' : formatDurationMs(ms);
+}
+
+// "just now", "5m ago", "3h ago", "2d ago", then "Oct 18"
+export function relativeTime(dateStr) {
+  if (!dateStr) return '—';
+  const diff = Date.now() - new Date(dateStr).getTime();
+  const MIN = 60000, HOUR = 3600000, DAY = 86400000;
+  if (diff < MIN) return 'just now';
+  if (diff < HOUR) return `${Math.floor(diff / MIN)}m ago`;
+  if (diff < DAY) return `${Math.floor(diff / HOUR)}h ago`;
+  if (diff < 7 * DAY) return `${Math.floor(diff / DAY)}d ago`;
+  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
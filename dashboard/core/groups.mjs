@@ -0,0 +1,50 @@
+/* ═══════════════════════════════════════════════════════════
+   Owners & Groups — dashboard core, also used by the generator
+   ══════════════════════════════════════════════════════════
+   One manifest can span several GitHub owners (users or orgs):
+   a repo's owner is its own "owner", else its group's "owner",
+   else the top-level "owner".
+   Teams are declared in manifest.json "groups":
+     [{ key, label, icon, description, owner, repos: [names] }]
+   A repo belongs to the first group listing it; repos no group
+   lists are shown under "Other repos".
+   ═══════════════════════════════════════════════════════════ */
+
+export const UNGROUPED_KEY = '_other';
+
+function repoGroupDefs(manifest) {
+  return (Array.isArray(manifest?.groups) ? manifest.groups : []).filter(g => g?.key && g.key !== UNGROUPED_KEY);
+}
+
+function repoGroupDef(manifest, repo) {
+  return repoGroupDefs(manifest).find(g => (g.repos || []).includes(repo?.name)) || null;
+}
+
+export function repoOwner(manifest, repo) {
+  return repo?.owner || repoGroupDef(manifest, repo)?.owner || manifest?.owner || '';
+}
+
+export function repoUrl(manifest, repo) {
+  return `https://github.com/${repoOwner(manifest, repo)}/${repo.name}`;
+}
+
+// Declared groups in manifest order, each with its repos (from `repos`, in
+// that order), then an "Other repos" group when any are left over. Empty
+// groups are dropped. [] when the manifest declares no groups.
+export function resolveGroups(manifest, repos) {
+  const defs = repoGroupDefs(manifest);
+  if (defs.length === 0) return [];
+
+  const groups = defs.map(def => ({ key: def.key, label: def.label || def.key, icon: def.icon || '👥', description: def.description || '', repos: [] }));
+  const other = { key: UNGROUPED_KEY, label: 'Other repos', icon: '📁', description: '', repos: [] };
+  repos.forEach(repo => {
+    const def = repoGroupDef(manifest, repo);
+    (def ? groups.find(g => g.key === def.key) : other).repos.push(repo);
+  });
+  return [...groups, other].filter(g => g.repos.length > 0);
+}
+
+export function repoInGroup(manifest, repo, key) {
+  const def = repoGroupDef(manifest, repo);
+  return key === UNGROUPED_KEY ? !def : def?.key === key;
+}
@@ -0,0 +1,22 @@
+/* ═══════════════════════════════════════════════════════════
+   Dashboard Core — data and domain logic, no DOM
+   ══════════════════════════════════════════════════════════
+   One set of ES modules for loading, normalisation,
+   categorisation and stats. The pages import them from here,
+   and so can Node (the generator, one-off scripts, tests):
+     import { buildRepoModel } from './dashboard/core/index.mjs';
+   Nothing in core/ touches the document or browser storage,
+   so every module loads outside a browser.
+   ═══════════════════════════════════════════════════════════ */
+
+export * from './categories.mjs';
+export * from './ci-stats.mjs';
+export * from './cost.mjs';
+export * from './durations.mjs';
+export * from './format.mjs';
+export * from './groups.mjs';
+export * from './load.mjs';
+export * from './matrix.mjs';
+export * from './model.mjs';
+export * from './runs.mjs';
+export * from './schema.mjs';
@@ -0,0 +1,75 @@
+/* ═══════════════════════════════════════════════════════════
+   Loading — dashboard core
+   ══════════════════════════════════════════════════════════
+   Reads manifest.json and the static files the generator
+   writes, the same way on every page: a repo's data comes from
+   its slice of data/dashboard-data.json when the combined file
+   has one, else from data/<repo>.json. Schema problems are
+   returned alongside the data rather than thrown, so the
+   caller decides what to skip and what to show (see
+   usableRepoData()).
+   ═══════════════════════════════════════════════════════════ */
+
+import { pruneToSchema, SCHEMA_FILES, schemaProblemsUnder, validateSchema } from './schema.mjs';
+
+export const DATA_PATH = 'data';  // static JSON files generated by CI
+
+export async function fetchJSON(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
+  return resp.json();
+}
+
+// manifest.json: { manifest, problem }. Whatever breaks the schema is pruned
+// (a bad repo entry drops that repo, not the page); problem is the report for
+// renderDataProblems(), or null when the file is valid or schemas is null.
+export async function loadManifest(schemas) {
+  const data = await fetchJSON('manifest.json');
+  if (!schemas) return { manifest: data, problem: null };
+  const { value, problems } = pruneToSchema(schemas[SCHEMA_FILES.manifest], data, schemas);
+  if (problems.length === 0) return { manifest: data, problem: null };
+  const repos = Array.isArray(value?.repos) ? value.repos : [];
+  const listed = Array.isArray(data?.repos) ? data.repos.length : 0;
+  return {
+    manifest: { ...value, repos },
+    problem: { file: 'manifest.json', problems, skipped: { repo: listed - repos.length } }
+  };
+}
+
+// data/dashboard-data.json: { data, problems, fileProblems, error }.
+// fileProblems are the problems outside the repo slices; data is null when the
+// file is missing (error says why) or its "repos" is unusable, so the per-repo
+// files are read instead. schemas is loadSchemaRegistry()'s result.
+export async function loadCombinedData(schemas) {
+  let data;
+  try {
+    data = await fetchJSON(`${DATA_PATH}/dashboard-data.json`);
+  } catch (error) {
+    return { data: null, problems: [], fileProblems: [], error };
+  }
+  const problems = schemas ? validateSchema(schemas[SCHEMA_FILES.dashboardData], data, schemas) : [];
+  const fileProblems = problems.filter(p => p.path[0] !== 'repos' || p.path.length < 2);
+  const unusable = fileProblems.some(p => p.path.length === 0 || p.path[0] === 'repos');
+  return { data: unusable ? null : data, problems, fileProblems, error: null };
+}
+
+// One repo's data file: { data, problems, file }. combined is
+// loadCombinedData()'s result; file names where the data came from, for
+// data-problem reports. data is null when neither file has the repo.
+export async function loadRepoData(name, combined, schemas) {
+  if (combined?.data?.repos?.[name]) {
+    return {
+      data: combined.data.repos[name],
+      problems: schemaProblemsUnder(combined.problems, ['repos', name]),
+      file: `${DATA_PATH}/dashboard-data.json → repos.${name}`
+    };
+  }
+
+  const file = `${DATA_PATH}/${name}.json`;
+  try {
+    const data = await fetchJSON(file);
+    return { data, problems: schemas ? validateSchema(schemas[SCHEMA_FILES.repoData], data, schemas) : [], file };
+  } catch (_) {
+    return { data: null, problems: [], file };
+  }
+}
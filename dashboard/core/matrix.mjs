@@ -0,0 +1,73 @@
+/* ═══════════════════════════════════════════════════════════
+   Matrix Jobs — dashboard core
+   ══════════════════════════════════════════════════════════
+   Matrix legs come back as one job each, named after their axes:
+     "ci / Test (20, ubuntu-latest, unit)"   reusable-matrix-ci.yml
+     "ci / Regression (3.11)"                reusable-integration-ci.yml
+   The values are sorted into axes by shape: an OS-looking value
+   is the OS, a version-looking value the version, anything else
+   a variant (test type, …). When the name carries no OS, the
+   runner labels from the job metadata are used instead.
+   ═══════════════════════════════════════════════════════════ */
+
+const MATRIX_OS_PATTERN = /^(ubuntu|windows|macos|linux|darwin|win)\b[\w.-]*$/i;
+const MATRIX_VERSION_PATTERN = /^([a-z][\w+-]*\s+)?v?\d+(\.\d+)*(\.x)?$/i;
+
+// { base, version, os, variant } for a matrix leg, or null for a plain job
+export function parseMatrixJob(name, labels) {
+  const short = String(name || '').split(' / ').pop();
+  const m = /^(.*?)\s*\(([^()]+)\)\s*$/.exec(short);
+  if (!m) return null;
+
+  let version = null, os = null;
+  const variant = [];
+  m[2].split(',').map(v => v.trim()).filter(Boolean).forEach(v => {
+    if (!os && MATRIX_OS_PATTERN.test(v)) os = v;
+    else if (!version && MATRIX_VERSION_PATTERN.test(v)) version = v;
+    else variant.push(v);
+  });
+  if (!os) os = (labels || []).find(l => MATRIX_OS_PATTERN.test(l)) || null;
+
+  return { base: m[1] || short, version, os, variant: variant.join(', ') || null };
+}
+
+export function compareAxis(a, b) {
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+}
+
+// Conclusion of a set of jobs: any failure wins, then anything still running
+export function worstConclusion(jobs) {
+  if (jobs.length === 0) return 'unknown';
+  if (jobs.some(j => j.conclusion === 'failure')) return 'failure';
+  if (jobs.some(j => j.conclusion === 'cancelled')) return 'cancelled';
+  if (jobs.some(j => j.status && j.status !== 'completed')) return 'in_progress';
+  return jobs.every(j => j.conclusion === 'success' || j.conclusion === 'skipped') ? 'success' : (jobs[0].conclusion || 'unknown');
+}
+
+// Groups the matrix legs of one run: [{ base, versions[], oses[], cells: [{ version, os, jobs[] }] }]
+// Only groups with more than one leg are returned — a single "(x)" suffix isn't a matrix.
+export function buildMatrixGroups(jobs) {
+  const groups = new Map();
+  jobs.forEach(job => {
+    const axes = parseMatrixJob(job.name, job.labels);
+    if (!axes) return;
+    if (!groups.has(axes.base)) groups.set(axes.base, []);
+    groups.get(axes.base).push({ job, axes });
+  });
+
+  return [...groups.entries()]
+    .filter(([, legs]) => legs.length > 1)
+    .map(([base, legs]) => {
+      const versions = [...new Set(legs.map(l => l.axes.version))].sort(compareAxis);
+      const oses = [...new Set(legs.map(l => l.axes.os))].sort(compareAxis);
+      const cells = [];
+      versions.forEach(version => oses.forEach(os => {
+        const cellJobs = legs
+          .filter(l => l.axes.version === version && l.axes.os === os)
+          .sort((a, b) => compareAxis(a.axes.variant, b.axes.variant))
+          .map(l => ({ ...l.job, variant: l.axes.variant }));
+        if (cellJobs.length > 0) cells.push({ version, os, jobs: cellJobs, conclusion: worstConclusion(cellJobs) });
+      }));
+      return { base, versions, oses, cells, conclusion: worstConclusion(legs.map(l => l.job)) };
+    });
+}
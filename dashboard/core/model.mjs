@@ -0,0 +1,205 @@
+/* ═══════════════════════════════════════════════════════════
+   Repo Model — dashboard core
+   ══════════════════════════════════════════════════════════
+   buildRepoModel() turns one repo's (validated) data into what
+   the pages render: tracked runs newest first, jobs tied to
+   their run, the latest CI run, category history and flaky
+   jobs. index.html and repo.html both render this one model,
+   so a run never has one status on the card and another on
+   the detail page.
+   ═══════════════════════════════════════════════════════════ */
+
+import { classifyName, classifyRun, emptyCategories } from './categories.mjs';
+import { computeDuration } from './format.mjs';
+import { parseMatrixJob, worstConclusion } from './matrix.mjs';
+import { ciRuns, isTrackedRun, normalizeJob, normalizeRun } from './runs.mjs';
+
+// data is { runs, jobs, ciStats } (see usableRepoData() in schema.mjs);
+// categories come from resolveCategories()
+export function buildRepoModel(data, categories) {
+  const untracked = new Set((data?.runs || []).filter(r => !isTrackedRun(r)).map(r => r.id));
+  const runs = (data?.runs || [])
+    .filter(r => !untracked.has(r.id))
+    .map(normalizeRun)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const runsById = new Map(runs.map(r => [r.id, r]));
+  const jobs = (data?.jobs || [])
+    .filter(j => !untracked.has(j.run_id))
+    .map(j => normalizeJob(j, runsById.get(j.run_id) || {}));
+
+  return deriveRepoModel(runs, jobs, categories, data?.ciStats || { lint: {}, test: {}, security: {} });
+}
+
+// The model of runs and jobs that are already normalised, newest run first —
+// e.g. the subset of a model's runs that pass the page's filters
+export function deriveRepoModel(runs, jobs, categories, ciStats) {
+  // A run-scoped category's run stands for its jobs; they stay in `jobs` for
+  // cost and durations but aren't categorised or checked for flakiness
+  const claimed = new Set(runs.filter(r => classifyRun(r, categories)).map(r => r.id));
+  const ciJobs = jobs.filter(j => !claimed.has(j.run_id));
+  return {
+    runs,
+    jobs,
+    latestRun: ciRuns(runs, categories)[0] || null,
+    categories: categoriseData(runs, ciJobs, categories),
+    conclusion: runs.length > 0 ? runs[0].conclusion : 'unknown',
+    flakiness: analyseFlakiness(ciJobs),
+    ciStats
+  };
+}
+
+// ═══════════════════════════════════════════════════
+//  CATEGORISATION ENGINE
+// ═══════════════════════════════════════════════════
+export function categoriseData(runs, jobs, categories) {
+  const cats = emptyCategories(categories);
+
+  // First, categorise individual jobs (from CI runs)
+  jobs.forEach(job => {
+    const cat = classifyName(job.name, categories);
+    if (cat && cats[cat]) {
+      cats[cat].items.push({
+        type: 'job',
+        id: job.id,
+        name: job.name,
+        conclusion: job.conclusion,
+        status: job.status,
+        html_url: job.html_url,
+        time: job.started_at,
+        duration: computeDuration(job.started_at, job.completed_at),
+        branch: job.head_branch,
+        run_id: job.run_id,
+        run_attempt: job.run_attempt,
+        run_number: job.run_number,
+        actor: job.actor,
+        matrix: parseMatrixJob(job.name, job.labels)
+      });
+    }
+  });
+
+  // Also add runs claimed by run-scoped categories (e.g. Release)
+  runs.forEach(run => {
+    const runCat = classifyRun(run, categories);
+    if (!runCat) return;
+    cats[runCat.key].items.push({
+      type: 'run',
+      id: run.id,
+      name: run.name,
+      conclusion: run.conclusion,
+      status: run.status,
+      html_url: run.html_url,
+      time: run.created_at,
+      duration: computeDuration(run.run_started_at || run.created_at, run.updated_at),
+      branch: run.head_branch,
+      run_number: run.run_number,
+      actor: run.actor
+    });
+  });
+
+  // If no jobs available (old runs), fall back to classifying run names
+  const hasJobs = jobs.length > 0;
+  const fallbackKey = cats.test ? 'test' : categories.find(c => c.scope === 'jobs')?.key;
+  if (!hasJobs && fallbackKey) {
+    ciRuns(runs, categories).forEach(run => {
+      // Assign CI runs to the "test" category as best guess
+      cats[fallbackKey].items.push({
+        type: 'run',
+        id: run.id,
+        name: run.name,
+        conclusion: run.conclusion,
+        status: run.status,
+        html_url: run.html_url,
+        time: run.created_at,
+        duration: computeDuration(run.run_started_at || run.created_at, run.updated_at),
+        branch: run.head_branch,
+        run_number: run.run_number,
+        actor: run.actor
+      });
+    });
+  }
+
+  // Sort each category and set latest. Matrix legs of one run collapse into a
+  // single history entry whose conclusion is the worst leg's.
+  Object.values(cats).forEach(cat => {
+    cat.items.sort((a, b) => new Date(b.time) - new Date(a.time));
+    cat.history = collapseByRun(cat.items);
+    cat.latest = cat.history[0] || null;
+    cat.conclusion = cat.latest?.conclusion || 'unknown';
+  });
+
+  return cats;
+}
+
+function collapseByRun(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = item.type === 'job' ? `job:${item.run_id}:${item.run_attempt}` : `run:${item.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.values()].map(group => group.length === 1
+    ? group[0]
+    : { ...group[0], conclusion: worstConclusion(group), legs: group });
+}
+
+// ═══════════════════════════════════════════════════
+//  FLAKINESS ANALYSIS
+// ═══════════════════════════════════════════════════
+// A job is flaky when its conclusion flips between success and failure
+//   • across attempts / runs of the same head_sha (a re-run turned it green), or
+//   • back and forth on one branch (pass → fail → pass, or the reverse)
+// Score = flaky jobs / jobs observed more than once.
+export function analyseFlakiness(jobs) {
+  const decided = jobs.filter(j => j.conclusion === 'success' || j.conclusion === 'failure');
+  const byName = groupBy(decided, j => j.name);
+  const flakyJobs = [];
+  let observed = 0;
+
+  Object.entries(byName).forEach(([name, execs]) => {
+    if (execs.length < 2) return;
+    observed++;
+
+    // Same commit, different outcome → the code didn't change, the result did
+    const shaFlips = Object.values(groupBy(execs.filter(j => j.head_sha), j => j.head_sha))
+      .filter(group => new Set(group.map(j => j.conclusion)).size > 1);
+
+    // Alternation on one branch, in chronological order
+    let maxBranchFlips = 0, flipBranch = null;
+    Object.entries(groupBy(execs, j => j.head_branch || 'unknown')).forEach(([branch, group]) => {
+      const ordered = group.slice().sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+      let flips = 0;
+      for (let i = 1; i < ordered.length; i++) {
+        if (ordered[i].conclusion !== ordered[i - 1].conclusion) flips++;
+      }
+      if (flips > maxBranchFlips) { maxBranchFlips = flips; flipBranch = branch; }
+    });
+
+    const reasons = [];
+    if (shaFlips.length > 0) reasons.push(`flipped on re-run of ${shaFlips[0][0].head_sha.slice(0, 7)}`);
+    if (maxBranchFlips >= 2) reasons.push(`alternated ${maxBranchFlips}× on ${flipBranch}`);
+    if (reasons.length === 0) return;
+
+    const latest = execs.slice().sort((a, b) => new Date(b.started_at) - new Date(a.started_at))[0];
+    flakyJobs.push({
+      name,
+      reasons,
+      flips: shaFlips.length + maxBranchFlips,
+      failures: execs.filter(j => j.conclusion === 'failure').length,
+      executions: execs.length,
+      html_url: latest.html_url
+    });
+  });
+
+  flakyJobs.sort((a, b) => b.flips - a.flips);
+  const score = observed > 0 ? Math.round((flakyJobs.length / observed) * 100) : null;
+  return { jobs: flakyJobs, observed, score };
+}
+
+export function groupBy(items, keyFn) {
+  const groups = {};
+  items.forEach(item => {
+    const key = keyFn(item);
+    (groups[key] = groups[key] || []).push(item);
+  });
+  return groups;
+}
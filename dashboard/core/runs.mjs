@@ -0,0 +1,113 @@
+/* ═══════════════════════════════════════════════════════════
+   Runs & Jobs — dashboard core, also used by the generator
+   ══════════════════════════════════════════════════════════
+   toRun() / toJob() turn REST API workflow runs and jobs into
+   the shape stored in data/<repo>.json (the generator and live
+   mode both use them). normalizeRun() / normalizeJob() fill in
+   the display defaults the pages rely on, so every page reads
+   a run the same way.
+   ═══════════════════════════════════════════════════════════ */
+
+import { classifyRun } from './categories.mjs';
+
+// Copilot agent sessions and dynamic (e.g. Dependabot graph) runs aren't CI
+export function isTrackedRun(raw) {
+  const name = (raw.name || '').toLowerCase();
+  return !name.includes('copilot') && raw.event !== 'dynamic';
+}
+
+export function toRun(raw) {
+  const actor = raw.actor || raw.triggering_actor || null;
+  return {
+    id: raw.id,
+    name: raw.name || raw.workflow_name || 'unknown',
+    status: raw.status ?? null,
+    conclusion: raw.conclusion ?? null,
+    html_url: raw.html_url ?? null,
+    created_at: raw.created_at ?? null,
+    updated_at: raw.updated_at ?? null,
+    head_branch: raw.head_branch ?? null,
+    head_sha: raw.head_sha ?? null,
+    head_commit_at: raw.head_commit?.timestamp ?? null,
+    event: raw.event ?? null,
+    pull_requests: (raw.pull_requests || []).map(pr => pr.number),
+    run_number: raw.run_number ?? null,
+    run_attempt: raw.run_attempt || 1,
+    run_started_at: raw.run_started_at || raw.created_at || null,
+    actor: actor ? { login: actor.login, avatar_url: actor.avatar_url } : null
+  };
+}
+
+export function toJob(raw, run) {
+  return {
+    id: raw.id,
+    name: raw.name || 'unknown',
+    status: raw.status ?? null,
+    conclusion: raw.conclusion ?? null,
+    html_url: raw.html_url ?? null,
+    started_at: raw.started_at ?? null,
+    completed_at: raw.completed_at ?? null,
+    run_id: run.id,
+    run_number: run.run_number ?? null,
+    run_attempt: raw.run_attempt || 1,
+    labels: raw.labels || [],
+    head_branch: run.head_branch ?? null,
+    event: run.event ?? null,
+    actor: run.actor || null
+  };
+}
+
+// Required fields were checked against the schema, so they are taken as they
+// are — a null branch stays null instead of turning into "main"
+export function normalizeRun(run) {
+  return {
+    id:             run.id,
+    name:           run.name,
+    status:         run.status || 'completed',
+    conclusion:     run.conclusion || (run.status === 'completed' ? 'unknown' : 'in_progress'),
+    html_url:       run.html_url,
+    created_at:     run.created_at,
+    updated_at:     run.updated_at ?? null,
+    head_branch:    run.head_branch,
+    head_sha:       run.head_sha,
+    event:          run.event,
+    run_number:     run.run_number || 0,
+    run_attempt:    run.run_attempt || 1,
+    actor:          run.actor || run.triggering_actor || null,
+    run_started_at: run.run_started_at || run.created_at,
+    head_commit_at: run.head_commit_at || null
+  };
+}
+
+export function normalizeJob(job, parentRun) {
+  return {
+    id:          job.id,
+    name:        job.name || 'unknown',
+    status:      job.status || 'completed',
+    conclusion:  job.conclusion || 'unknown',
+    html_url:    job.html_url,
+    started_at:  job.started_at,
+    completed_at: job.completed_at,
+    run_id:      job.run_id,
+    run_number:  parentRun.run_number,
+    run_attempt: job.run_attempt || parentRun.run_attempt || 1,
+    labels:      job.labels || [],
+    head_branch: parentRun.head_branch,
+    head_sha:    parentRun.head_sha,
+    actor:       parentRun.actor,
+    event:       parentRun.event,
+    _parentRun:  parentRun
+  };
+}
+
+// CI runs: everything a run-scoped category (Release, …) doesn't claim
+export function ciRuns(runs, categories) {
+  return runs.filter(run => !classifyRun(run, categories));
+}
+
+// Jobs of the newest attempt of `run`
+export function latestAttemptJobs(allJobs, run) {
+  const runJobs = (allJobs || []).filter(j => j.run_id === run.id);
+  const latestAttempt = Math.max(1, ...runJobs.map(j => j.run_attempt || 1));
+  return runJobs.filter(j => (j.run_attempt || 1) === latestAttempt);
+}
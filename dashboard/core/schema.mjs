@@ -0,0 +1,211 @@
+/* ═══════════════════════════════════════════════════════════
+   Schema validation — dashboard core, shared by the pages and
+   scripts/generate-dashboard-data.mjs
+   ══════════════════════════════════════════════════════════
+   manifest.json, data/<repo>.json and data/dashboard-data.json
+   are described by the versioned JSON Schemas in schemas/.
+   validateSchema() checks a value against one of them and
+   returns every problem as { path: ['runs', 3, 'head_branch'],
+   message }, so a page can skip the broken entries and say
+   which fields are wrong instead of inventing values.
+
+   Only the parts of draft 2020-12 the schemas use are
+   supported: type, enum, const, required, properties,
+   additionalProperties, items, minimum, minLength, pattern,
+   format "date-time" and $ref (within a schema or to another
+   schema by its $id).
+   ═══════════════════════════════════════════════════════════ */
+
+export const SCHEMA_FILES = {
+  manifest:      'manifest.v1.schema.json',
+  repoData:      'repo-data.v1.schema.json',
+  dashboardData: 'dashboard-data.v1.schema.json'
+};
+export const DATA_SCHEMA_VERSION = 1;
+// One badly broken file shouldn't produce thousands of entries
+export const MAX_SCHEMA_PROBLEMS = 200;
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// Problems of `value` against `schema`; `registry` maps $id → schema for
+// references to other files
+export function validateSchema(schema, value, registry = {}) {
+  const problems = [];
+  checkSchema(schema, value, [], schema, registry, problems);
+  return problems;
+}
+
+function checkSchema(schema, value, path, root, registry, problems) {
+  if (problems.length >= MAX_SCHEMA_PROBLEMS || schema === true || !schema) return;
+  const report = (at, message) => problems.length < MAX_SCHEMA_PROBLEMS && problems.push({ path: at, message });
+
+  if (schema.$ref) {
+    const target = resolveSchemaRef(schema.$ref, root, registry);
+    checkSchema(target.schema, value, path, target.root, registry, problems);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      report(path, `must be ${types.join(' or ')}, got ${describeValue(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) report(path, `must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) report(path, `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report(path, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) report(path, `must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && !(DATE_TIME_RE.test(value) && !isNaN(Date.parse(value)))) report(path, 'must be an ISO 8601 timestamp');
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) report(path, `must be at least ${schema.minimum}`);
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => checkSchema(schema.items, item, [...path, i], root, registry, problems));
+  }
+
+  if (matchesSchemaType(value, 'object')) {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => report([...path, key], 'is missing'));
+    Object.entries(value).forEach(([key, item]) => {
+      if (key in properties) checkSchema(properties[key], item, [...path, key], root, registry, problems);
+      else if (schema.additionalProperties === false) report([...path, key], 'is not allowed');
+      else if (schema.additionalProperties) checkSchema(schema.additionalProperties, item, [...path, key], root, registry, problems);
+    });
+  }
+}
+
+// "#/$defs/run" within `root`, "other.schema.json" or "other.schema.json#/$defs/x"
+function resolveSchemaRef(ref, root, registry) {
+  const [file, pointer = ''] = ref.split('#');
+  const base = file ? registry[file] : root;
+  if (!base) throw new Error(`Unknown schema ${file}`);
+  const schema = pointer.split('/').filter(Boolean)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => node?.[part], base);
+  if (!schema) throw new Error(`Cannot resolve ${ref}`);
+  return { schema, root: base };
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'null':    return value === null;
+    case 'array':   return Array.isArray(value);
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number':  return typeof value === 'number' && isFinite(value);
+    default:        return typeof value === type;
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'string') return JSON.stringify(value.length > 40 ? value.slice(0, 40) + '…' : value);
+  return String(value);
+}
+
+// ['runs', 3, 'head_branch'] → "runs[3].head_branch"
+export function formatSchemaPath(path) {
+  const text = path.map((part, i) => {
+    if (typeof part === 'number') return `[${part}]`;
+    if (!/^[A-Za-z_$][\w$-]*$/.test(part)) return `[${JSON.stringify(part)}]`;
+    return i === 0 ? part : `.${part}`;
+  }).join('');
+  return text || '(root)';
+}
+
+// "runs[3].head_branch must be string or null, got 42"
+export function describeSchemaProblem(problem) {
+  return `${formatSchemaPath(problem.path)} ${problem.message}`;
+}
+
+// The problems inside `prefix` (e.g. ['repos', 'api']), with the prefix removed
+export function schemaProblemsUnder(problems, prefix) {
+  return problems
+    .filter(p => prefix.every((part, i) => p.path[i] === part))
+    .map(p => ({ ...p, path: p.path.slice(prefix.length) }));
+}
+
+// Indexes of the entries of the `key` array (e.g. 'runs') that have a problem
+export function invalidSchemaIndexes(problems, key) {
+  return new Set(problems
+    .filter(p => p.path[0] === key && typeof p.path[1] === 'number')
+    .map(p => p.path[1]));
+}
+
+// { value, problems }: the problems of `value` and a copy of it without the
+// parts they point at. Invalid properties are removed, so the usual defaults
+// apply; array entries go entirely when they are invalid themselves or lack a
+// required field (which removing an invalid one can cause, hence the passes).
+export function pruneToSchema(schema, value, registry = {}) {
+  const problems = validateSchema(schema, value, registry);
+  let pruned = value;
+  let remaining = problems;
+  for (let pass = 0; remaining.length > 0 && pass < 3; pass++) {
+    pruned = withoutSchemaProblems(pruned, remaining);
+    remaining = validateSchema(schema, pruned, registry);
+  }
+  return { value: pruned, problems };
+}
+
+const REMOVED = Symbol('removed');
+
+function withoutSchemaProblems(value, problems) {
+  const copy = JSON.parse(JSON.stringify(value));
+  problems.forEach(({ path, message }) => {
+    // A missing field takes its array entry with it; elsewhere the default applies
+    const target = message === 'is missing' ? path.slice(0, -1) : path;
+    if (target.length === 0 || (message === 'is missing' && typeof target[target.length - 1] !== 'number')) return;
+    const parent = target.slice(0, -1).reduce((node, key) => node?.[key], copy);
+    if (parent && typeof parent === 'object') parent[target[target.length - 1]] = REMOVED;
+  });
+  const sweep = node => {
+    if (Array.isArray(node)) return node.filter(item => item !== REMOVED).map(sweep);
+    if (matchesSchemaType(node, 'object')) {
+      return Object.fromEntries(Object.entries(node).filter(([, item]) => item !== REMOVED).map(([key, item]) => [key, sweep(item)]));
+    }
+    return node;
+  };
+  return sweep(copy);
+}
+
+// ═══════════════════════════════════════════════════
+//  DATA FILES
+// ═══════════════════════════════════════════════════
+
+// Every schema keyed by $id, or null (nothing gets validated) when schemas/
+// can't be fetched
+export async function loadSchemaRegistry(base = 'schemas') {
+  try {
+    const schemas = await Promise.all(Object.values(SCHEMA_FILES).map(async file => {
+      const resp = await fetch(`${base}/${file}`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${file}`);
+      return resp.json();
+    }));
+    return Object.fromEntries(schemas.map(schema => [schema.$id, schema]));
+  } catch (err) {
+    console.warn(`Schemas unavailable, data files are not validated: ${err.message}`);
+    return null;
+  }
+}
+
+// The parts of a data/<repo>.json that passed validation: runs and jobs
+// without a problem, ciStats without the broken blocks, and how many of each
+// were skipped ({ run: 2, job: 0, 'stat block': 1 })
+export function usableRepoData(data, problems) {
+  const badRuns = invalidSchemaIndexes(problems, 'runs');
+  const badJobs = invalidSchemaIndexes(problems, 'jobs');
+  const badStats = new Set(problems.filter(p => p.path[0] === 'ciStats').map(p => p.path[1]));
+  const list = key => (Array.isArray(data?.[key]) ? data[key] : []);
+  const stats = badStats.has(undefined) ? [] : Object.entries(data?.ciStats || {}).filter(([type]) => !badStats.has(type));
+  return {
+    runs: list('runs').filter((_, i) => !badRuns.has(i)),
+    jobs: list('jobs').filter((_, i) => !badJobs.has(i)),
+    ciStats: Object.fromEntries(stats),
+    skipped: { run: badRuns.size, job: badJobs.size, 'stat block': badStats.has(undefined) ? 0 : badStats.size }
+  };
+}
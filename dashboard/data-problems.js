@@ -0,0 +1,29 @@
+/* ═══════════════════════════════════════════════════════════
+   Data Problems — shared by index.html, repo.html, releases.html
+   and branches.html
+   ══════════════════════════════════════════════════════════
+   The panel listing what schema validation (core/schema.mjs)
+   found wrong with a file, and what was left out because of it.
+   ═══════════════════════════════════════════════════════════ */
+
+import { formatSchemaPath, MAX_SCHEMA_PROBLEMS } from './core/index.mjs';
+import { escapeHtml } from './html.js';
+
+// Which file, what was left out and the first `limit` invalid fields.
+// report is { file, problems, skipped }.
+export function renderDataProblems(report, limit = 5) {
+  const { file, problems, skipped = {} } = report;
+  const count = `${problems.length}${problems.length >= MAX_SCHEMA_PROBLEMS ? '+' : ''}`;
+  const left = Object.entries(skipped)
+    .filter(([, n]) => n > 0)
+    .map(([noun, n]) => `${n} ${noun}${n === 1 ? '' : 's'}`)
+    .join(', ');
+  return `
+    <div class="data-problem" role="alert">
+      <div class="data-problem-title">⚠️ ${count} invalid field${problems.length === 1 ? '' : 's'} in <code>${escapeHtml(file)}</code>${left ? ` — ${left} skipped` : ''}</div>
+      <ul class="data-problem-list">
+        ${problems.slice(0, limit).map(p => `<li><code>${escapeHtml(formatSchemaPath(p.path))}</code> ${escapeHtml(p.message)}</li>`).join('')}
+        ${problems.length > limit ? `<li class="text-muted">+${problems.length - limit} more</li>` : ''}
+      </ul>
+    </div>`;
+}
@@ -0,0 +1,108 @@
+/* ═══════════════════════════════════════════════════════════
+   DORA Metrics — delivery performance from the runs data
+   ══════════════════════════════════════════════════════════
+   A deployment is a completed run whose name matches one of
+   manifest.dora.runs (release / publish workflows), or, inside
+   any other run, a job matching manifest.dora.jobs (the
+   "Deploy → Staging" / "Deploy → Production" jobs of
+   reusable-integration-ci.yml). From those:
+     • Deployment frequency — successful deployments per week
+     • Lead time for changes — commit → successful deployment
+       (median; the commit time is the head commit timestamp, or
+       the first run seen for that SHA in older data files)
+     • Change failure rate — failed / (failed + successful)
+     • Time to restore — failed deployment → next successful
+       deployment of the same workflow or job (mean)
+   ═══════════════════════════════════════════════════════════ */
+
+import { compilePatterns, percentile, workflowKey } from './core/index.mjs';
+
+const DEFAULT_DORA = { runs: ['release', 'publish', 'deploy'], jobs: ['deploy'] };
+
+export function resolveDoraConfig(manifest) {
+  const dora = { ...DEFAULT_DORA, ...(manifest?.dora || {}) };
+  return { runs: compilePatterns(dora.runs, 'dora.runs'), jobs: compilePatterns(dora.jobs, 'dora.jobs') };
+}
+
+// Earliest time each commit was seen: head commit timestamp, else first run created
+export function commitTimes(runs) {
+  const times = new Map();
+  runs.forEach(run => {
+    if (!run.head_sha) return;
+    const t = new Date(run.head_commit_at || run.created_at).getTime();
+    if (isNaN(t)) return;
+    if (!times.has(run.head_sha) || t < times.get(run.head_sha)) times.set(run.head_sha, t);
+  });
+  return times;
+}
+
+// [{ target, name, at, conclusion, sha, commitAt, html_url }] oldest first; only success/failure count
+export function collectDeployments(runs, jobs, config, commitTimeBySha) {
+  const matches = (patterns, name) => patterns.some(p => p.test(name || ''));
+  const finished = c => c === 'success' || c === 'failure';
+  const deployments = [];
+
+  runs.forEach(run => {
+    if (run.status !== 'completed' || !finished(run.conclusion)) return;
+    if (!matches(config.runs, run.name)) return;
+    deployments.push({ target: workflowKey(run.name), name: run.name, at: new Date(run.updated_at).getTime(), conclusion: run.conclusion, sha: run.head_sha, commitAt: commitTimeBySha.get(run.head_sha) ?? null, html_url: run.html_url });
+  });
+
+  const deployRunIds = new Set(runs.filter(r => matches(config.runs, r.name)).map(r => r.id));
+  // Jobs of a re-run appear once per attempt; the latest attempt decides
+  const latestJobs = new Map();
+  jobs.forEach(job => {
+    if (deployRunIds.has(job.run_id) || !matches(config.jobs, job.name)) return;
+    const key = `${job.run_id}:${job.name}`;
+    if (!latestJobs.has(key) || job.run_attempt > latestJobs.get(key).run_attempt) latestJobs.set(key, job);
+  });
+  latestJobs.forEach(job => {
+    if (job.status !== 'completed' || !finished(job.conclusion)) return;
+    deployments.push({ target: workflowKey(job.name), name: job.name, at: new Date(job.completed_at).getTime(), conclusion: job.conclusion, sha: job.head_sha, commitAt: commitTimeBySha.get(job.head_sha) ?? null, html_url: job.html_url });
+  });
+
+  return deployments.filter(d => !isNaN(d.at)).sort((a, b) => a.at - b.at);
+}
+
+// { deployments, failures, perWeek, leadTimeMs, changeFailureRate, restoreMs, restores, unresolved }
+// windowStart/windowEnd (ms) bound the deployment-frequency denominator
+export function computeDora(deployments, windowStart, windowEnd) {
+  const successes = deployments.filter(d => d.conclusion === 'success');
+  const failures = deployments.filter(d => d.conclusion === 'failure');
+
+  const weeks = Math.max((windowEnd - windowStart) / (7 * 86400000), 1 / 7);
+  const leadTimes = successes
+    .filter(d => d.commitAt !== null)
+    .map(d => d.at - d.commitAt)
+    .filter(ms => ms >= 0);
+
+  // Only the first failure of a streak starts the clock
+  const restoreTimes = [];
+  const failingSince = new Map();
+  deployments.forEach(d => {
+    if (d.conclusion === 'failure') {
+      if (!failingSince.has(d.target)) failingSince.set(d.target, d.at);
+    } else if (failingSince.has(d.target)) {
+      restoreTimes.push(d.at - failingSince.get(d.target));
+      failingSince.delete(d.target);
+    }
+  });
+
+  return {
+    deployments: successes.length,
+    failures: failures.length,
+    perWeek: successes.length / weeks,
+    leadTimeMs: percentile(leadTimes, 50),
+    changeFailureRate: deployments.length > 0 ? failures.length / deployments.length : null,
+    restoreMs: restoreTimes.length > 0 ? restoreTimes.reduce((a, b) => a + b, 0) / restoreTimes.length : null,
+    restores: restoreTimes.length,
+    unresolved: failingSince.size
+  };
+}
+
+export function formatFrequency(perWeek) {
+  if (perWeek >= 7) return `${(perWeek / 7).toFixed(1)}/day`;
+  if (perWeek >= 1) return `${perWeek.toFixed(1)}/week`;
+  if (perWeek > 0) return `${(perWeek * 30 / 7).toFixed(1)}/month`;
+  return '0';
+}
@@ -0,0 +1,333 @@
+/* ═══════════════════════════════════════════════════════════
+   Export — shared by index.html and repo.html
+   ══════════════════════════════════════════════════════════
+   Takes the data on screen out of the dashboard: runs and jobs
+   as CSV, the loaded data as a JSON bundle, and a weekly
+   report (pass rate, streak, top failing jobs, coverage and
+   security deltas) as standalone HTML — printable — or as
+   Markdown. The page decides what is exported; this file
+   only formats and downloads it. Every page has an
+   <details class="export-menu"> whose buttons carry
+   data-export="<action>".
+   ═══════════════════════════════════════════════════════════ */
+
+import { DAY_MS, jobDurationMs, metricValue, runDurationMs } from './core/index.mjs';
+import { escapeHtml, isSafeUrl, safeUrl } from './html.js';
+
+const REPORT_DAYS = 7;
+const TOP_FAILING_JOBS = 10;
+// Metrics whose week-over-week change the report shows
+const REPORT_DELTAS = [
+  { key: 'coverage', label: 'Coverage', type: 'test', metric: 'coverage', unit: '%', higherIsBetter: true },
+  { key: 'critical', label: 'Critical', type: 'security', metric: 'critical' },
+  { key: 'high', label: 'High', type: 'security', metric: 'high' },
+  { key: 'sast', label: 'SAST', type: 'security', metric: 'sast' },
+  { key: 'lint', label: 'Lint errors', type: 'lint', metric: 'errors' }
+];
+
+export const RUN_COLUMNS = [
+  { label: 'repo', value: r => r.repo },
+  { label: 'run_id', value: r => r.id },
+  { label: 'run_number', value: r => r.run_number },
+  { label: 'workflow', value: r => r.name },
+  { label: 'status', value: r => r.status },
+  { label: 'conclusion', value: r => r.conclusion },
+  { label: 'branch', value: r => r.head_branch },
+  { label: 'sha', value: r => r.head_sha },
+  { label: 'event', value: r => r.event },
+  { label: 'actor', value: r => r.actor?.login },
+  { label: 'attempt', value: r => r.run_attempt },
+  { label: 'created_at', value: r => r.created_at },
+  { label: 'duration_s', value: r => secondsOrEmpty(runDurationMs(r)) },
+  { label: 'url', value: r => r.html_url }
+];
+
+export const JOB_COLUMNS = [
+  { label: 'repo', value: j => j.repo },
+  { label: 'run_id', value: j => j.run_id },
+  { label: 'run_number', value: j => j.run_number },
+  { label: 'attempt', value: j => j.run_attempt },
+  { label: 'job', value: j => j.name },
+  { label: 'status', value: j => j.status },
+  { label: 'conclusion', value: j => j.conclusion },
+  { label: 'branch', value: j => j.head_branch },
+  { label: 'started_at', value: j => j.started_at },
+  { label: 'completed_at', value: j => j.completed_at },
+  { label: 'duration_s', value: j => secondsOrEmpty(jobDurationMs(j)) },
+  { label: 'url', value: j => j.html_url }
+];
+
+function secondsOrEmpty(ms) {
+  return ms === null ? '' : Math.round(ms / 1000);
+}
+
+// RFC 4180 quoting; a leading = + - @ (other than in a number), tab or
+// carriage return is neutralised so spreadsheets don't evaluate branch
+// names or commit messages as formulas
+function csvCell(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (/^[\t\r]/.test(str) || (/^[=+\-@]/.test(str) && isNaN(Number(str)))) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCSV(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvCell(c.value(row))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// JSON without the page's private back-references (_repo, _parentRun, …)
+export function toExportJSON(data) {
+  return JSON.stringify(data, (key, value) => (key.startsWith('_') ? undefined : value), 2);
+}
+
+export function exportFileName(base, ext, date = new Date()) {
+  return `${base}-${date.toISOString().slice(0, 10)}.${ext}`;
+}
+
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// The report in a new tab with the print dialog open
+export function printReport(html) {
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const win = window.open(url, '_blank');
+  if (!win) {
+    // Pop-up blocked: fall back to a download
+    downloadFile('ci-weekly-report.html', html, 'text/html');
+    return;
+  }
+  win.addEventListener('load', () => win.print());
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+// Buttons inside `menu` with data-export="<action>" call handlers[action]
+export function bindExportMenu(menu, handlers) {
+  if (!menu) return;
+  menu.addEventListener('click', async e => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn || !handlers[btn.dataset.export]) return;
+    menu.open = false;
+    try {
+      await handlers[btn.dataset.export]();
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`Export failed: ${err.message}`);
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════
+//  WEEKLY REPORT
+// ═══════════════════════════════════════════════════
+
+export function passRate(runs) {
+  return runs.length > 0 ? (runs.filter(r => r.conclusion === 'success').length / runs.length) * 100 : null;
+}
+
+// A metric at the start of the window (the last value recorded before it,
+// else the first inside it) and at its end: { from, to, delta } or null.
+// `history` is oldest first.
+function metricDelta(history, type, metric, fromMs, toMs) {
+  const points = (history || [])
+    .map(e => ({ at: new Date(e.created_at).getTime(), value: metricValue(e[type], metric) }))
+    .filter(p => p.value !== null && p.at <= toMs);
+  const before = points.filter(p => p.at < fromMs).pop();
+  const inside = points.filter(p => p.at >= fromMs);
+  if (inside.length === 0) return null;
+  const start = before || inside[0];
+  const end = inside[inside.length - 1];
+  return { from: start.value, to: end.value, delta: end.value - start.value };
+}
+
+// entries: [{ repo, runs, jobs, history }] — runs newest first, history
+// oldest first. The window is the `days` days up to `to`.
+export function buildWeeklyReport({ title, entries, streak, to = new Date(), days = REPORT_DAYS }) {
+  const toMs = to.getTime();
+  const fromMs = toMs - days * DAY_MS;
+  const inWindow = (dateStr, start, end) => {
+    const t = new Date(dateStr).getTime();
+    return t >= start && t <= end;
+  };
+
+  const repos = entries.map(({ repo, runs, jobs, history }) => {
+    const weekRuns = runs.filter(r => inWindow(r.created_at, fromMs, toMs));
+    const deltas = {};
+    REPORT_DELTAS.forEach(d => { deltas[d.key] = metricDelta(history, d.type, d.metric, fromMs, toMs); });
+    return {
+      name: repo.name,
+      label: repo.displayName || repo.name,
+      runs: weekRuns.length,
+      failed: weekRuns.filter(r => r.conclusion === 'failure').length,
+      passRate: passRate(weekRuns),
+      deltas,
+      weekRuns,
+      previousRuns: runs.filter(r => inWindow(r.created_at, fromMs - days * DAY_MS, fromMs - 1)),
+      weekJobs: jobs.filter(j => inWindow(j.started_at || j.completed_at, fromMs, toMs))
+    };
+  });
+
+  const weekRuns = repos.flatMap(r => r.weekRuns);
+  const failingJobs = new Map();
+  repos.forEach(r => r.weekJobs.forEach(j => {
+    const key = `${r.name}::${j.name}`;
+    const entry = failingJobs.get(key) || { repo: r.label, job: j.name, runs: 0, failures: 0, lastFailure: null };
+    entry.runs++;
+    if (j.conclusion === 'failure') {
+      entry.failures++;
+      if (!entry.lastFailure || String(j.started_at) > String(entry.lastFailure.started_at)) entry.lastFailure = j;
+    }
+    failingJobs.set(key, entry);
+  }));
+
+  return {
+    title,
+    from: new Date(fromMs).toISOString(),
+    to: to.toISOString(),
+    totals: {
+      runs: weekRuns.length,
+      failed: weekRuns.filter(r => r.conclusion === 'failure').length,
+      passRate: passRate(weekRuns),
+      previousPassRate: passRate(repos.flatMap(r => r.previousRuns))
+    },
+    streak,
+    repos: repos.map(({ weekRuns: _w, previousRuns: _p, weekJobs: _j, ...r }) => r),
+    topFailingJobs: [...failingJobs.values()]
+      .filter(j => j.failures > 0)
+      .sort((a, b) => b.failures - a.failures || a.job.localeCompare(b.job))
+      .slice(0, TOP_FAILING_JOBS)
+      .map(j => ({ repo: j.repo, job: j.job, failures: j.failures, runs: j.runs, lastFailureUrl: j.lastFailure?.html_url || null, lastFailureAt: j.lastFailure?.started_at || null }))
+  };
+}
+
+function reportDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatRate(rate) {
+  return rate === null ? '—' : `${rate.toFixed(1)}%`;
+}
+
+function formatRateChange(report) {
+  const { passRate: now, previousPassRate: before } = report.totals;
+  if (now === null || before === null) return '';
+  const diff = now - before;
+  return `${diff >= 0 ? '▲' : '▼'} ${Math.abs(diff).toFixed(1)} pts vs previous ${REPORT_DAYS} days`;
+}
+
+function formatDelta(d, unit = '') {
+  if (!d) return '—';
+  const value = v => `${+v.toFixed(2)}${unit}`;
+  if (d.delta === 0) return value(d.to);
+  return `${value(d.from)} → ${value(d.to)} (${d.delta > 0 ? '+' : '−'}${+Math.abs(d.delta).toFixed(2)})`;
+}
+
+// A link target can't hold whitespace, and an unbalanced ")" would end it early
+function markdownUrl(url) {
+  return String(url).replace(/[()\s]/g, c => (c === '(' ? '%28' : c === ')' ? '%29' : encodeURIComponent(c)));
+}
+
+export function reportMarkdown(report) {
+  const cell = v => String(v ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const row = cells => `| ${cells.map(cell).join(' | ')} |`;
+  const lines = [
+    `# Weekly CI report — ${report.title}`,
+    '',
+    `_${reportDate(report.from)} – ${reportDate(report.to)}_`,
+    '',
+    '## Summary',
+    '',
+    row(['Pass rate', 'Runs', 'Failures', 'Success streak']),
+    row(['---', '---', '---', '---']),
+    row([`${formatRate(report.totals.passRate)} ${formatRateChange(report)}`.trim(), report.totals.runs, report.totals.failed, report.streak]),
+    '',
+    '## Repositories',
+    '',
+    row(['Repository', 'Runs', 'Failures', 'Pass rate', ...REPORT_DELTAS.map(d => d.label)]),
+    row(['---', '---', '---', '---', ...REPORT_DELTAS.map(() => '---')]),
+    ...report.repos.map(r => row([r.label, r.runs, r.failed, formatRate(r.passRate), ...REPORT_DELTAS.map(d => formatDelta(r.deltas[d.key], d.unit))])),
+    '',
+    '## Top failing jobs',
+    ''
+  ];
+  if (report.topFailingJobs.length === 0) {
+    lines.push('No job failed this week.');
+  } else {
+    lines.push(row(['Job', 'Repository', 'Failures', 'Last failure']), row(['---', '---', '---', '---']));
+    report.topFailingJobs.forEach(j => lines.push(row([
+      j.job, j.repo, `${j.failures} of ${j.runs}`,
+      j.lastFailureUrl && isSafeUrl(j.lastFailureUrl) ? `[${reportDate(j.lastFailureAt)}](${markdownUrl(j.lastFailureUrl)})` : '—'
+    ])));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function reportHtml(report) {
+  const trendClass = (d, higherIsBetter) => {
+    if (!d || d.delta === 0) return '';
+    return (d.delta > 0) === !!higherIsBetter ? 'good' : 'bad';
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Weekly CI report — ${escapeHtml(report.title)}</title>
+<style>
+  body { font: 14px/1.5 -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.6rem; margin-bottom: 0; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .period { color: #656d76; margin-top: 4px; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; }
+  .card strong { display: block; font-size: 1.5rem; }
+  .card span { color: #656d76; font-size: 0.85rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { font-size: 0.75rem; text-transform: uppercase; color: #656d76; }
+  .good { color: #1a7f37; }
+  .bad { color: #cf222e; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+  <h1>Weekly CI report — ${escapeHtml(report.title)}</h1>
+  <div class="period">${reportDate(report.from)} – ${reportDate(report.to)}</div>
+
+  <h2>Summary</h2>
+  <div class="cards">
+    <div class="card"><strong>${formatRate(report.totals.passRate)}</strong><span>pass rate${report.totals.previousPassRate === null ? '' : ` · ${escapeHtml(formatRateChange(report))}`}</span></div>
+    <div class="card"><strong>${report.totals.runs}</strong><span>runs</span></div>
+    <div class="card"><strong class="${report.totals.failed > 0 ? 'bad' : 'good'}">${report.totals.failed}</strong><span>failures</span></div>
+    <div class="card"><strong>${report.streak}</strong><span>success streak</span></div>
+  </div>
+
+  <h2>Repositories</h2>
+  <table>
+    <thead><tr><th>Repository</th><th>Runs</th><th>Failures</th><th>Pass rate</th>${REPORT_DELTAS.map(d => `<th>${escapeHtml(d.label)}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${report.repos.map(r => `<tr><td>${escapeHtml(r.label)}</td><td>${r.runs}</td><td>${r.failed}</td><td>${formatRate(r.passRate)}</td>${REPORT_DELTAS.map(d =>
+        `<td class="${trendClass(r.deltas[d.key], d.higherIsBetter)}">${escapeHtml(formatDelta(r.deltas[d.key], d.unit))}</td>`).join('')}</tr>`).join('\n      ')}
+    </tbody>
+  </table>
+
+  <h2>Top failing jobs</h2>
+  ${report.topFailingJobs.length === 0 ? '<p>No job failed this week.</p>' : `
+  <table>
+    <thead><tr><th>Job</th><th>Repository</th><th>Failures</th><th>Last failure</th></tr></thead>
+    <tbody>
+      ${report.topFailingJobs.map(j => `<tr><td>${escapeHtml(j.job)}</td><td>${escapeHtml(j.repo)}</td><td>${j.failures} of ${j.runs}</td><td>${j.lastFailureUrl ? `<a href="${safeUrl(j.lastFailureUrl)}">${reportDate(j.lastFailureAt)}</a>` : '—'}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>`}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,40 @@
+/* ═══════════════════════════════════════════════════════════
+   Safe HTML — shared by index.html, repo.html, releases.html
+   and branches.html
+   ══════════════════════════════════════════════════════════
+   The renderers build innerHTML from template literals. Every
+   value that comes from the data or the manifest — branch and
+   job names, actor logins, commit messages, titles, error
+   messages — is interpolated through escapeHtml(), and every
+   link or image address through safeUrl(), which also escapes.
+   A conclusion used as a CSS class goes through
+   conclusionClass() (core/format.mjs). Numbers the page computes
+   itself and the markup of nested renderers go in as they are.
+   ═══════════════════════════════════════════════════════════ */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// Schemes a link or image from the data may use; anything else
+// (javascript:, data:, vbscript:, …) is replaced by the fallback
+const SAFE_URL_SCHEMES = new Set(['http:', 'https:']);
+
+// Text for element content and quoted attribute values
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+// Browsers drop control characters and whitespace inside a scheme ("java\tscript:")
+function normalizeUrl(url) {
+  return String(url ?? '').replace(/[\u0000-\u0020\u007f]/g, '');
+}
+
+// True for an http(s) URL or a relative one (no scheme)
+export function isSafeUrl(url) {
+  const value = normalizeUrl(url);
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+  return value !== '' && (!scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase() + ':'));
+}
+
+// The URL escaped for a quoted href/src attribute, or `fallback` when it is
+// empty or uses another scheme
+export function safeUrl(url, fallback = '#') {
+  return isSafeUrl(url) ? escapeHtml(normalizeUrl(url)) : fallback;
+}
@@ -0,0 +1,238 @@
+/* ═══════════════════════════════════════════════════════════
+   Live mode — opt-in overlay on the static snapshot (index.html)
+   ══════════════════════════════════════════════════════════
+   The data files are only as fresh as the last generator run.
+   With a fine-grained token (Actions: read on the manifest
+   repos), every refresh also lists the newest runs of each
+   repo from the REST API and lays the ones the snapshot doesn't
+   have yet, or still has in flight, over it — with their jobs,
+   converted by the generator's own toRun() / toJob() (core/).
+
+   The token and API base URL live in sessionStorage: they go
+   away with the tab and never reach the data files or the page
+   cache. The x-ratelimit-* headers of every response are kept
+   for the header. When a request fails (bad token, rate limit,
+   network) the page keeps showing the snapshot as it is. An
+   API URL outside the page's CSP connect-src is refused before
+   the first request (liveApiUrlProblem).
+
+   Configured by manifest.json "live":
+     { apiUrl, intervalMs, runsPerRepo }
+   ═══════════════════════════════════════════════════════════ */
+
+import { isTrackedRun, repoOwner, toJob, toRun } from './core/index.mjs';
+
+const LIVE_SETTINGS_KEY = 'dashboard_live_v1';   // sessionStorage: { token, apiUrl }
+const DEFAULT_LIVE = { apiUrl: 'https://api.github.com', intervalMs: 60000, runsPerRepo: 10 };
+const MIN_LIVE_INTERVAL_MS = 15000;
+
+export function resolveLiveConfig(manifest) {
+  const config = { ...DEFAULT_LIVE, ...(manifest?.live || {}) };
+  return {
+    apiUrl: config.apiUrl,
+    intervalMs: Math.max(MIN_LIVE_INTERVAL_MS, Number(config.intervalMs) || DEFAULT_LIVE.intervalMs),
+    runsPerRepo: Math.min(100, Math.max(1, Number(config.runsPerRepo) || DEFAULT_LIVE.runsPerRepo))
+  };
+}
+
+// { token, apiUrl } for this tab, or null while live mode is off
+export function loadLiveSettings() {
+  try {
+    const settings = JSON.parse(sessionStorage.getItem(LIVE_SETTINGS_KEY));
+    return settings?.token ? settings : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function saveLiveSettings(settings) {
+  sessionStorage.setItem(LIVE_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function clearLiveSettings() {
+  sessionStorage.removeItem(LIVE_SETTINGS_KEY);
+}
+
+// ═══════════════════════════════════════════════════
+//  CONTENT SECURITY POLICY
+// ═══════════════════════════════════════════════════
+// The page's CSP decides which origins fetch() may reach. An API URL outside
+// its connect-src would fail every request with nothing but a console error,
+// so it is refused up front.
+
+// The connect-src sources of a policy (default-src when it has none), or null
+// when the policy doesn't restrict connections
+export function connectSources(policy) {
+  const directives = new Map(String(policy || '').split(';')
+    .map(d => d.trim().split(/\s+/))
+    .filter(([name]) => name)
+    .map(([name, ...sources]) => [name.toLowerCase(), sources]));
+  return directives.get('connect-src') || directives.get('default-src') || null;
+}
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// CSP source matching (CSP3 §6.7.2.8), for the http(s) URLs live mode uses
+function sourceAllows(source, url, pageOrigin) {
+  const s = source.toLowerCase();
+  if (s === "'self'") return url.origin === pageOrigin;
+  if (s === '*') return true;
+  if (/^[a-z][a-z0-9+.-]*:$/.test(s)) return url.protocol === s || (s === 'http:' && url.protocol === 'https:');
+
+  const m = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([a-z0-9.-]+)(?::(\d+|\*))?(\/[^?#]*)?$/.exec(s);
+  if (!m) return false;
+  const [, scheme, wildcard, host, port, path] = m;
+  if (scheme && url.protocol !== `${scheme}:` && !(scheme === 'http' && url.protocol === 'https:')) return false;
+  if (wildcard ? !url.hostname.endsWith(`.${host}`) : url.hostname !== host) return false;
+  const urlPort = url.port || DEFAULT_PORTS[url.protocol];
+  if (port !== '*' && urlPort !== (port || DEFAULT_PORTS[url.protocol])) return false;
+  if (path) return path.endsWith('/') ? url.pathname.startsWith(path) : url.pathname === path;
+  return true;
+}
+
+// Why `apiUrl` can't be used for live mode on a page with this policy (the
+// CSP <meta> content, null when there is none), or null when it can
+export function liveApiUrlProblem(apiUrl, policy, pageOrigin) {
+  let url;
+  try {
+    // Requests go below the base URL, so check a path under it
+    url = new URL(`${String(apiUrl).trim().replace(/\/+$/, '')}/`);
+  } catch (_) {
+    return 'The API URL is not a valid URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'The API URL must start with https:// or http://';
+  const sources = connectSources(policy);
+  if (!sources || sources.some(source => sourceAllows(source, url, pageOrigin))) return null;
+  return `${url.origin} is blocked by the page's Content Security Policy; add it to connect-src in index.html to use it`;
+}
+
+// ═══════════════════════════════════════════════════
+//  CLIENT
+// ═══════════════════════════════════════════════════
+
+// { getJSON(path), rate }. rate counts this tab's requests and holds the
+// x-ratelimit-* values of the last response ({ requests, limit, remaining,
+// used, reset (ms), resource }). No retries: the next refresh is the retry.
+export function createLiveClient({ token, apiUrl }) {
+  const root = String(apiUrl || DEFAULT_LIVE.apiUrl).replace(/\/+$/, '');
+  const rate = { requests: 0, limit: null, remaining: null, used: null, reset: null, resource: null };
+
+  async function getJSON(path) {
+    if (rate.remaining === 0 && rate.reset > Date.now()) {
+      throw liveError(`Rate limit used up until ${new Date(rate.reset).toLocaleTimeString()}`, 429);
+    }
+    rate.requests++;
+    let resp;
+    try {
+      resp = await fetch(`${root}/${path}`, {
+        headers: {
+          Accept: 'application/vnd.github+json',
+          'X-GitHub-Api-Version': '2022-11-28',
+          Authorization: `Bearer ${token}`
+        },
+        cache: 'no-store'
+      });
+    } catch (err) {
+      throw liveError(`Network error: ${err.message}`, null);
+    }
+    readRateLimit(resp.headers, rate);
+    if (!resp.ok) {
+      const limited = resp.status === 429 || (resp.status === 403 && rate.remaining === 0);
+      throw liveError(limited ? 'Rate limit used up' : `HTTP ${resp.status} for ${path}`, limited ? 429 : resp.status);
+    }
+    return resp.json();
+  }
+
+  return { getJSON, rate };
+}
+
+function liveError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readRateLimit(headers, rate) {
+  const number = name => {
+    const value = headers?.get?.(name);
+    return value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+  };
+  if (number('x-ratelimit-limit') === null) return;
+  rate.limit = number('x-ratelimit-limit');
+  rate.remaining = number('x-ratelimit-remaining');
+  rate.used = number('x-ratelimit-used');
+  rate.reset = number('x-ratelimit-reset') === null ? null : number('x-ratelimit-reset') * 1000;
+  rate.resource = headers.get('x-ratelimit-resource') || null;
+}
+
+// "4,990/5,000 left · resets 14:05 · 12 requests"
+export function rateLimitText(rate) {
+  const parts = [];
+  if (rate.limit !== null) parts.push(`${(rate.remaining ?? 0).toLocaleString()}/${rate.limit.toLocaleString()} left`);
+  if (rate.reset) parts.push(`resets ${new Date(rate.reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+  parts.push(`${rate.requests} request${rate.requests === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+}
+
+// ═══════════════════════════════════════════════════
+//  OVERLAY
+// ═══════════════════════════════════════════════════
+
+// { overlay: { <repo>: { runs, jobs } }, errors: [{ repo, message }] }.
+// Per repo, the listed runs that are newer than the snapshot's newest or
+// still in flight in the snapshot (so a run finishing shows up before the
+// next generator run). jobCache (run id → { updated_at, jobs }) spares the
+// jobs request for runs that haven't changed since the last refresh.
+// A rejected token or a used-up rate limit ends the whole overlay; other
+// errors only skip the repo.
+export async function fetchLiveOverlay(client, manifest, repos, snapshotRuns, { runsPerRepo, jobCache }) {
+  const overlay = {};
+  const errors = [];
+  const listed = new Set();
+  for (const repo of repos) {
+    const base = `repos/${repoOwner(manifest, repo)}/${repo.name}`;
+    const known = snapshotRuns[repo.name] || [];
+    const newest = known.reduce((max, r) => (String(r.created_at) > max ? String(r.created_at) : max), '');
+    const inFlight = new Set(known.filter(r => r.status !== 'completed').map(r => r.id));
+    try {
+      const listing = await client.getJSON(`${base}/actions/runs?per_page=${runsPerRepo}`);
+      const runs = (listing.workflow_runs || [])
+        .filter(isTrackedRun)
+        .map(toRun)
+        .filter(run => String(run.created_at) > newest || inFlight.has(run.id));
+
+      const jobs = [];
+      for (const run of runs) {
+        listed.add(run.id);
+        const cached = jobCache.get(run.id);
+        if (cached && cached.updated_at === run.updated_at && run.status === 'completed') {
+          jobs.push(...cached.jobs);
+          continue;
+        }
+        const resp = await client.getJSON(`${base}/actions/runs/${run.id}/jobs?filter=latest&per_page=100`);
+        const runJobs = (resp.jobs || []).map(j => toJob(j, run));
+        jobCache.set(run.id, { updated_at: run.updated_at, jobs: runJobs });
+        jobs.push(...runJobs);
+      }
+      overlay[repo.name] = { runs, jobs };
+    } catch (err) {
+      if (err.status === 401 || err.status === 429) throw err;
+      errors.push({ repo: repo.name, message: err.message });
+    }
+  }
+  [...jobCache.keys()].filter(id => !listed.has(id)).forEach(id => jobCache.delete(id));
+  return { overlay, errors };
+}
+
+// The snapshot's runs and jobs with the live ones laid over them: a live run
+// replaces the snapshot's copy (and its jobs), newest first
+export function mergeLiveData(data, live) {
+  if (!live || live.runs.length === 0) return data;
+  const ids = new Set(live.runs.map(r => r.id));
+  return {
+    ...data,
+    runs: [...live.runs, ...data.runs.filter(r => !ids.has(r.id))]
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at))),
+    jobs: [...live.jobs, ...data.jobs.filter(j => !ids.has(j.run_id))]
+  };
+}
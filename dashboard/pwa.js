@@ -0,0 +1,32 @@
+/* ═══════════════════════════════════════════════════════════
+   PWA — shared by index.html, repo.html, releases.html and branches.html
+   ══════════════════════════════════════════════════════════
+   Registers sw.js (offline copy of the shell and data snapshots)
+   and forwards its "data-updated" messages, batched, to the page.
+   ═══════════════════════════════════════════════════════════ */
+const DATA_UPDATE_DEBOUNCE_MS = 1000;
+
+export function registerServiceWorker(onDataUpdated) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js')
+    .catch(err => console.warn('Service worker registration failed:', err.message));
+
+  if (!onDataUpdated) return;
+  // A refresh re-validates several data files; re-render once for all of them
+  let timer = null;
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data?.type !== 'data-updated') return;
+    clearTimeout(timer);
+    timer = setTimeout(onDataUpdated, DATA_UPDATE_DEBOUNCE_MS);
+  });
+}
+
+export function isOffline() {
+  return navigator.onLine === false;
+}
+
+// "Oct 18, 14:05" for "data as of" labels
+export function dataAsOf(dateStr) {
+  if (!dateStr) return 'an unknown time';
+  return new Date(dateStr).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,161 @@
+/* ═══════════════════════════════════════════════════════════
+   Releases Page — CI/CD Dashboard
+   Versions per environment and release history, from the
+   pre-generated data/<repo>.releases.json files
+   (?repo=<name> narrows the page to one repo)
+   ═══════════════════════════════════════════════════════════ */
+
+import { DATA_PATH, fetchJSON, loadManifest, loadSchemaRegistry, relativeTime } from './core/index.mjs';
+import { renderDataProblems } from './data-problems.js';
+import { escapeHtml, safeUrl } from './html.js';
+import { dataAsOf, isOffline, registerServiceWorker } from './pwa.js';
+
+const ENV_ORDER = ['staging', 'production'];
+let manifest = null;
+let manifestProblem = null;  // { file, problems, skipped } when manifest.json failed schema checks
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('refresh-btn').addEventListener('click', () => loadReleases());
+  window.addEventListener('online', () => loadReleases());
+  registerServiceWorker(() => loadReleases());
+  await loadReleases();
+});
+
+async function loadReleases() {
+  const content = document.getElementById('releases-content');
+  content.innerHTML = '<div class="loading-detail">Loading…</div>';
+
+  manifestProblem = null;
+  try {
+    ({ manifest, problem: manifestProblem } = await loadManifest(await loadSchemaRegistry()));
+    const only = new URLSearchParams(window.location.search).get('repo');
+    const repos = (manifest.repos || []).filter(r => !only || r.name === only);
+    if (repos.length === 0) throw new Error(only ? `${only} is not in the manifest` : 'No repos in the manifest');
+
+    const entries = await Promise.all(repos.map(async repo => {
+      let data = null;
+      try {
+        data = await fetchJSON(`${DATA_PATH}/${repo.name}.releases.json`);
+      } catch (_) {}
+      return { repo, data };
+    }));
+
+    const generatedAt = entries.map(e => e.data?.generated_at).filter(Boolean).sort().pop();
+    document.getElementById('dashboard-subtitle').textContent = isOffline()
+      ? `Offline · data as of ${dataAsOf(generatedAt)}`
+      : 'Versions per environment';
+
+    renderReleases(entries);
+  } catch (err) {
+    content.innerHTML = `${manifestReport()}<div class="loading-detail">Error: ${escapeHtml(err.message)}. <a href="index.html">Go back</a></div>`;
+  }
+}
+
+// What was wrong with manifest.json, shown above the page
+function manifestReport() {
+  return manifestProblem ? renderDataProblems(manifestProblem) : '';
+}
+
+function renderReleases(entries) {
+  const envs = environmentNames(entries);
+
+  document.getElementById('releases-content').innerHTML = `
+    ${manifestReport()}
+    <!-- Environment Overview -->
+    <div class="detail-section">
+      <h2>Environments</h2>
+      ${envs.length === 0
+        ? '<div class="text-muted">No deployments recorded yet. Jobs that declare an <code>environment:</code> (e.g. reusable-publish.yml) show up here.</div>'
+        : `
+      <table class="run-history-table env-table">
+        <thead><tr><th>Repository</th>${envs.map(env => `<th>${escapeHtml(env)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${entries.map(({ repo, data }) => `
+            <tr>
+              <td><a href="repo.html?repo=${encodeURIComponent(repo.name)}">${escapeHtml(repo.icon || '📦')} ${escapeHtml(repo.displayName || repo.name)}</a></td>
+              ${envs.map(env => `<td>${renderEnvironmentCell(data?.environments?.[env])}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>`}
+    </div>
+
+    ${entries.map(renderRepoReleases).join('')}
+  `;
+}
+
+// Known environments first in promotion order, then any others alphabetically
+function environmentNames(entries) {
+  const names = new Set(entries.flatMap(({ data }) => Object.keys(data?.environments || {})));
+  const rank = env => { const i = ENV_ORDER.indexOf(env); return i === -1 ? ENV_ORDER.length : i; };
+  return [...names].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function deploymentLabel(d) {
+  return d.version ? `v${d.version}` : (d.sha ? d.sha.slice(0, 7) : d.ref || '—');
+}
+
+function renderEnvironmentCell(env) {
+  if (!env) return '<span class="text-muted">—</span>';
+  const { current, latest } = env;
+  const currentHtml = current
+    ? `<div class="env-version"><span class="status-dot" style="background:var(--success)"></span>${deploymentLink(current)}</div>
+       <div class="text-muted">promoted ${relativeTime(current.state_at || current.created_at)}${current.creator ? ` by ${escapeHtml(current.creator)}` : ''}</div>`
+    : '<div class="text-muted">never deployed successfully</div>';
+
+  // Surface a newer deployment that hasn't (or didn't) succeed
+  const pending = latest && latest.id !== current?.id
+    ? `<div class="env-pending"><span class="status-dot" style="background:${stateColor(latest.state)}"></span>${deploymentLink(latest)} ${escapeHtml(latest.state)} · ${relativeTime(latest.created_at)}</div>`
+    : '';
+  return currentHtml + pending;
+}
+
+function deploymentLink(d) {
+  const label = escapeHtml(deploymentLabel(d));
+  return d.log_url ? `<a href="${safeUrl(d.log_url)}" target="_blank">${label}</a>` : label;
+}
+
+function renderRepoReleases({ repo, data }) {
+  const title = `<h2>${escapeHtml(repo.icon || '📦')} ${escapeHtml(repo.displayName || repo.name)}</h2>`;
+  if (!data) {
+    return `<div class="detail-section">${title}<div class="text-muted">No release data yet — the data generator writes data/${escapeHtml(repo.name)}.releases.json on its next refresh.</div></div>`;
+  }
+  if ((data.releases || []).length === 0) {
+    return `<div class="detail-section">${title}<div class="text-muted">No releases published</div></div>`;
+  }
+
+  const envs = environmentNames([{ data }]);
+  return `
+    <div class="detail-section">
+      ${title}
+      <table class="run-history-table release-table">
+        <thead><tr><th>Version</th><th>Published</th>${envs.map(env => `<th>${escapeHtml(env)}</th>`).join('')}<th>Notes</th></tr></thead>
+        <tbody>
+          ${data.releases.map(rel => `
+            <tr>
+              <td><a href="${safeUrl(rel.html_url)}" target="_blank">${escapeHtml(rel.tag)}</a>${rel.prerelease ? ' <span class="text-muted">pre-release</span>' : ''}</td>
+              <td>${relativeTime(rel.published_at)}</td>
+              ${envs.map(env => `<td>${renderPromotion(data.deployments, rel, env)}</td>`).join('')}
+              <td>${rel.notes
+                ? `<details><summary>${escapeHtml(rel.name || rel.tag)}</summary><pre class="release-notes">${escapeHtml(rel.notes)}</pre></details>`
+                : '<span class="text-muted">—</span>'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// When a release first reached an environment successfully
+function renderPromotion(deployments, release, env) {
+  const promoted = (deployments || [])
+    .filter(d => d.environment === env && d.version === release.version && (d.state === 'success' || d.state === 'inactive'))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))[0];
+  if (!promoted) return '<span class="text-muted">—</span>';
+  return `<span class="status-dot" style="background:var(--success)"></span>${relativeTime(promoted.state_at || promoted.created_at)}`;
+}
+
+function stateColor(state) {
+  return { success: 'var(--success)', inactive: 'var(--success)', failure: 'var(--failure)', error: 'var(--failure)' }[state] || 'var(--in-progress)';
+}
@@ -1,14 +1,35 @@
 /* ═══════════════════════════════════════════════════════════
    Repo Detail Page — CI/CD Dashboard  (v5.0 — Static Data)
-   Loads pre-generated static JSON data instead of GitHub API
+   Loads pre-generated static JSON data instead of GitHub API,
+   through the same core/ model as the overview (index.html)
    ═══════════════════════════════════════════════════════════ */
-'use strict';
 
-const DATA_PATH = 'data';
+import {
+  buildMatrixGroups, buildRepoModel, ciRuns, computeDuration, criticalPath, DATA_PATH,
+  durationTrend, fetchJSON, formatDurationMs, hasStats, jobDurationMs, latestAttemptJobs,
+  listMetrics, loadCombinedData, loadManifest, loadRepoData, loadSchemaRegistry, metricText, metricValue,
+  normalizeStatBlock, relativeTime, repoUrl, resolveCategories, statLabel, usableRepoData
+} from './core/index.mjs';
+import {
+  commitsBetween, diffJobs, diffStats, orderRuns, parseCompareParam, previousRunOf
+} from './compare.js';
+import { renderDataProblems } from './data-problems.js';
+import {
+  bindExportMenu, buildWeeklyReport, downloadFile, exportFileName, JOB_COLUMNS, printReport,
+  reportHtml, reportMarkdown, RUN_COLUMNS, toCSV, toExportJSON
+} from './export.js';
+import { escapeHtml, safeUrl } from './html.js';
+import { dataAsOf, isOffline, registerServiceWorker } from './pwa.js';
+
 let manifest = null;
+let exportData = null;   // { repo, data, history } behind the export menu
+let dataProblem = null;      // { file, problems, skipped } when the repo's data failed schema checks
+let manifestProblem = null;  // the same for manifest.json
 
 document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('refresh-btn').addEventListener('click', () => loadDetail());
+  window.addEventListener('online', () => loadDetail());
+  registerServiceWorker(() => loadDetail());
   await loadDetail();
 });
 
@@ -22,284 +43,982 @@ async function loadDetail() {
 
   document.getElementById('detail-content').innerHTML = '<div class="loading-detail">Loading…</div>';
 
+  dataProblem = null;
+  manifestProblem = null;
   try {
-    manifest = await fetchJSON('manifest.json');
+    const schemas = await loadSchemaRegistry();
+    ({ manifest, problem: manifestProblem } = await loadManifest(schemas));
     const repoConfig = (manifest.repos || []).find(r => r.name === repoName);
     if (!repoConfig) throw new Error('Repo not found in manifest');
 
-    const owner = manifest.owner;
+    // Load static data — NO GitHub API calls. Runs, jobs and stat blocks
+    // that don't match the schema are left out.
+    const combined = await loadCombinedData(schemas);
+    const { data: staticData, problems, file } = await loadRepoData(repoName, combined, schemas);
+    const usable = usableRepoData(staticData, problems);
+    if (problems.length > 0) dataProblem = { file, problems, skipped: usable.skipped };
 
-    // Load static data — NO GitHub API calls
-    let staticData = null;
+    document.getElementById('dashboard-subtitle').textContent = isOffline()
+      ? `Offline · data as of ${dataAsOf(staticData?.generated_at)}`
+      : 'CI/CD Pipeline Stats';
 
-    // Try combined data file first
-    try {
-      const combined = await fetchJSON(`${DATA_PATH}/dashboard-data.json`);
-      if (combined?.repos?.[repoName]) {
-        staticData = combined.repos[repoName];
-      }
-    } catch (_) {}
-
-    // Fallback: individual repo file
-    if (!staticData) {
-      try {
-        staticData = await fetchJSON(`${DATA_PATH}/${repoName}.json`);
-      } catch (_) {}
-    }
-
-    if (!staticData || !staticData.runs || staticData.runs.length === 0) {
+    if (usable.runs.length === 0) {
       document.getElementById('detail-content').innerHTML = '<div class="loading-detail">No data available for this repo. <a href="index.html">Go back</a></div>';
       return;
     }
 
-    // Filter CI runs (exclude release/copilot/dynamic)
-    const ciRuns = staticData.runs.filter(r => {
-      const name = (r.name || '').toLowerCase();
-      if (name.includes('release')) return false;
-      if (name.includes('copilot')) return false;
-      if (r.event === 'dynamic') return false;
-      return true;
-    });
-    const latestRun = ciRuns[0];
+    // The same model the repo's card on index.html is drawn from
+    const catDefs = resolveCategories(manifest, repoConfig);
+    const model = buildRepoModel(usable, catDefs);
+    const runs = ciRuns(model.runs, catDefs);
+    const latestRun = model.latestRun;
 
     if (!latestRun) {
       document.getElementById('detail-content').innerHTML = '<div class="loading-detail">No CI runs found. <a href="index.html">Go back</a></div>';
       return;
     }
 
-    // Use jobs from static data for the latest run
-    const jobs = (staticData.jobs || []).filter(j => j.run_id === latestRun.id);
+    // Matrix legs of the newest run of every CI workflow (CI, integration, …)
+    const matrices = [];
+    const seenWorkflows = new Set();
+    runs.forEach(run => {
+      if (seenWorkflows.has(run.name)) return;
+      seenWorkflows.add(run.name);
+      const groups = buildMatrixGroups(latestAttemptJobs(model.jobs, run));
+      if (groups.length > 0) matrices.push({ run, groups });
+    });
+
+    // Rolling per-run stats history (optional — written next to the repo file)
+    let history = [];
+    try {
+      const historyData = await fetchJSON(`${DATA_PATH}/${repoName}.history.json`);
+      history = (historyData?.entries || []).slice().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (_) {}
+
+    // Two runs side by side instead of the overview
+    const compareIds = parseCompareParam(params.get('compare'));
+    if (compareIds) {
+      const [runA, runB] = compareIds.map(id => {
+        const run = model.runs.find(r => r.id === id);
+        if (!run) throw new Error(`Run ${id} is not in the data (older runs are dropped by the retention policy)`);
+        return run;
+      });
+      let commits = null;
+      try {
+        commits = await fetchJSON(`${DATA_PATH}/${repoName}.commits.json`);
+      } catch (_) {}
+      const [older, newer] = orderRuns(runA, runB);
+      renderCompare(repoConfig, older, newer, {
+        jobs: [latestAttemptJobs(model.jobs, older), latestAttemptJobs(model.jobs, newer)],
+        stats: [runStats(older, history, latestRun, model.ciStats), runStats(newer, history, latestRun, model.ciStats)],
+        commits
+      });
+      return;
+    }
+
+    // Failing tests parsed from JUnit artifacts (optional)
+    let tests = null;
+    try {
+      tests = await fetchJSON(`${DATA_PATH}/${repoName}.tests.json`);
+    } catch (_) {}
 
-    // Use pre-computed stats from static data
-    const statsMap = staticData.ciStats || { lint: {}, test: {}, security: {} };
+    // Individual findings parsed from the security-reports artifact (optional)
+    let security = null;
+    try {
+      security = await fetchJSON(`${DATA_PATH}/${repoName}.security.json`);
+    } catch (_) {}
 
     // Render
-    renderDetail(repoConfig, latestRun, jobs, statsMap, ciRuns.slice(0, 10));
+    exportData = { repo: repoConfig, data: { ...staticData, runs: usable.runs, jobs: usable.jobs, ciStats: usable.ciStats }, history };
+    const recentRuns = runs.slice(0, 10).map(run => ({ ...run, previous: previousRunOf(runs, run) }));
+    renderDetail(repoConfig, model, recentRuns, history, tests, security, matrices, durationTrend(runs));
   } catch (err) {
     document.getElementById('detail-content').innerHTML =
-      `<div class="loading-detail">Error: ${err.message}. <a href="index.html">Go back</a></div>`;
+      `<div class="loading-detail">Error: ${escapeHtml(err.message)}. <a href="index.html">Go back</a></div>`;
+  } finally {
+    // Above whatever got rendered, including "No data available"
+    [dataProblem, manifestProblem].filter(Boolean).forEach(problem =>
+      document.getElementById('detail-content').insertAdjacentHTML('afterbegin', renderDataProblems(problem, 20)));
   }
 }
 
-function parseKeyVal(str) {
-  const obj = {};
-  (str || '').split('|').forEach(part => {
-    const [k, v] = part.split('=');
-    if (k && v !== undefined) obj[k.trim()] = v.trim();
-  });
-  return obj;
+// ciStats recorded for a run: its history entry, else the data file's
+// ciStats when it is the latest CI run; null when nothing was recorded
+const HISTORY_RUN_FIELDS = new Set(['run_id', 'run_number', 'created_at', 'head_branch', 'head_sha', 'conclusion']);
+
+function runStats(run, history, latestRun, ciStats) {
+  const entry = history.find(e => e.run_id === run.id);
+  if (entry) return Object.fromEntries(Object.entries(entry).filter(([key]) => !HISTORY_RUN_FIELDS.has(key)));
+  return run.id === latestRun?.id ? ciStats : null;
 }
 
-function renderDetail(repo, latestRun, jobs, stats, recentRuns) {
-  const owner = manifest.owner;
+function renderDetail(repo, model, recentRuns, history, tests, security, matrices, durations) {
   const langClass = (repo.language || '').toLowerCase();
+  const { latestRun, ciStats: stats } = model;
+  const jobs = latestAttemptJobs(model.jobs, latestRun);
 
-  // Find job conclusions
-  const lintJob = jobs.find(j => /lint/i.test(j.name));
-  const testJob = jobs.find(j => /test/i.test(j.name));
-  const secJob  = jobs.find(j => /security/i.test(j.name));
-
-  const lintConclusion = lintJob?.conclusion || 'unknown';
-  const testConclusion = testJob?.conclusion || 'unknown';
-  const secConclusion  = secJob?.conclusion || 'unknown';
-
-  const lintErrors = stats.lint.errors || '0';
-  const testTotal  = stats.test.total || '—';
-  const testPassed = stats.test.passed || '—';
-  const testFailed = stats.test.failed || '—';
-  const testCov    = stats.test.coverage || 'N/A';
-  const secSast    = stats.security.sast || '0';
-  const secDeps    = stats.security.deps || '0';
-  const secCrit    = stats.security.critical || '0';
-  const secHigh    = stats.security.high || '0';
-  const secMed     = stats.security.medium || '0';
-  const secLow     = stats.security.low || '0';
+  // One card per configured job category, from the same category history as
+  // the repo's card on the overview; stat-backed categories get a richer card
+  const jobCats = resolveCategories(manifest, repo).filter(c => c.scope === 'jobs');
+  const cards = jobCats.map(def => {
+    const renderCard = STAT_CARDS[def.key] || renderCategoryCard;
+    return renderCard(def, model.categories[def.key], stats[def.key] || {});
+  }).join('') + Object.keys(stats)
+    .filter(type => !jobCats.some(c => c.key === type) && hasStats(stats[type]))
+    .map(type => renderMetricsCard(type, stats[type]))
+    .join('');
 
   const html = `
     <div class="detail-header">
-      <div class="repo-icon">${repo.icon || '📦'}</div>
+      <div class="repo-icon">${escapeHtml(repo.icon || '📦')}</div>
       <div>
         <h1>
-          <a href="https://github.com/${owner}/${repo.name}" target="_blank">${repo.displayName || repo.name}</a>
+          <a href="${safeUrl(repoUrl(manifest, repo))}" target="_blank">${escapeHtml(repo.displayName || repo.name)}</a>
         </h1>
-        <span class="lang-badge ${langClass}">${repo.language || ''}</span>
-        <span style="color:var(--text-muted); margin-left: 12px;">${repo.description || ''}</span>
+        <span class="lang-badge ${escapeHtml(langClass)}">${escapeHtml(repo.language)}</span>
+        <span style="color:var(--text-muted); margin-left: 12px;">${escapeHtml(repo.description)}</span>
+        <a href="branches.html?repo=${encodeURIComponent(repo.name)}" style="margin-left: 12px; font-size: var(--font-size-sm);">Branches →</a>
+        <a href="releases.html?repo=${encodeURIComponent(repo.name)}" style="margin-left: 12px; font-size: var(--font-size-sm);">Releases →</a>
+      </div>
+      <div class="filter-group" style="margin-left: auto;">
+        <details class="export-menu" id="export-menu">
+          <summary class="filter-btn" title="Export this repo's runs">Export ▾</summary>
+          <div class="export-menu-list">
+            <button data-export="runs-csv">Runs (CSV)</button>
+            <button data-export="jobs-csv">Jobs (CSV)</button>
+            <button data-export="json">Data bundle (JSON)</button>
+            <button data-export="report-print">Weekly report — print</button>
+            <button data-export="report-html">Weekly report (HTML)</button>
+            <button data-export="report-md">Weekly report (Markdown)</button>
+          </div>
+        </details>
       </div>
     </div>
 
     <!-- Stats Cards Grid -->
     <div class="stats-grid">
 
-      <!-- Lint Card -->
-      <div class="stat-card" style="border-left: 3px solid ${lintConclusion === 'success' ? 'var(--success)' : lintConclusion === 'failure' ? 'var(--failure)' : 'var(--text-muted)'}">
-        <h3><span class="stat-icon">🔍</span> Lint</h3>
+      ${cards}
+    </div>
+
+    ${renderMatrices(matrices)}
+
+    <!-- Failing Tests -->
+    <div class="detail-section">
+      <h2>Failing Tests <span class="text-muted">· ${escapeHtml(latestRun.head_branch)}</span></h2>
+      ${renderFailingTests(tests, latestRun.head_branch)}
+    </div>
+
+    <!-- Security Findings -->
+    <div class="detail-section">
+      <h2>Security Findings <span class="text-muted">· ${escapeHtml(latestRun.head_branch)}</span></h2>
+      ${renderSecurityFindings(security, latestRun.head_branch)}
+    </div>
+
+    <!-- Trends -->
+    <div class="detail-section">
+      <h2>Trends</h2>
+      ${renderTrends(history)}
+    </div>
+
+    <!-- Durations -->
+    <div class="detail-section">
+      <h2>Durations</h2>
+      ${renderDurations(durations, latestRun, jobs)}
+    </div>
+
+    <!-- Run Details -->
+    <div class="detail-section">
+      <h2>Latest CI Run #${latestRun.run_number}</h2>
+      <div class="stat-row">
+        <span class="stat-label">Status</span>
+        <span class="stat-value ${latestRun.conclusion === 'success' ? 'ok' : 'fail'}">${escapeHtml(latestRun.conclusion || latestRun.status)}</span>
+      </div>
+      <div class="stat-row">
+        <span class="stat-label">Branch</span>
+        <span class="stat-value neutral">${escapeHtml(latestRun.head_branch ?? '—')}</span>
+      </div>
+      <div class="stat-row">
+        <span class="stat-label">Triggered</span>
+        <span class="stat-value neutral">${relativeTime(latestRun.created_at)}</span>
+      </div>
+      <div class="stat-row">
+        <span class="stat-label">Duration</span>
+        <span class="stat-value neutral">${computeDuration(latestRun.run_started_at, latestRun.updated_at)}</span>
+      </div>
+      <div style="margin-top: 12px; font-size: 0.85rem;">
+        <a href="${safeUrl(latestRun.html_url)}" target="_blank">View full run on GitHub →</a>
+      </div>
+    </div>
+
+    <!-- Run History -->
+    <div class="detail-section">
+      <h2>Recent CI Runs</h2>
+      <table class="run-history-table">
+        <thead>
+          <tr><th>#</th><th>Status</th><th>Branch</th><th>Event</th><th>Duration</th><th>When</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${recentRuns.map(r => `
+            <tr>
+              <td><a href="${safeUrl(r.html_url)}" target="_blank">#${r.run_number}</a></td>
+              <td><span class="status-dot" style="background:${statusColor(r.conclusion)}"></span>${escapeHtml(r.conclusion || r.status)}</td>
+              <td>${escapeHtml(r.head_branch ?? '—')}</td>
+              <td>${escapeHtml(r.event ?? '—')}</td>
+              <td>${computeDuration(r.run_started_at, r.updated_at)}</td>
+              <td>${relativeTime(r.created_at)}</td>
+              <td>${r.previous
+                ? `<a class="compare-link" href="repo.html?repo=${encodeURIComponent(repo.name)}&compare=${r.previous.id},${r.id}" title="Compare with #${r.previous.run_number}">Compare with previous</a>`
+                : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  document.getElementById('detail-content').innerHTML = html;
+  document.getElementById('dashboard-title').textContent = repo.displayName || repo.name;
+  bindFindingFilters();
+  bindExport();
+}
+
+// ═══════════════════════════════════════════════════
+//  EXPORT — this repo's runs, jobs and weekly report (export.js)
+// ═══════════════════════════════════════════════════
+function bindExport() {
+  const { repo, data, history } = exportData;
+  const runs = data.runs || [], jobs = data.jobs || [];
+  const withRepo = item => ({ ...item, repo: repo.name });
+  const report = () => {
+    let streak = 0;
+    while (streak < runs.length && runs[streak].conclusion === 'success') streak++;
+    return buildWeeklyReport({ title: repo.displayName || repo.name, entries: [{ repo, runs, jobs, history }], streak });
+  };
+
+  bindExportMenu(document.getElementById('export-menu'), {
+    'runs-csv': () => downloadFile(exportFileName(`${repo.name}-runs`, 'csv'), toCSV(RUN_COLUMNS, runs.map(withRepo)), 'text/csv'),
+    'jobs-csv': () => downloadFile(exportFileName(`${repo.name}-jobs`, 'csv'), toCSV(JOB_COLUMNS, jobs.map(withRepo)), 'text/csv'),
+    json: () => downloadFile(exportFileName(repo.name, 'json'), toExportJSON({
+      exported_at: new Date().toISOString(),
+      repo: repo.name,
+      data,
+      history
+    }), 'application/json'),
+    'report-print': () => printReport(reportHtml(report())),
+    'report-html': () => downloadFile(exportFileName(`${repo.name}-weekly-report`, 'html'), reportHtml(report()), 'text/html'),
+    'report-md': () => downloadFile(exportFileName(`${repo.name}-weekly-report`, 'md'), reportMarkdown(report()), 'text/markdown')
+  });
+}
+
+// ═══════════════════════════════════════════════════
+//  COMPARE — two runs side by side (compare.js)
+// ═══════════════════════════════════════════════════
+function renderCompare(repo, older, newer, { jobs, stats, commits }) {
+  const jobRows = diffJobs(jobs[0], jobs[1]);
+  const statRows = stats[0] || stats[1] ? diffStats(stats[0], stats[1]) : [];
+  const between = commitsBetween(commits, older.head_sha, newer.head_sha);
+  const githubCompare = older.head_sha && newer.head_sha && older.head_sha !== newer.head_sha
+    ? `${repoUrl(manifest, repo)}/compare/${older.head_sha}...${newer.head_sha}`
+    : null;
+
+  document.getElementById('detail-content').innerHTML = `
+    <div class="detail-header">
+      <div class="repo-icon">${escapeHtml(repo.icon || '📦')}</div>
+      <div>
+        <h1><a href="repo.html?repo=${encodeURIComponent(repo.name)}">${escapeHtml(repo.displayName || repo.name)}</a> · #${older.run_number} → #${newer.run_number}</h1>
+        <span style="color:var(--text-muted);">${escapeHtml(older.name)}${older.name !== newer.name ? ` vs ${escapeHtml(newer.name)}` : ''}</span>
+      </div>
+    </div>
+
+    <div class="compare-runs">
+      ${renderCompareRun(older, 'Before')}
+      ${renderCompareRun(newer, 'After')}
+    </div>
+
+    <!-- Commits -->
+    <div class="detail-section">
+      <h2>Commits ${githubCompare ? `<a class="compare-link" href="${safeUrl(githubCompare)}" target="_blank">View diff on GitHub →</a>` : ''}</h2>
+      ${renderCompareCommits(older, newer, between)}
+    </div>
+
+    <!-- Jobs -->
+    <div class="detail-section">
+      <h2>Jobs</h2>
+      <table class="run-history-table compare-table">
+        <thead>
+          <tr><th>Job</th><th>#${older.run_number}</th><th>#${newer.run_number}</th><th>Duration</th><th>Δ</th></tr>
+        </thead>
+        <tbody>
+          ${jobRows.map(row => `
+            <tr class="compare-${row.change}">
+              <td>${escapeHtml(row.name)} ${row.change !== 'same' ? `<span class="compare-badge ${row.change}">${row.change}</span>` : ''}</td>
+              <td>${compareJobCell(row.a)}</td>
+              <td>${compareJobCell(row.b)}</td>
+              <td class="text-muted">${row.a ? computeDuration(row.a.started_at, row.a.completed_at) : '—'} → ${row.b ? computeDuration(row.b.started_at, row.b.completed_at) : '—'}</td>
+              <td>${formatDeltaMs(row.deltaMs)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <!-- CI Stats -->
+    <div class="detail-section">
+      <h2>CI Stats</h2>
+      ${statRows.length === 0
+        ? '<div class="text-muted">No CI stats recorded for these runs — stats are kept for the runs in the history file.</div>'
+        : `
+      <table class="run-history-table compare-table">
+        <thead>
+          <tr><th>Stat</th><th>#${older.run_number}</th><th>#${newer.run_number}</th><th>Δ</th></tr>
+        </thead>
+        <tbody>
+          ${statRows.map(row => `
+            <tr>
+              <td>${escapeHtml(statLabel(row.type))} · ${escapeHtml(statLabel(row.name))}</td>
+              <td>${escapeHtml(row.a)}</td>
+              <td>${escapeHtml(row.b)}</td>
+              <td>${row.delta === null ? '' : `<span class="stat-value ${{ better: 'ok', worse: 'fail' }[row.trend] || 'neutral'}">${row.delta > 0 ? '+' : ''}${+row.delta.toFixed(2)}</span>`}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${!stats[0] || !stats[1] ? `<div class="text-muted test-summary">No stats recorded for #${(stats[0] ? newer : older).run_number}.</div>` : ''}`}
+    </div>
+  `;
+  document.getElementById('dashboard-title').textContent = `${repo.displayName || repo.name} · Compare`;
+}
+
+function renderCompareRun(run, label) {
+  return `
+      <div class="stat-card" style="border-left: 3px solid ${borderColor(run.conclusion)}">
+        <h3>${label} · <a href="${safeUrl(run.html_url)}" target="_blank">#${run.run_number}</a></h3>
+        <div class="stat-row"><span class="stat-label">Status</span><span class="stat-value ${statValueClass(run.conclusion)}">${escapeHtml(run.conclusion || run.status)}</span></div>
+        <div class="stat-row"><span class="stat-label">Branch</span><span class="stat-value neutral">${escapeHtml(run.head_branch ?? '—')}</span></div>
+        <div class="stat-row"><span class="stat-label">Commit</span><span class="stat-value neutral">${escapeHtml((run.head_sha || '').slice(0, 7))}</span></div>
+        <div class="stat-row"><span class="stat-label">Duration</span><span class="stat-value neutral">${computeDuration(run.run_started_at, run.updated_at)}</span></div>
+        <div class="stat-row"><span class="stat-label">Triggered</span><span class="stat-value neutral">${relativeTime(run.created_at)}${run.actor ? ` by ${escapeHtml(run.actor.login)}` : ''}</span></div>
+      </div>
+  `;
+}
+
+function renderCompareCommits(older, newer, between) {
+  if (older.head_sha === newer.head_sha) {
+    return '<div class="text-muted">Both runs built the same commit — the difference is in the run itself (re-run, flaky job or infrastructure).</div>';
+  }
+  const note = !between.complete
+    ? `<div class="text-muted test-summary">${between.commits.length > 0 ? 'Only part of the range is recorded' : 'Commits between these runs aren\'t recorded'}${older.head_branch !== newer.head_branch ? ' — the runs are on different branches' : ''}. The GitHub diff has the full list.</div>`
+    : between.truncated ? '<div class="text-muted test-summary">Long ranges are cut to their newest commits; the GitHub diff has the full list.</div>' : '';
+  if (between.commits.length === 0) return note;
+
+  return `
+    ${note}
+    <ul class="compare-commits">
+      ${between.commits.map(c => `
+        <li>
+          <a class="commit-sha" href="${safeUrl(c.html_url)}" target="_blank">${escapeHtml(c.sha.slice(0, 7))}</a>
+          ${escapeHtml(c.message)}
+          <span class="text-muted">${c.author ? `${escapeHtml(c.author)} · ` : ''}${relativeTime(c.date)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+function compareJobCell(job) {
+  if (!job) return '<span class="text-muted">—</span>';
+  return `<a href="${safeUrl(job.html_url)}" target="_blank"><span class="status-dot" style="background:${statusColor(job.conclusion)}"></span>${escapeHtml(job.conclusion || job.status)}</a>`;
+}
+
+function formatDeltaMs(ms) {
+  if (ms === null) return '';
+  if (Math.abs(ms) < 1000) return '<span class="text-muted">±0s</span>';
+  return `<span class="stat-value ${ms > 0 ? 'warn' : 'ok'}">${ms > 0 ? '+' : '−'}${formatDurationMs(Math.abs(ms))}</span>`;
+}
+
+// ═══════════════════════════════════════════════════
+//  MATRIX — version × OS grid per matrix job
+// ═══════════════════════════════════════════════════
+function renderMatrices(matrices) {
+  if (!matrices || matrices.length === 0) return '';
+  return `
+    <div class="detail-section">
+      <h2>Matrix</h2>
+      ${matrices.map(({ run, groups }) => groups.map(group => renderMatrixGroup(run, group)).join('')).join('')}
+    </div>`;
+}
+
+function renderMatrixGroup(run, group) {
+  const passed = group.cells.filter(c => c.conclusion === 'success').length;
+  const header = group.oses.map(os => `<th>${escapeHtml(os ?? '—')}</th>`).join('');
+  const rows = group.versions.map(version => {
+    const cells = group.oses.map(os => {
+      const cell = group.cells.find(c => c.version === version && c.os === os);
+      return cell ? `<td>${cell.jobs.map(renderMatrixLeg).join('')}</td>` : '<td class="matrix-empty">·</td>';
+    }).join('');
+    return `<tr><th>${escapeHtml(version ?? '—')}</th>${cells}</tr>`;
+  }).join('');
+
+  return `
+      <div class="matrix-group">
+        <h3>
+          <span class="status-dot" style="background:${statusColor(group.conclusion)}"></span>${escapeHtml(group.base)}
+          <span class="text-muted">· ${escapeHtml(run.name)} <a href="${safeUrl(run.html_url)}" target="_blank">#${run.run_number}</a> · ${passed}/${group.cells.length} cells passing</span>
+        </h3>
+        <table class="run-history-table matrix-table">
+          <thead><tr><th></th>${header}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+}
+
+function renderMatrixLeg(job) {
+  const state = job.conclusion || job.status;
+  return `
+            <div class="matrix-leg">
+              <span class="status-dot" style="background:${statusColor(job.conclusion)}" title="${escapeHtml(state)}"></span>
+              ${job.variant ? `<span class="matrix-variant">${escapeHtml(job.variant)}</span>` : ''}
+              <span class="text-muted">${computeDuration(job.started_at, job.completed_at)}</span>
+              <a href="${safeUrl(job.html_url)}" target="_blank">log →</a>
+            </div>`;
+}
+
+// ═══════════════════════════════════════════════════
+//  CATEGORY CARDS — one per configured job category
+// ═══════════════════════════════════════════════════
+const STAT_CARDS = {
+  lint:     renderLintCard,
+  test:     renderTestCard,
+  security: renderSecurityCard
+};
+
+// Jobs of a category's latest entry: its matrix legs, or the job itself
+function latestItems(cat) {
+  return cat?.latest ? cat.latest.legs || [cat.latest] : [];
+}
+
+function borderColor(conclusion) {
+  return conclusion === 'success' ? 'var(--success)' : conclusion === 'failure' ? 'var(--failure)' : 'var(--text-muted)';
+}
+
+function statValueClass(conclusion) {
+  return conclusion === 'success' ? 'ok' : conclusion === 'failure' ? 'fail' : 'neutral';
+}
+
+function jobLogLink(job) {
+  return job ? `<div style="margin-top: 8px; font-size: 0.75rem;"><a href="${safeUrl(job.html_url)}" target="_blank">View job log →</a></div>` : '';
+}
+
+function renderLintCard(def, cat, stats) {
+  const conclusion = cat.conclusion;
+  const lintErrors = metricValue(stats, 'errors');
+
+  return `
+      <div class="stat-card" style="border-left: 3px solid ${borderColor(conclusion)}">
+        <h3><span class="stat-icon">${escapeHtml(def.icon)}</span> ${escapeHtml(def.label)}</h3>
         <div class="stat-row">
           <span class="stat-label">Status</span>
-          <span class="stat-value ${lintConclusion === 'success' ? 'ok' : lintConclusion === 'failure' ? 'fail' : 'neutral'}">${lintConclusion === 'success' ? '✅ All OK' : lintConclusion === 'failure' ? '❌ Failed' : '⏳ N/A'}</span>
+          <span class="stat-value ${statValueClass(conclusion)}">${conclusion === 'success' ? '✅ All OK' : conclusion === 'failure' ? '❌ Failed' : '⏳ N/A'}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Error Count</span>
-          <span class="stat-value ${parseInt(lintErrors) > 0 ? 'fail' : 'ok'}">${lintErrors}</span>
+          <span class="stat-value ${lintErrors > 0 ? 'fail' : 'ok'}">${lintErrors ?? 0}</span>
         </div>
-        ${lintJob ? `<div style="margin-top: 8px; font-size: 0.75rem;"><a href="${lintJob.html_url}" target="_blank">View job log →</a></div>` : ''}
+        ${jobLogLink(cat.latest)}
       </div>
+  `;
+}
 
-      <!-- Test Card -->
-      <div class="stat-card" style="border-left: 3px solid ${testConclusion === 'success' ? 'var(--success)' : testConclusion === 'failure' ? 'var(--failure)' : 'var(--text-muted)'}">
-        <h3><span class="stat-icon">🧪</span> Unit Tests</h3>
+function renderTestCard(def, cat, stats) {
+  const conclusion = cat.conclusion;
+  const testFailed = metricValue(stats, 'failed');
+  const testCov    = metricValue(stats, 'coverage');
+
+  return `
+      <div class="stat-card" style="border-left: 3px solid ${borderColor(conclusion)}">
+        <h3><span class="stat-icon">${escapeHtml(def.icon)}</span> ${escapeHtml(def.label)}</h3>
         <div class="stat-row">
           <span class="stat-label">Status</span>
-          <span class="stat-value ${testConclusion === 'success' ? 'ok' : testConclusion === 'failure' ? 'fail' : 'neutral'}">${testConclusion === 'success' ? '✅ Passed' : testConclusion === 'failure' ? '❌ Failed' : '⏳ N/A'}</span>
+          <span class="stat-value ${statValueClass(conclusion)}">${conclusion === 'success' ? '✅ Passed' : conclusion === 'failure' ? '❌ Failed' : '⏳ N/A'}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Total</span>
-          <span class="stat-value neutral">${testTotal}</span>
+          <span class="stat-value neutral">${escapeHtml(metricText(stats, 'total'))}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Passed</span>
-          <span class="stat-value ok">${testPassed}</span>
+          <span class="stat-value ok">${escapeHtml(metricText(stats, 'passed'))}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Failed</span>
-          <span class="stat-value ${parseInt(testFailed) > 0 ? 'fail' : 'ok'}">${testFailed}</span>
+          <span class="stat-value ${testFailed > 0 ? 'fail' : 'ok'}">${escapeHtml(metricText(stats, 'failed'))}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Coverage</span>
-          <span class="stat-value ${parseCov(testCov) >= 80 ? 'ok' : parseCov(testCov) >= 50 ? 'warn' : 'neutral'}">${testCov}</span>
+          <span class="stat-value ${testCov >= 80 ? 'ok' : testCov >= 50 ? 'warn' : 'neutral'}">${escapeHtml(metricText(stats, 'coverage', 'N/A'))}</span>
         </div>
-        ${testJob ? `<div style="margin-top: 8px; font-size: 0.75rem;"><a href="${testJob.html_url}" target="_blank">View job log →</a></div>` : ''}
+        ${jobLogLink(cat.latest)}
       </div>
+  `;
+}
+
+function renderSecurityCard(def, cat, stats) {
+  const conclusion = cat.conclusion;
+  const [secSast, secDeps, secCrit, secHigh, secMed, secLow] =
+    ['sast', 'deps', 'critical', 'high', 'medium', 'low'].map(k => metricValue(stats, k) ?? 0);
+  const secAccepted = metricValue(stats, 'accepted');
 
-      <!-- Security Card -->
-      <div class="stat-card" style="border-left: 3px solid ${secConclusion === 'success' ? 'var(--success)' : secConclusion === 'failure' ? 'var(--failure)' : 'var(--text-muted)'}">
-        <h3><span class="stat-icon">🛡️</span> Security</h3>
+  const total = [secCrit, secHigh, secMed, secLow];
+  const sum = total.reduce((a, b) => a + b, 0);
+  const severityBar = sum === 0
+    ? '<div class="severity-bar"><span class="none" style="flex:1"></span></div>'
+    : '<div class="severity-bar">' +
+        (total[0] > 0 ? `<span class="critical" style="flex:${total[0]}"></span>` : '') +
+        (total[1] > 0 ? `<span class="high" style="flex:${total[1]}"></span>` : '') +
+        (total[2] > 0 ? `<span class="medium" style="flex:${total[2]}"></span>` : '') +
+        (total[3] > 0 ? `<span class="low" style="flex:${total[3]}"></span>` : '') +
+      '</div>';
+
+  return `
+      <div class="stat-card" style="border-left: 3px solid ${borderColor(conclusion)}">
+        <h3><span class="stat-icon">${escapeHtml(def.icon)}</span> ${escapeHtml(def.label)}</h3>
         <div class="stat-row">
           <span class="stat-label">Status</span>
-          <span class="stat-value ${secConclusion === 'success' ? 'ok' : secConclusion === 'failure' ? 'fail' : 'neutral'}">${secConclusion === 'success' ? '✅ Clean' : secConclusion === 'failure' ? '❌ Issues Found' : '⏳ N/A'}</span>
+          <span class="stat-value ${statValueClass(conclusion)}">${conclusion === 'success' ? '✅ Clean' : conclusion === 'failure' ? '❌ Issues Found' : '⏳ N/A'}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">SAST Findings</span>
-          <span class="stat-value ${parseInt(secSast) > 0 ? 'fail' : 'ok'}">${secSast}</span>
+          <span class="stat-value ${secSast > 0 ? 'fail' : 'ok'}">${secSast}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Dependency Issues</span>
-          <span class="stat-value ${parseInt(secDeps) > 0 ? 'warn' : 'ok'}">${secDeps}</span>
+          <span class="stat-value ${secDeps > 0 ? 'warn' : 'ok'}">${secDeps}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Critical</span>
-          <span class="stat-value ${parseInt(secCrit) > 0 ? 'fail' : 'ok'}">${secCrit}</span>
+          <span class="stat-value ${secCrit > 0 ? 'fail' : 'ok'}">${secCrit}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">High</span>
-          <span class="stat-value ${parseInt(secHigh) > 0 ? 'fail' : 'ok'}">${secHigh}</span>
+          <span class="stat-value ${secHigh > 0 ? 'fail' : 'ok'}">${secHigh}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Medium</span>
-          <span class="stat-value ${parseInt(secMed) > 0 ? 'warn' : 'ok'}">${secMed}</span>
+          <span class="stat-value ${secMed > 0 ? 'warn' : 'ok'}">${secMed}</span>
         </div>
         <div class="stat-row">
           <span class="stat-label">Low</span>
-          <span class="stat-value ${parseInt(secLow) > 0 ? 'warn' : 'ok'}">${secLow}</span>
+          <span class="stat-value ${secLow > 0 ? 'warn' : 'ok'}">${secLow}</span>
         </div>
-        ${(() => {
-          const total = [secCrit, secHigh, secMed, secLow].map(Number);
-          const sum = total.reduce((a, b) => a + b, 0);
-          if (sum === 0) return '<div class="severity-bar"><span class="none" style="flex:1"></span></div>';
-          return '<div class="severity-bar">' +
-            (total[0] > 0 ? `<span class="critical" style="flex:${total[0]}"></span>` : '') +
-            (total[1] > 0 ? `<span class="high" style="flex:${total[1]}"></span>` : '') +
-            (total[2] > 0 ? `<span class="medium" style="flex:${total[2]}"></span>` : '') +
-            (total[3] > 0 ? `<span class="low" style="flex:${total[3]}"></span>` : '') +
-          '</div>';
-        })()}
-        ${secJob ? `<div style="margin-top: 8px; font-size: 0.75rem;"><a href="${secJob.html_url}" target="_blank">View job log →</a></div>` : ''}
+        ${secAccepted !== null ? `
+        <div class="stat-row">
+          <span class="stat-label">Accepted (allowlist)</span>
+          <span class="stat-value neutral">${secAccepted}</span>
+        </div>` : ''}
+        ${severityBar}
+        ${breakdownRows(stats)}
+        ${jobLogLink(cat.latest)}
       </div>
-    </div>
+  `;
+}
 
-    <!-- Run Details -->
-    <div class="detail-section">
-      <h2>Latest CI Run #${latestRun.run_number}</h2>
-      <div class="stat-row">
-        <span class="stat-label">Status</span>
-        <span class="stat-value ${latestRun.conclusion === 'success' ? 'ok' : 'fail'}">${latestRun.conclusion || latestRun.status}</span>
-      </div>
-      <div class="stat-row">
-        <span class="stat-label">Branch</span>
-        <span class="stat-value neutral">${latestRun.head_branch}</span>
+// Generic card for categories without a dedicated renderer (Docker Build, Deploy, Sanity, …)
+function renderCategoryCard(def, cat, stats) {
+  const conclusion = cat.conclusion;
+  const rows = latestItems(cat).map(j => `
+        <div class="stat-row">
+          <span class="stat-label"><span class="status-dot" style="background:${statusColor(j.conclusion)}"></span>${escapeHtml(j.name)}</span>
+          <span class="stat-value neutral"><a href="${safeUrl(j.html_url)}" target="_blank">${j.duration}</a></span>
+        </div>
+  `).join('');
+
+  return `
+      <div class="stat-card" style="border-left: 3px solid ${borderColor(conclusion)}">
+        <h3><span class="stat-icon">${escapeHtml(def.icon)}</span> ${escapeHtml(def.label)}</h3>
+        <div class="stat-row">
+          <span class="stat-label">Status</span>
+          <span class="stat-value ${statValueClass(conclusion)}">${conclusion === 'success' ? '✅ Passed' : conclusion === 'failure' ? '❌ Failed' : '⏳ N/A'}</span>
+        </div>
+        ${metricRows(stats)}
+        ${rows}
       </div>
-      <div class="stat-row">
-        <span class="stat-label">Triggered</span>
-        <span class="stat-value neutral">${relativeTime(latestRun.created_at)}</span>
+  `;
+}
+
+// Card for a ci_stats_v2 type that no category claims (build size, benchmarks, …)
+function renderMetricsCard(type, stats) {
+  const tool = normalizeStatBlock(stats).tool;
+  return `
+      <div class="stat-card" style="border-left: 3px solid var(--accent)">
+        <h3><span class="stat-icon">📏</span> ${escapeHtml(statLabel(type))}${tool ? ` <span class="text-muted">· ${escapeHtml(tool)}</span>` : ''}</h3>
+        ${metricRows(stats)}
+        ${breakdownRows(stats)}
       </div>
-      <div class="stat-row">
-        <span class="stat-label">Duration</span>
-        <span class="stat-value neutral">${computeDuration(latestRun.run_started_at, latestRun.updated_at)}</span>
+  `;
+}
+
+// Per-tool breakdown from ci_stats_v2 (e.g. bandit / pip-audit / trivy)
+function breakdownRows(stats) {
+  return normalizeStatBlock(stats).breakdown.map(b => `
+        <div class="stat-row">
+          <span class="stat-label text-muted">${escapeHtml(b.tool || '—')}</span>
+          <span class="stat-value neutral">${escapeHtml(listMetrics(b).map(m => `${statLabel(m.name)} ${m.text}`).join(' · '))}</span>
+        </div>
+  `).join('');
+}
+
+function metricRows(stats) {
+  return listMetrics(stats).map(m => `
+        <div class="stat-row">
+          <span class="stat-label">${escapeHtml(statLabel(m.name))}</span>
+          <span class="stat-value neutral">${escapeHtml(m.text)}</span>
+        </div>
+  `).join('');
+}
+
+// ═══════════════════════════════════════════════════
+//  FAILING TESTS — from JUnit artifacts, per branch
+// ═══════════════════════════════════════════════════
+function renderFailingTests(testsData, branch) {
+  const state = testsData?.branches?.[branch];
+  if (!state) {
+    return `<div class="text-muted">No JUnit results recorded for this branch yet — they are read from the <code>test-results-*</code> / <code>regression-results-*</code> artifacts.</div>`;
+  }
+
+  const failing = Object.values(state.failing || {})
+    .sort((a, b) => b.failing_runs - a.failing_runs || a.name.localeCompare(b.name));
+  const lastRun = state.last_run;
+  const totals = state.totals || {};
+  const summary = `${Number(totals.tests)} tests in <a href="${safeUrl(lastRun.html_url)}" target="_blank">#${escapeHtml(lastRun.run_number)}</a> · ${Number(totals.failed) + Number(totals.errors)} failed · ${Number(totals.skipped)} skipped`;
+
+  if (failing.length === 0) {
+    return `<div class="stat-value ok">✅ No failing tests</div><div class="text-muted test-summary">${summary}</div>`;
+  }
+
+  return `
+    <div class="text-muted test-summary">${summary}</div>
+    <table class="run-history-table failing-tests">
+      <thead>
+        <tr><th>Test</th><th>Failure</th><th>Failing for</th><th>First failed</th></tr>
+      </thead>
+      <tbody>
+        ${failing.map(t => `
+          <tr>
+            <td>
+              <div class="test-name">${escapeHtml(t.name)}</div>
+              <div class="text-muted">${escapeHtml([t.classname, t.suite].filter(Boolean).join(' · '))}${t.duration !== null ? ` · ${escapeHtml(t.duration)}s` : ''}</div>
+            </td>
+            <td>${t.details
+              ? `<details><summary>${escapeHtml(t.message || t.status)}</summary><pre class="test-details">${escapeHtml(t.details)}</pre></details>`
+              : escapeHtml(t.message || t.status)}</td>
+            <td><span class="stat-value ${t.failing_runs > 1 ? 'fail' : 'warn'}">${escapeHtml(t.failing_runs)} run${t.failing_runs === 1 ? '' : 's'}</span></td>
+            <td><a href="${safeUrl(t.first_failed.html_url)}" target="_blank">#${escapeHtml(t.first_failed.run_number)}</a> <span class="text-muted">${relativeTime(t.first_failed.created_at)}</span></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// ═══════════════════════════════════════════════════
+//  SECURITY FINDINGS — from the security-reports artifact, per branch
+// ═══════════════════════════════════════════════════
+const FINDING_SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// The generator marks expired entries when it runs; re-check against today
+// so a stale data file doesn't keep hiding a finding
+function findingStatus(f, today) {
+  if (f.allowlisted && f.allowlisted.expires >= today) return 'accepted';
+  return f.new ? 'new' : 'open';
+}
+
+function renderSecurityFindings(securityData, branch) {
+  const state = securityData?.branches?.[branch];
+  if (!state) {
+    return `<div class="text-muted">No security reports recorded for this branch yet — findings are read from the <code>security-reports-*</code> artifact.</div>`;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const rank = f => FINDING_SEVERITIES.indexOf(f.severity);
+  const findings = (state.findings || [])
+    .map(f => ({ ...f, status: findingStatus(f, today) }))
+    .sort((a, b) => rank(a) - rank(b) || (b.status === 'new') - (a.status === 'new') || a.rule.localeCompare(b.rule));
+  const count = status => findings.filter(f => f.status === status).length;
+  const fixed = state.fixed || [];
+
+  const lastRun = state.last_run;
+  const comparison = state.previous_run
+    ? `${count('new')} new · ${fixed.length} fixed since <a href="${safeUrl(state.previous_run.html_url)}" target="_blank">#${escapeHtml(state.previous_run.run_number)}</a>`
+    : 'first scan of this branch';
+  const allowlist = securityData.allowlist
+    ? ` · ${count('accepted')} accepted in <code>${escapeHtml(securityData.allowlist.path)}</code>`
+    : '';
+  const summary = `${findings.length - count('accepted')} open findings in <a href="${safeUrl(lastRun.html_url)}" target="_blank">#${escapeHtml(lastRun.run_number)}</a> · ${comparison}${allowlist}`;
+
+  if (findings.length === 0) {
+    return `<div class="stat-value ok">✅ No findings</div><div class="text-muted test-summary">${summary}</div>${renderFixedFindings(fixed, lastRun)}`;
+  }
+
+  const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+  const tools = [...new Set(findings.map(f => f.tool))].sort();
+  const severities = FINDING_SEVERITIES.filter(s => findings.some(f => f.severity === s));
+
+  return `
+    <div class="text-muted test-summary">${summary}</div>
+    <div class="filter-bar findings-filters" id="findings-filters">
+      <select class="filter-select" data-filter="status" aria-label="Status">
+        ${option('open', 'Open')}${option('new', 'New only')}${option('accepted', 'Accepted')}${option('all', 'All')}
+      </select>
+      <select class="filter-select" data-filter="severity" aria-label="Severity">
+        ${option('', 'All severities')}${severities.map(s => option(s, s)).join('')}
+      </select>
+      <select class="filter-select" data-filter="tool" aria-label="Tool">
+        ${option('', 'All tools')}${tools.map(t => option(t, t)).join('')}
+      </select>
+      <input type="search" class="filter-select" data-filter="text" placeholder="Rule, package or file…" aria-label="Search findings" />
+    </div>
+    <table class="run-history-table security-findings" id="findings-table">
+      <thead>
+        <tr><th>Severity</th><th>Finding</th><th>Where</th><th>Tool</th><th>First seen</th></tr>
+      </thead>
+      <tbody>
+        ${findings.map(f => renderFindingRow(f, today)).join('')}
+        <tr class="findings-empty" hidden><td colspan="5" class="text-muted">No findings match these filters</td></tr>
+      </tbody>
+    </table>
+    ${renderFixedFindings(fixed, lastRun)}
+  `;
+}
+
+function renderFindingRow(f, today) {
+  // Report URLs come from the scanners; only link plain web pages
+  const rule = /^https?:\/\//.test(f.url || '')
+    ? `<a href="${safeUrl(f.url)}" target="_blank" rel="noopener">${escapeHtml(f.rule)}</a>`
+    : escapeHtml(f.rule);
+  const text = [f.rule, ...(f.aliases || []), f.title, f.package, f.file].filter(Boolean).join(' ').toLowerCase();
+
+  const badges = [];
+  if (f.status === 'new') badges.push('<span class="finding-badge new">new</span>');
+  if (f.allowlisted) {
+    const expired = f.status !== 'accepted';
+    const tip = [f.allowlisted.reason, f.allowlisted.by && `by ${f.allowlisted.by}`].filter(Boolean).join(' — ');
+    badges.push(`<span class="finding-badge ${expired ? 'expired' : 'accepted'}" title="${escapeHtml(tip)}">${expired ? 'allowlist expired' : 'accepted until'} ${escapeHtml(f.allowlisted.expires)}</span>`);
+  }
+
+  return `
+          <tr class="finding-row" data-status="${f.status}" data-severity="${escapeHtml(f.severity)}" data-tool="${escapeHtml(f.tool)}" data-text="${escapeHtml(text)}">
+            <td><span class="severity-badge ${escapeHtml(f.severity)}">${escapeHtml(f.severity)}</span></td>
+            <td>
+              <div class="finding-rule">${[rule, ...badges].join(' ')}</div>
+              <div class="text-muted">${escapeHtml(f.title)}${f.allowlisted?.reason ? ` · <em>${escapeHtml(f.allowlisted.reason)}</em>` : ''}</div>
+            </td>
+            <td>${renderFindingLocation(f)}</td>
+            <td>${escapeHtml(f.tool)}</td>
+            <td><a href="${safeUrl(f.first_seen.html_url)}" target="_blank">#${escapeHtml(f.first_seen.run_number)}</a> <span class="text-muted">${relativeTime(f.first_seen.created_at)}</span></td>
+          </tr>`;
+}
+
+// package@version → fix for dependency findings, file:line for code findings
+function renderFindingLocation(f) {
+  if (f.package) {
+    const fix = f.fix ? ` → <span class="stat-value ok">${escapeHtml(f.fix)}</span>` : ' <span class="text-muted">no fix yet</span>';
+    return `<span class="finding-where">${escapeHtml(f.package)}${f.version ? `@${escapeHtml(f.version)}` : ''}</span>${fix}`;
+  }
+  if (f.file) return `<span class="finding-where">${escapeHtml(f.file)}${f.line ? `:${escapeHtml(f.line)}` : ''}</span>`;
+  return '<span class="text-muted">—</span>';
+}
+
+function renderFixedFindings(fixed, lastRun) {
+  if (fixed.length === 0) return '';
+  return `
+    <details class="fixed-findings">
+      <summary>✅ ${fixed.length} fixed in #${escapeHtml(lastRun.run_number)}</summary>
+      <ul>
+        ${fixed.map(f => `<li><span class="severity-badge ${escapeHtml(f.severity)}">${escapeHtml(f.severity)}</span> <span class="finding-where">${escapeHtml(f.rule)}</span> ${escapeHtml(f.package || f.file || '')} <span class="text-muted">· ${escapeHtml(f.tool)} · first seen #${escapeHtml(f.first_seen.run_number)}</span></li>`).join('')}
+      </ul>
+    </details>
+  `;
+}
+
+function bindFindingFilters() {
+  const bar = document.getElementById('findings-filters');
+  if (!bar) return;
+  const apply = () => {
+    const value = name => bar.querySelector(`[data-filter="${name}"]`).value;
+    const status = value('status'), severity = value('severity'), tool = value('tool');
+    const text = value('text').trim().toLowerCase();
+    let shown = 0;
+    document.querySelectorAll('#findings-table .finding-row').forEach(row => {
+      const match = (status === 'all' || (status === 'open' ? row.dataset.status !== 'accepted' : row.dataset.status === status)) &&
+        (!severity || row.dataset.severity === severity) &&
+        (!tool || row.dataset.tool === tool) &&
+        (!text || row.dataset.text.includes(text));
+      row.hidden = !match;
+      if (match) shown++;
+    });
+    document.querySelector('#findings-table .findings-empty').hidden = shown > 0;
+  };
+  bar.addEventListener('change', apply);
+  bar.addEventListener('input', apply);
+  apply();
+}
+
+// ═══════════════════════════════════════════════════
+//  TREND CHARTS — inline SVG from the per-run history
+// ═══════════════════════════════════════════════════
+function renderTrends(history) {
+  if (!history || history.length === 0) {
+    return '<div class="text-muted">No history yet — trends appear once the data generator has recorded a few CI runs.</div>';
+  }
+
+  const charts = [
+    {
+      title: 'Coverage %', unit: '%', yMax: 100,
+      series: [{ label: 'Coverage', color: 'var(--success)', key: e => metricValue(e.test, 'coverage') }]
+    },
+    {
+      title: 'Failed Tests', unit: '',
+      series: [{ label: 'Failed', color: 'var(--failure)', key: e => metricValue(e.test, 'failed') }]
+    },
+    {
+      title: 'Lint Errors', unit: '',
+      series: [{ label: 'Errors', color: 'var(--accent)', key: e => metricValue(e.lint, 'errors') }]
+    },
+    {
+      title: 'Critical / High Findings', unit: '',
+      series: [
+        { label: 'Critical', color: '#d32f2f', key: e => metricValue(e.security, 'critical') },
+        { label: 'High', color: '#f85149', key: e => metricValue(e.security, 'high') }
+      ]
+    }
+  ];
+
+  return `<div class="trend-grid">${charts.map(c => trendChart(c, history)).join('')}</div>`;
+}
+
+function trendChart(chart, history) {
+  const W = 320, H = 140, PAD_L = 32, PAD_R = 8, PAD_T = 10, PAD_B = 20;
+  const plotW = W - PAD_L - PAD_R, plotH = H - PAD_T - PAD_B;
+
+  const series = chart.series.map(s => ({ ...s, values: history.map(s.key) }));
+  const allValues = series.flatMap(s => s.values).filter(v => v !== null);
+  const latest = series.map(s => {
+    const last = [...s.values].reverse().find(v => v !== null);
+    return last === undefined ? '—' : `${chart.format ? chart.format(last) : last}${chart.unit}`;
+  });
+
+  if (allValues.length === 0) {
+    return `
+      <div class="trend-chart">
+        <h3>${chart.title}</h3>
+        <div class="text-muted">No data recorded</div>
       </div>
-      <div style="margin-top: 12px; font-size: 0.85rem;">
-        <a href="${latestRun.html_url}" target="_blank">View full run on GitHub →</a>
+    `;
+  }
+
+  const yMax = chart.yMax || Math.max(...allValues, 1);
+  const x = i => PAD_L + (history.length === 1 ? plotW / 2 : (i / (history.length - 1)) * plotW);
+  const y = v => PAD_T + plotH - (v / yMax) * plotH;
+
+  const lines = series.map(s => {
+    const pts = s.values.map((v, i) => v === null ? null : [x(i), y(v)]).filter(Boolean);
+    const path = pts.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(' ');
+    const dots = s.values.map((v, i) => v === null ? '' :
+      `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2.5" style="fill:${s.color}"><title>${escapeHtml(history[i].label || `#${history[i].run_number}`)} · ${s.label}: ${chart.format ? chart.format(v) : v}${chart.unit}</title></circle>`
+    ).join('');
+    return `<path d="${path}" fill="none" stroke-width="2" style="stroke:${s.color}" />${dots}`;
+  }).join('');
+
+  const first = history[0], last = history[history.length - 1];
+
+  return `
+    <div class="trend-chart">
+      <h3>${chart.title}</h3>
+      <div class="trend-legend">
+        ${series.map((s, i) => `<span><span class="status-dot" style="background:${s.color}"></span>${s.label} <strong>${latest[i]}</strong></span>`).join('')}
       </div>
+      <svg viewBox="0 0 ${W} ${H}" class="trend-svg" role="img" aria-label="${chart.title} trend">
+        <line x1="${PAD_L}" y1="${PAD_T}" x2="${PAD_L}" y2="${PAD_T + plotH}" class="trend-axis" />
+        <line x1="${PAD_L}" y1="${PAD_T + plotH}" x2="${W - PAD_R}" y2="${PAD_T + plotH}" class="trend-axis" />
+        <text x="${PAD_L - 4}" y="${PAD_T + 4}" class="trend-label" text-anchor="end">${chart.format ? chart.format(yMax) : yMax}${chart.unit}</text>
+        <text x="${PAD_L - 4}" y="${PAD_T + plotH}" class="trend-label" text-anchor="end">0</text>
+        <text x="${PAD_L}" y="${H - 4}" class="trend-label">${shortDate(first.created_at)}</text>
+        <text x="${W - PAD_R}" y="${H - 4}" class="trend-label" text-anchor="end">${shortDate(last.created_at)}</text>
+        ${lines}
+      </svg>
     </div>
+  `;
+}
 
-    <!-- Run History -->
-    <div class="detail-section">
-      <h2>Recent CI Runs</h2>
-      <table class="run-history-table">
-        <thead>
-          <tr><th>#</th><th>Status</th><th>Branch</th><th>Event</th><th>Duration</th><th>When</th></tr>
-        </thead>
-        <tbody>
-          ${recentRuns.map(r => `
-            <tr>
-              <td><a href="${r.html_url}" target="_blank">#${r.run_number}</a></td>
-              <td><span class="status-dot" style="background:${statusColor(r.conclusion)}"></span>${r.conclusion || r.status}</td>
-              <td>${r.head_branch}</td>
-              <td>${r.event}</td>
-              <td>${computeDuration(r.run_started_at, r.updated_at)}</td>
-              <td>${relativeTime(r.created_at)}</td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
-    </div>
+// ═══════════════════════════════════════════════════
+//  DURATIONS — p50/p90 over time + job timeline of the latest run
+// ═══════════════════════════════════════════════════
+function renderDurations(trend, latestRun, jobs) {
+  const chart = {
+    title: 'Run Duration', unit: '', format: formatDurationMs,
+    series: [
+      { label: 'p50', color: 'var(--success)', key: e => e.p50 },
+      { label: 'p90', color: 'var(--accent)', key: e => e.p90 }
+    ]
+  };
+  const trendHtml = trend.length > 0
+    ? trendChart(chart, trend)
+    : '<div class="text-muted">No completed runs to measure yet.</div>';
+
+  return `
+      <div class="trend-grid">
+        ${trendHtml}
+        ${renderJobTimeline(latestRun, jobs)}
+      </div>
   `;
+}
 
-  document.getElementById('detail-content').innerHTML = html;
-  document.getElementById('dashboard-title').textContent = repo.displayName || repo.name;
+// Gantt-style bars, offset from the run start; the critical path is highlighted
+function renderJobTimeline(run, jobs) {
+  const timed = jobs
+    .filter(j => jobDurationMs(j) !== null)
+    .sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+  if (timed.length === 0) {
+    return `<div class="trend-chart"><h3>Job Timeline · #${run.run_number}</h3><div class="text-muted">No job timings recorded</div></div>`;
+  }
+
+  const start = Math.min(...timed.map(j => new Date(j.started_at).getTime()));
+  const end = Math.max(...timed.map(j => new Date(j.completed_at).getTime()));
+  const span = Math.max(end - start, 1);
+  const path = criticalPath(timed);
+  const pathMs = timed.filter(j => path.has(j.id)).reduce((sum, j) => sum + jobDurationMs(j), 0);
+
+  const rows = timed.map(j => {
+    const left = ((new Date(j.started_at) - start) / span) * 100;
+    const width = Math.max((jobDurationMs(j) / span) * 100, 0.5);
+    const duration = formatDurationMs(jobDurationMs(j));
+    return `
+        <div class="gantt-row${path.has(j.id) ? ' critical' : ''}">
+          <a class="gantt-name" href="${safeUrl(j.html_url)}" target="_blank" title="${escapeHtml(j.name)}">${escapeHtml(j.name)}</a>
+          <div class="gantt-track">
+            <span class="gantt-bar" style="left:${left.toFixed(2)}%; width:${width.toFixed(2)}%; background:${statusColor(j.conclusion)}" title="${escapeHtml(j.name)} — ${duration}"></span>
+          </div>
+          <span class="gantt-duration">${duration}</span>
+        </div>`;
+  }).join('');
+
+  return `
+      <div class="trend-chart">
+        <h3>Job Timeline · <a href="${safeUrl(run.html_url)}" target="_blank">#${run.run_number}</a></h3>
+        <div class="trend-legend">
+          <span>Wall time <strong>${formatDurationMs(end - start)}</strong></span>
+          <span>Critical path <strong>${path.size} job${path.size === 1 ? '' : 's'} · ${formatDurationMs(pathMs)}</strong></span>
+        </div>
+        <div class="gantt">${rows}</div>
+      </div>
+  `;
 }
 
-function parseCov(s) {
-  const n = parseFloat(s);
-  return isNaN(n) ? 0 : n;
+function shortDate(dateStr) {
+  return dateStr ? new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
 }
 
 function statusColor(c) {
   return { success: 'var(--success)', failure: 'var(--failure)', cancelled: 'var(--cancelled)' }[c] || 'var(--text-muted)';
 }
-
-async function fetchJSON(url) {
-  const resp = await fetch(url);
-  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-  return resp.json();
-}
-
-function computeDuration(start, end) {
-  if (!start || !end) return '—';
-  const ms = new Date(end) - new Date(start);
-  if (ms < 0) return '—';
-  const s = Math.floor(ms / 1000);
-  if (s < 60) return `${s}s`;
-  const m = Math.floor(s / 60), rs = s % 60;
-  if (m < 60) return `${m}m ${rs}s`;
-  return `${Math.floor(m / 60)}h ${m % 60}m`;
-}
-
-function relativeTime(dateStr) {
-  if (!dateStr) return '—';
-  const diff = Date.now() - new Date(dateStr).getTime();
-  const MIN = 60000, HOUR = 3600000, DAY = 86400000;
-  if (diff < MIN) return 'just now';
-  if (diff < HOUR) return `${Math.floor(diff / MIN)}m ago`;
-  if (diff < DAY) return `${Math.floor(diff / HOUR)}h ago`;
-  if (diff < 7 * DAY) return `${Math.floor(diff / DAY)}d ago`;
-  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
@@ -0,0 +1,110 @@
+/* ═══════════════════════════════════════════════════════════
+   Service Worker — offline copy of the dashboard
+   ══════════════════════════════════════════════════════════
+   The app shell, manifest.json and data/*.json snapshots are
+   served stale-while-revalidate: the cached copy answers at
+   once and the network refreshes it in the background. When a
+   data file actually changed, open pages get a "data-updated"
+   message and re-render, so a wall screen never waits a full
+   refresh interval for new data.
+   Bump CACHE_VERSION when SHELL_FILES changes.
+   ═══════════════════════════════════════════════════════════ */
+'use strict';
+
+const CACHE_VERSION = 'v11';
+const SHELL_CACHE = `dashboard-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `dashboard-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'repo.html',
+  'releases.html',
+  'branches.html',
+  'style.css',
+  'core/index.mjs',
+  'core/categories.mjs',
+  'core/ci-stats.mjs',
+  'core/cost.mjs',
+  'core/durations.mjs',
+  'core/format.mjs',
+  'core/groups.mjs',
+  'core/load.mjs',
+  'core/matrix.mjs',
+  'core/model.mjs',
+  'core/runs.mjs',
+  'core/schema.mjs',
+  'compare.js',
+  'export.js',
+  'dora.js',
+  'alerts.js',
+  'wallboard.js',
+  'live.js',
+  'pwa.js',
+  'html.js',
+  'data-problems.js',
+  'app.js',
+  'repo-detail.js',
+  'releases.js',
+  'branches.js',
+  'manifest.json',
+  'schemas/manifest.v1.schema.json',
+  'schemas/repo-data.v1.schema.json',
+  'schemas/dashboard-data.v1.schema.json',
+  'app.webmanifest',
+  'icon.svg'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('dashboard-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  const scope = new URL(self.registration.scope);
+  if (event.request.method !== 'GET' || url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+
+  const isData = url.pathname.startsWith(`${scope.pathname}data/`) && url.pathname.endsWith('.json');
+  event.respondWith(staleWhileRevalidate(event, isData ? DATA_CACHE : SHELL_CACHE, isData));
+});
+
+// Pages are cached without their query (repo.html?repo=x → repo.html)
+async function staleWhileRevalidate(event, cacheName, notifyChanges) {
+  const url = new URL(event.request.url);
+  const key = url.origin + url.pathname;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+
+  const network = fetch(event.request, { cache: 'no-cache' }).then(async resp => {
+    if (!resp.ok) return resp;
+    const changed = notifyChanges && cached && await cached.clone().text() !== await resp.clone().text();
+    await cache.put(key, resp.clone());
+    if (changed) await broadcast({ type: 'data-updated', url: key });
+    return resp;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
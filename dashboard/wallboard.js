@@ -0,0 +1,84 @@
+/* ═══════════════════════════════════════════════════════════
+   Wallboard — index.html?mode=wallboard, for TVs and kiosks
+   ══════════════════════════════════════════════════════════
+   A full-screen, no-scroll display that rotates between views
+   (summary, repos, failing, insights) built from the same
+   repoData / allRuns as the normal page. Configured by
+   manifest.json "wallboard":
+     { rotateSeconds, staleAfterMinutes, views: [...] }
+   and overridable per screen in the URL: ?rotate=30,
+   ?stale=120, ?views=repos,failing. Filter parameters
+   (?group=backend) narrow the wallboard like the normal page.
+   ═══════════════════════════════════════════════════════════ */
+
+import { DAY_MS, formatDurationMs, resolveCategories } from './core/index.mjs';
+import { dataAsOf } from './pwa.js';
+
+export const WALLBOARD_VIEWS = {
+  summary:  'Summary',
+  repos:    'Repositories',
+  failing:  'Failing',
+  insights: 'Insights'
+};
+
+// The scheduled data refresh runs every 6 hours; an hour of slack on top
+const DEFAULT_WALLBOARD = { rotateSeconds: 20, staleAfterMinutes: 420, views: Object.keys(WALLBOARD_VIEWS) };
+const MIN_ROTATE_SECONDS = 5;
+
+export function isWallboardMode(params) {
+  return params.get('mode') === 'wallboard';
+}
+
+export function resolveWallboardConfig(manifest, params) {
+  const config = { ...DEFAULT_WALLBOARD, ...(manifest?.wallboard || {}) };
+  const number = (value, fallback) => (value !== null && value !== '' && !isNaN(Number(value)) ? Number(value) : fallback);
+
+  const views = (params.get('views') ? params.get('views').split(',') : config.views)
+    .map(v => String(v).trim())
+    .filter(v => {
+      if (!WALLBOARD_VIEWS[v]) console.warn(`Ignoring unknown wallboard view "${v}"`);
+      return WALLBOARD_VIEWS[v];
+    });
+
+  return {
+    rotateSeconds: Math.max(MIN_ROTATE_SECONDS, number(params.get('rotate'), config.rotateSeconds)),
+    staleAfterMinutes: number(params.get('stale'), config.staleAfterMinutes),
+    views: views.length > 0 ? views : DEFAULT_WALLBOARD.views
+  };
+}
+
+// Why the data on screen can't be trusted, or null when it's fresh enough
+export function staleReason(generatedAt, staleAfterMinutes, now = Date.now(), offline = false) {
+  if (offline) return `Offline — showing data as of ${dataAsOf(generatedAt)}`;
+  const generated = generatedAt ? new Date(generatedAt).getTime() : NaN;
+  if (isNaN(generated)) return 'Data generation time unknown';
+  const ageMs = now - generated;
+  if (ageMs <= staleAfterMinutes * 60000) return null;
+  const age = ageMs < 2 * DAY_MS ? formatDurationMs(ageMs) : `${Math.floor(ageMs / DAY_MS)} days`;
+  return `Data is ${age} old (as of ${dataAsOf(generatedAt)})`;
+}
+
+// Columns × rows that give `count` tiles the largest size on a width × height
+// screen, for tiles about `aspect` times wider than tall
+export function wallboardGrid(count, width, height, aspect = 1.6) {
+  let best = { cols: 1, rows: Math.max(count, 1), size: 0 };
+  for (let cols = 1; cols <= Math.max(count, 1); cols++) {
+    const rows = Math.ceil(count / cols);
+    const size = Math.min(width / cols / aspect, height / rows);
+    if (size > best.size) best = { cols, rows, size };
+  }
+  return best;
+}
+
+// Every category whose latest result failed, newest first:
+// [{ repo, category, item }]; `item` is the categorised job or run
+export function failingItems(repos, data, manifest) {
+  return repos
+    .flatMap(repo => resolveCategories(manifest, repo).map(category => ({
+      repo,
+      category,
+      item: data[repo.name]?.categories?.[category.key]?.latest
+    })))
+    .filter(f => f.item?.conclusion === 'failure')
+    .sort((a, b) => new Date(b.item.time) - new Date(a.item.time));
+}
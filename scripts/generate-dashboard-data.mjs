@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/* ═══════════════════════════════════════════════════════════
+   generate-dashboard-data.mjs
+   Fetches GitHub Actions data for each repo in manifest.json
+   and writes static JSON files to dashboard/data/:
+     • <repo>.json          — runs, jobs and CI stats per repo
+     • <repo>.history.json  — rolling per-run CI stats history
+     • <repo>.tests.json    — failing tests from JUnit artifacts
+     • <repo>.releases.json — releases and environment deployments
+     • <repo>.pulls.json    — pull requests the runs were built for
+     • <repo>.commits.json  — commits between consecutive runs of a branch
+     • <repo>.security.json — individual findings from the security scan reports
+     • dashboard-data.json  — every repo combined
+     • etags.json           — runs-listing ETags for conditional requests
+   This eliminates GitHub API rate-limiting on the dashboard.
+
+   manifest.json, <repo>.json and dashboard-data.json are checked
+   against dashboard/schemas/ (lib/schemas.mjs): an invalid
+   manifest stops the run, and a repo whose data doesn't match
+   keeps its previous files.
+
+   Refreshes are incremental: new runs are merged into the existing
+   files by run id, jobs are fetched only for new or changed runs,
+   and manifest.json "retention" ({ maxAgeDays, maxRuns }, per repo
+   overridable) decides how much history is kept.
+
+   Usage:
+     node scripts/generate-dashboard-data.mjs [options]
+
+     --manifest <path>  manifest.json to read (default: dashboard/manifest.json)
+     --out <dir>        output data directory (default: <manifest dir>/data)
+     --repo <name>      only refresh this repo (and its slice of
+                        dashboard-data.json); repeatable or comma-separated
+
+   Environment:
+     GH_TOKEN / GITHUB_TOKEN  API token
+     GITHUB_API_URL           API base URL (default: https://api.github.com)
+   ═══════════════════════════════════════════════════════════ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { classifyName, resolveCategories } from '../dashboard/core/categories.mjs';
+import { repoOwner } from '../dashboard/core/groups.mjs';
+import { collectCommits } from './lib/commits.mjs';
+import { createGitHubClient, DEFAULT_API_URL } from './lib/github-client.mjs';
+import { collectPullRequests } from './lib/pull-requests.mjs';
+import { collectReleases } from './lib/releases.mjs';
+import { collectRepoData, DEFAULT_RETENTION, upsertHistory } from './lib/repo-data.mjs';
+import { assertValid, DATA_SCHEMA_VERSION, loadSchemas, schemaProblems } from './lib/schemas.mjs';
+import { applySecurityCounts, collectSecurityFindings, DEFAULT_ALLOWLIST_PATH } from './lib/security-findings.mjs';
+import { collectTestResults } from './lib/test-results.mjs';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Same second-precision UTC format the dashboard has always been given
+export function isoTimestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Owner of a manifest repo by name — the same one the dashboard links to
+// (repoOwner() in dashboard/core/groups.mjs) — or null when none is set
+export function ownerOf(manifest, name) {
+  return repoOwner(manifest, (manifest.repos || []).find(r => r.name === name) || { name }) || null;
+}
+
+async function readJSON(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Cannot read ${path}: ${err.message}`);
+  }
+}
+
+async function writeJSON(path, data) {
+  const body = JSON.stringify(data, null, 2) + '\n';
+  await writeFile(path, body);
+  return Buffer.byteLength(body);
+}
+
+// Refreshes the data files for `repos` (default: every manifest repo) and
+// replaces their slices of dashboard-data.json; other repos' slices are kept
+// as they are. Returns { updated: [...names], unchanged: [...names],
+// failed: [{ repo, error }] }.
+export async function generateDashboardData({
+  manifestPath,
+  dataDir = join(dirname(manifestPath), 'data'),
+  repos = null,
+  client,
+  now = () => new Date(),
+  log = console.log
+}) {
+  const manifest = await readJSON(manifestPath, null);
+  if (!manifest) throw new Error(`Manifest not found: ${manifestPath}`);
+  const schemas = await loadSchemas();
+  assertValid(schemas, 'manifest', manifest, manifestPath);
+
+  const maxRuns = manifest.maxRunsPerRepo || 20;
+  const historyLength = manifest.historyLength || 100;
+  const manifestRepos = (manifest.repos || []).map(r => r.name);
+  const retentionFor = name => ({
+    ...DEFAULT_RETENTION,
+    ...manifest.retention,
+    ...((manifest.repos || []).find(r => r.name === name)?.retention || {})
+  });
+
+  // The dashboard's categories decide which runs are CI runs and which jobs scan
+  const categoriesFor = name => resolveCategories(manifest, (manifest.repos || []).find(r => r.name === name));
+
+  const securityFor = name => ({
+    allowlistPath: DEFAULT_ALLOWLIST_PATH,
+    ...manifest.security,
+    ...((manifest.repos || []).find(r => r.name === name)?.security || {})
+  });
+
+  const unknown = (repos || []).filter(name => !manifestRepos.includes(name));
+  if (unknown.length > 0) throw new Error(`Not listed in manifest.json: ${unknown.join(', ')}`);
+  // Data files are named after the repo alone, so names must be unique across owners
+  const duplicates = manifestRepos.filter((name, i) => manifestRepos.indexOf(name) !== i);
+  if (duplicates.length > 0) throw new Error(`Repo listed more than once in manifest.json: ${[...new Set(duplicates)].join(', ')}`);
+  const targets = repos && repos.length > 0 ? repos : manifestRepos;
+  const ownerless = targets.filter(name => !ownerOf(manifest, name));
+  if (ownerless.length > 0) throw new Error(`No owner for ${ownerless.join(', ')} — set "owner" in manifest.json`);
+
+  log(`Owners: ${[...new Set(targets.map(name => ownerOf(manifest, name)))].join(', ')}`);
+  log(`Max runs per repo: ${maxRuns}`);
+  log(`History length: ${historyLength}`);
+  log(`Data dir: ${dataDir}`);
+  log('');
+
+  await mkdir(dataDir, { recursive: true });
+  const etagsPath = join(dataDir, 'etags.json');
+  const etags = await readJSON(etagsPath, {}).catch(() => ({}));
+  const fresh = {};
+  const updated = [];
+  const unchanged = [];
+  const failed = [];
+
+  for (const repo of targets) {
+    const owner = ownerOf(manifest, repo);
+    log('════════════════════════════════════════');
+    log(`  Processing: ${owner}/${repo}`);
+    log('════════════════════════════════════════');
+
+    try {
+      const generatedAt = isoTimestamp(now());
+      const repoPath = join(dataDir, `${repo}.json`);
+      const existing = await readJSON(repoPath, null).catch(() => null);
+      const retention = retentionFor(repo);
+      const categories = categoriesFor(repo);
+      const { data, history, refreshedRuns, latestCiRun, etag, notModified } = await collectRepoData(client, {
+        owner, repo, maxRuns, categories, generatedAt, existing,
+        etag: etags[repo] || null,
+        retention,
+        now: now(),
+        log
+      });
+
+      if (notModified) {
+        unchanged.push(repo);
+        log('');
+        continue;
+      }
+      // Before any of the repo's files (or its ETag) change, so a bad
+      // listing is fetched again next time
+      assertValid(schemas, 'repoData', data, `data/${repo}.json`);
+      if (etag) etags[repo] = etag;
+      else delete etags[repo];
+
+      // Per-finding detail from the scan reports. The counts on the cards
+      // and in the history then follow the allowlist, so this runs before
+      // the history entries are written.
+      const securityPath = join(dataDir, `${repo}.security.json`);
+      try {
+        const previousSecurity = await readJSON(securityPath, null).catch(() => null);
+        const scannedRuns = refreshedRuns.filter(r => data.jobs.some(j => j.run_id === r.id && classifyName(j.name, categories) === 'security'));
+        if (previousSecurity || scannedRuns.length > 0) {
+          const security = await collectSecurityFindings(client, {
+            owner, repo, runs: scannedRuns, existing: previousSecurity,
+            allowlistPath: securityFor(repo).allowlistPath,
+            maxAgeDays: retention.maxAgeDays, generatedAt, now: now(), log
+          });
+          await writeJSON(securityPath, security);
+
+          // Only a branch's last scanned run has counts to apply
+          const withCounts = (run, ciStats) => {
+            const scanned = security.branches[run.head_branch || 'unknown'];
+            return scanned?.last_run.run_id === run.id
+              ? { ...ciStats, security: applySecurityCounts(ciStats.security, scanned.counts) }
+              : ciStats;
+          };
+          if (latestCiRun) data.ciStats = withCounts(latestCiRun, data.ciStats);
+          history.forEach(h => { h.ciStats = withCounts(h.run, h.ciStats); });
+        }
+      } catch (err) {
+        log(`  ⚠️  Security findings unavailable: ${err.message}`);
+      }
+
+      if (history.length > 0) {
+        const historyPath = join(dataDir, `${repo}.history.json`);
+        const existing = await readJSON(historyPath, { entries: [] }).catch(() => ({ entries: [] }));
+        const entries = history.reduce((acc, h) => upsertHistory(acc, h.run, h.ciStats, historyLength), existing.entries);
+        await writeJSON(historyPath, { generated_at: generatedAt, entries });
+        log(`  History: ${history.length} run(s) recorded, ${entries.length} entries in ${historyPath}`);
+      }
+
+      if (refreshedRuns.length > 0) {
+        const testsPath = join(dataDir, `${repo}.tests.json`);
+        const previousTests = await readJSON(testsPath, null).catch(() => null);
+        const tests = await collectTestResults(client, {
+          owner, repo, runs: refreshedRuns, existing: previousTests,
+          maxAgeDays: retention.maxAgeDays, generatedAt, now: now(), log
+        });
+        await writeJSON(testsPath, tests);
+      }
+
+      // Releases and deployments are extras; a repo without access to them
+      // (or without any) still gets its runs refreshed
+      const releasesPath = join(dataDir, `${repo}.releases.json`);
+      try {
+        const previousReleases = await readJSON(releasesPath, null).catch(() => null);
+        await writeJSON(releasesPath, await collectReleases(client, { owner, repo, existing: previousReleases, generatedAt, log }));
+      } catch (err) {
+        log(`  ⚠️  Releases unavailable: ${err.message}`);
+      }
+
+      const pullsPath = join(dataDir, `${repo}.pulls.json`);
+      try {
+        const previousPulls = await readJSON(pullsPath, null).catch(() => null);
+        await writeJSON(pullsPath, await collectPullRequests(client, { owner, repo, runs: data.runs, existing: previousPulls, generatedAt, log }));
+      } catch (err) {
+        log(`  ⚠️  Pull requests unavailable: ${err.message}`);
+      }
+
+      const commitsPath = join(dataDir, `${repo}.commits.json`);
+      try {
+        const previousCommits = await readJSON(commitsPath, null).catch(() => null);
+        await writeJSON(commitsPath, await collectCommits(client, { owner, repo, runs: data.runs, existing: previousCommits, generatedAt, log }));
+      } catch (err) {
+        log(`  ⚠️  Commits unavailable: ${err.message}`);
+      }
+
+      const bytes = await writeJSON(repoPath, data);
+      log(`  ✅ Done: ${repoPath} (${bytes} bytes)`);
+      fresh[repo] = data;
+      updated.push(repo);
+    } catch (err) {
+      // Keep the previous data file so one bad repo doesn't blank its card
+      log(`  ❌ ${repo}: ${err.message} — keeping existing data`);
+      failed.push({ repo, error: err.message });
+    }
+    log('');
+  }
+
+  await writeJSON(etagsPath, etags);
+
+  // Only the refreshed slices change; repos missing from the combined file
+  // (first run, or newly added to the manifest) are read from their own file
+  log('Updating combined dashboard-data.json...');
+  const combinedPath = join(dataDir, 'dashboard-data.json');
+  const previous = await readJSON(combinedPath, null).catch(() => null);
+  const combined = { schema_version: DATA_SCHEMA_VERSION, generated_at: isoTimestamp(now()), repos: {} };
+  for (const repo of manifestRepos) {
+    const data = fresh[repo] || previous?.repos?.[repo] || await readJSON(join(dataDir, `${repo}.json`), null);
+    if (!data) continue;
+    // Slices from older generator versions (or edited by hand) are left out
+    // when they don't match; the dashboard then reports data/<repo>.json
+    const problems = fresh[repo] ? [] : schemaProblems(schemas, 'repoData', data);
+    if (problems.length > 0) {
+      log(`⚠️  ${repo}: left out of the combined file, ${problems.length} invalid fields (${problems[0]})`);
+      continue;
+    }
+    combined.repos[repo] = data;
+  }
+  assertValid(schemas, 'dashboardData', combined, combinedPath);
+  const bytes = await writeJSON(combinedPath, combined);
+  log(`✅ Combined file: ${combinedPath} (${bytes} bytes)`);
+
+  return { updated, unchanged, failed };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      manifest: { type: 'string', default: join(ROOT_DIR, 'dashboard', 'manifest.json') },
+      out:      { type: 'string' },
+      repo:     { type: 'string', multiple: true, default: [] }
+    }
+  });
+
+  const manifestPath = resolve(values.manifest);
+  const repos = values.repo.flatMap(r => r.split(/[\s,]+/)).filter(Boolean);
+  const client = createGitHubClient({
+    token: process.env.GH_TOKEN || process.env.GITHUB_TOKEN || null,
+    baseUrl: process.env.GITHUB_API_URL || DEFAULT_API_URL,
+    log: console.log
+  });
+
+  const { updated, unchanged, failed } = await generateDashboardData({
+    manifestPath,
+    dataDir: values.out ? resolve(values.out) : undefined,
+    repos,
+    client
+  });
+
+  console.log('');
+  console.log('════════════════════════════════════════');
+  console.log(`  Updated ${updated.length}, unchanged ${unchanged.length}, failed ${failed.length}`);
+  console.log('════════════════════════════════════════');
+  failed.forEach(f => console.log(`::warning title=Dashboard data::${f.repo}: ${f.error}`));
+
+  // Partial failures keep the old data; only fail the job when nothing refreshed
+  if (updated.length + unchanged.length === 0 && failed.length > 0) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  });
+}
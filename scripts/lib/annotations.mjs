@@ -0,0 +1,94 @@
+/* ═══════════════════════════════════════════════════════════
+   CI stats annotations
+   ══════════════════════════════════════════════════════════
+   reusable-ci.yml reports its results as check-run notices.
+
+   v2 (current) — one JSON object per stat type:
+     ::notice title=ci_stats_v2::{"schema":"ci_stats","version":2,
+       "type":"test","tool":"pytest",
+       "metrics":{"total":{"value":42},"coverage":{"value":87.5,"unit":"%"}},
+       "breakdown":[{"tool":"pytest","metrics":{…}}]}
+   Any "type" is accepted, so new stats (build size, benchmarks, …)
+   need no generator change.
+
+   v1 (legacy, still accepted) — pipe-separated strings:
+     ::notice title=ci_test::total=42|passed=40|failed=2|coverage=87%
+
+   Both are normalised to the v2 block shape stored in ciStats:
+     { version, tool, metrics: { name: { value, unit? } }, breakdown[] }
+   The v1 parsing helpers live in dashboard/core/ci-stats.mjs, next
+   to the code that reads the blocks on the pages.
+   ═══════════════════════════════════════════════════════════ */
+
+import { isReservedKey, parseKeyValues, parseLegacyValue } from '../../dashboard/core/ci-stats.mjs';
+
+export const STATS_TITLE = 'ci_stats_v2';
+export const STATS_SCHEMA = 'ci_stats';
+export const LEGACY_TITLES = { ci_lint: 'lint', ci_test: 'test', ci_security: 'security' };
+
+export function emptyCiStats() {
+  return { lint: {}, test: {}, security: {} };
+}
+
+function normalizeMetrics(metrics) {
+  const out = {};
+  Object.entries(metrics || {}).forEach(([name, m]) => {
+    if (isReservedKey(name)) return;
+    if (m !== null && typeof m === 'object') {
+      out[name] = m.unit ? { value: m.value ?? null, unit: String(m.unit) } : { value: m.value ?? null };
+    } else {
+      // Shorthand: "metrics": { "errors": 3 }
+      out[name] = { value: m ?? null };
+    }
+  });
+  return out;
+}
+
+// Parses a ci_stats_v2 message into { type, block }, or null when it isn't one
+export function parseStatsV2(message) {
+  let payload;
+  try {
+    payload = JSON.parse(message);
+  } catch (_) {
+    return null;
+  }
+  if (payload?.schema !== STATS_SCHEMA || !(payload.version >= 2) || typeof payload.type !== 'string' || !payload.type || isReservedKey(payload.type)) return null;
+
+  return {
+    type: payload.type,
+    block: {
+      version: payload.version,
+      tool: payload.tool || null,
+      metrics: normalizeMetrics(payload.metrics),
+      breakdown: (Array.isArray(payload.breakdown) ? payload.breakdown : []).map(b => ({
+        tool: b?.tool || null,
+        metrics: normalizeMetrics(b?.metrics)
+      }))
+    }
+  };
+}
+
+export function parseLegacyStats(message) {
+  const metrics = {};
+  Object.entries(parseKeyValues(message)).forEach(([k, v]) => { metrics[k] = parseLegacyValue(v); });
+  return { version: 1, tool: null, metrics, breakdown: [] };
+}
+
+// Folds a list of check-run annotations into ciStats. A v2 block always wins
+// over a legacy one for the same type; otherwise later annotations win.
+export function collectCiStats(annotations, stats = emptyCiStats(), log = () => {}) {
+  (annotations || []).forEach(ann => {
+    if (!ann?.message) return;
+
+    if (ann.title === STATS_TITLE) {
+      const parsed = parseStatsV2(ann.message);
+      if (parsed) stats[parsed.type] = parsed.block;
+      else log(`  ⚠️  Ignoring malformed ${STATS_TITLE} annotation: ${ann.message.slice(0, 80)}`);
+      return;
+    }
+
+    const legacyType = LEGACY_TITLES[ann.title];
+    if (legacyType && !(stats[legacyType]?.version >= 2)) stats[legacyType] = parseLegacyStats(ann.message);
+  });
+  return stats;
+}
@@ -0,0 +1,60 @@
+/* ═══════════════════════════════════════════════════════════
+   Workflow artifacts shared by the per-run collectors
+   ══════════════════════════════════════════════════════════
+   test-results.mjs and security-findings.mjs both pick a run's
+   newest artifact of each name, unzip the matching entries and
+   fold the result into per-branch state keyed by the run that
+   produced it; the common parts live here.
+   ═══════════════════════════════════════════════════════════ */
+
+import { readZipEntries } from './zip.mjs';
+
+export const MAX_ARTIFACT_BYTES = 25 * 1024 * 1024;
+
+// The run fields recorded alongside per-branch state
+export function runRef(run) {
+  return {
+    run_id: run.id,
+    run_number: run.run_number,
+    run_attempt: run.run_attempt,
+    created_at: run.created_at,
+    html_url: run.html_url
+  };
+}
+
+// The run's unexpired artifacts whose name matches `pattern`. Re-runs can
+// upload a same-named artifact again; only the newest of each name is kept.
+export async function listRunArtifacts(client, { owner, repo, run, pattern }) {
+  const artifacts = await client.paginate(`repos/${owner}/${repo}/actions/runs/${run.id}/artifacts`, { itemsKey: 'artifacts' });
+  const byName = new Map();
+  artifacts
+    .filter(a => pattern.test(a.name) && !a.expired)
+    .forEach(a => {
+      const prev = byName.get(a.name);
+      if (!prev || String(a.created_at) > String(prev.created_at)) byName.set(a.name, a);
+    });
+  return [...byName.values()];
+}
+
+// Downloads an artifact and returns its entries that pass `filter`, or null
+// when the artifact is too large to fetch
+export async function readArtifactEntries(client, artifact, filter, log = () => {}) {
+  if (artifact.size_in_bytes > MAX_ARTIFACT_BYTES) {
+    log(`    Skipping ${artifact.name}: ${artifact.size_in_bytes} bytes`);
+    return null;
+  }
+  const resp = await client.request(artifact.archive_download_url);
+  return readZipEntries(Buffer.from(await resp.arrayBuffer()), filter, { maxBytes: MAX_ARTIFACT_BYTES });
+}
+
+// Drops branches whose last recorded run is older than maxAgeDays
+export function pruneBranches(branches, maxAgeDays, now = new Date()) {
+  if (!maxAgeDays) return branches;
+  const cutoff = now.getTime() - maxAgeDays * 86400000;
+  const kept = {};
+  Object.entries(branches || {}).forEach(([branch, state]) => {
+    const t = new Date(state.last_run?.created_at).getTime();
+    if (isNaN(t) || t >= cutoff) kept[branch] = state;
+  });
+  return kept;
+}
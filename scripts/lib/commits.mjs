@@ -0,0 +1,83 @@
+/* ═══════════════════════════════════════════════════════════
+   Commits between consecutive CI runs of a branch
+   ══════════════════════════════════════════════════════════
+   Feeds the compare mode of repo.html in data/<repo>.commits.json:
+
+     { generated_at,
+       shas: { <head_sha>: { branch, base_sha, status,
+                             total_commits, truncated,
+                             commits: [{ sha, message, author,
+                                         date, html_url }] } } }
+
+   Each commit a run was built from points at the commit the
+   branch's previous run was built from, so the commits between
+   any two runs of a branch are found by following base_sha.
+   Entries are looked up once (a few per refresh) and dropped
+   with the last run of their commit.
+   ═══════════════════════════════════════════════════════════ */
+
+export const MAX_COMMITS_PER_SHA = 50;
+export const MAX_COMPARE_LOOKUPS = 20;
+
+const MAX_MESSAGE = 200;
+
+export function toCommit(raw) {
+  const message = String(raw.commit?.message ?? '').split('\n')[0];
+  return {
+    sha: raw.sha,
+    message: message.length > MAX_MESSAGE ? message.slice(0, MAX_MESSAGE) + '…' : message,
+    author: raw.author?.login || raw.commit?.author?.name || null,
+    date: raw.commit?.author?.date ?? null,
+    html_url: raw.html_url ?? null
+  };
+}
+
+// { head_sha: { branch, base_sha } } for every commit that has an earlier
+// commit on its branch; runs of the same commit share one entry
+export function commitChain(runs) {
+  const lastSha = new Map();
+  const chain = {};
+  [...(runs || [])]
+    .filter(r => r.head_sha && r.head_branch)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+    .forEach(r => {
+      const base = lastSha.get(r.head_branch);
+      if (base === r.head_sha) return;
+      if (base && !chain[r.head_sha]) chain[r.head_sha] = { branch: r.head_branch, base_sha: base };
+      lastSha.set(r.head_branch, r.head_sha);
+    });
+  return chain;
+}
+
+export async function collectCommits(client, { owner, repo, runs, existing = null, generatedAt, log = () => {} }) {
+  const chain = commitChain(runs);
+  const known = existing?.shas || {};
+  const shas = {};
+  let lookups = 0;
+
+  // Newest first, so the lookup cap leaves the oldest for the next refresh
+  const newestFirst = Object.keys(chain).reverse();
+  for (const sha of newestFirst) {
+    const { branch, base_sha } = chain[sha];
+    const prev = known[sha];
+    if (prev && prev.base_sha === base_sha) {
+      shas[sha] = prev;
+      continue;
+    }
+    if (lookups >= MAX_COMPARE_LOOKUPS) continue;
+    lookups++;
+    try {
+      const diff = await client.getJSON(`repos/${owner}/${repo}/compare/${base_sha}...${sha}`);
+      // The compare API lists oldest first; keep the newest
+      const commits = (diff.commits || []).map(toCommit).slice(-MAX_COMMITS_PER_SHA).reverse();
+      const total = diff.total_commits ?? commits.length;
+      shas[sha] = { branch, base_sha, status: diff.status ?? null, total_commits: total, truncated: total > commits.length, commits };
+    } catch (err) {
+      // Force-pushed or deleted commits can't be compared any more
+      log(`  ⚠️  Commits ${base_sha.slice(0, 7)}...${sha.slice(0, 7)} unavailable: ${err.message}`);
+    }
+  }
+
+  log(`  Commits: ${Object.keys(shas).length} run-to-run ranges (${lookups} looked up)`);
+  return { generated_at: generatedAt, shas };
+}
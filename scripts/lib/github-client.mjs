@@ -0,0 +1,154 @@
+/* ═══════════════════════════════════════════════════════════
+   GitHub REST client for the dashboard data generator
+   ══════════════════════════════════════════════════════════
+     • Link-header pagination
+     • Retries with exponential backoff on network errors / 5xx
+     • Waits out primary (x-ratelimit-*) and secondary
+       (retry-after) rate limits before retrying
+     • Conditional requests (ETag / If-None-Match)
+   Uses the global fetch (Node 18+). The base URL is configurable
+   so the generator can run against GitHub Enterprise or a local
+   mock API server.
+   ═══════════════════════════════════════════════════════════ */
+
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+export class GitHubApiError extends Error {
+  constructor(message, { status = null, url = null } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createGitHubClient({
+  token = null,
+  baseUrl = DEFAULT_API_URL,
+  maxRetries = 4,
+  retryDelayMs = 1000,
+  maxRateLimitWaitMs = 15 * 60 * 1000,
+  fetchImpl = globalThis.fetch,
+  sleep = defaultSleep,
+  log = () => {}
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const backoff = attempt => retryDelayMs * 2 ** attempt;
+
+  function resolveUrl(pathOrUrl) {
+    return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${root}/${pathOrUrl.replace(/^\/+/, '')}`;
+  }
+
+  async function request(pathOrUrl, { headers = {} } = {}) {
+    const url = resolveUrl(pathOrUrl);
+
+    for (let attempt = 0; ; attempt++) {
+      let resp;
+      try {
+        resp = await fetchImpl(url, {
+          headers: {
+            Accept: 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            'User-Agent': 'github-shared-workflows-dashboard',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+          }
+        });
+      } catch (err) {
+        if (attempt >= maxRetries) throw new GitHubApiError(`Network error for ${url}: ${err.message}`, { url });
+        log(`  ⚠️  ${err.message} — retrying in ${backoff(attempt)}ms`);
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const wait = rateLimitWait(resp, backoff(attempt));
+      if (wait !== null && attempt < maxRetries) {
+        if (wait > maxRateLimitWaitMs) {
+          throw new GitHubApiError(`Rate limited for ${Math.ceil(wait / 1000)}s (over the ${maxRateLimitWaitMs / 1000}s limit) on ${url}`, { status: resp.status, url });
+        }
+        log(`  ⏳ Rate limited (HTTP ${resp.status}) — waiting ${Math.ceil(wait / 1000)}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      if (resp.status >= 500 && attempt < maxRetries) {
+        log(`  ⚠️  HTTP ${resp.status} for ${url} — retrying in ${backoff(attempt)}ms`);
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      if (!resp.ok && resp.status !== 304) {
+        throw new GitHubApiError(`HTTP ${resp.status} for ${url}`, { status: resp.status, url });
+      }
+      return resp;
+    }
+  }
+
+  async function getJSON(pathOrUrl) {
+    const resp = await request(pathOrUrl);
+    return resp.json();
+  }
+
+  // Follows rel="next" links until maxItems are collected. itemsKey picks the
+  // array out of wrapped responses such as { total_count, workflow_runs: [] }.
+  // With an etag, the first page is requested conditionally and a 304 returns
+  // { notModified: true } without spending rate-limit quota.
+  async function fetchPages(path, { itemsKey = null, maxItems = Infinity, perPage = 100, etag = null } = {}) {
+    const items = [];
+    let url = withQuery(resolveUrl(path), { per_page: Math.min(perPage, maxItems) });
+    let firstEtag = null;
+
+    while (url && items.length < maxItems) {
+      const conditional = etag && firstEtag === null;
+      const resp = await request(url, { headers: conditional ? { 'If-None-Match': etag } : {} });
+      if (resp.status === 304) return { notModified: true, items: [], etag };
+      if (firstEtag === null) firstEtag = resp.headers.get('etag') || '';
+
+      const body = await resp.json();
+      const page = itemsKey ? (body?.[itemsKey] || []) : (body || []);
+      items.push(...page);
+      url = page.length > 0 ? nextLink(resp.headers.get('link')) : null;
+    }
+    return { notModified: false, items: items.slice(0, maxItems), etag: firstEtag || null };
+  }
+
+  async function paginate(path, options = {}) {
+    return (await fetchPages(path, { ...options, etag: null })).items;
+  }
+
+  return { request, getJSON, paginate, fetchPages };
+}
+
+// Milliseconds to wait before retrying, or null when the response isn't rate limited
+function rateLimitWait(resp, fallbackMs) {
+  if (resp.status !== 403 && resp.status !== 429) return null;
+
+  const retryAfter = resp.headers.get('retry-after');
+  if (retryAfter) return Math.max(0, parseInt(retryAfter, 10)) * 1000;
+
+  if (resp.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(resp.headers.get('x-ratelimit-reset'), 10);
+    if (!isNaN(reset)) return Math.max(0, reset * 1000 - Date.now()) + 1000;
+    return fallbackMs;
+  }
+
+  // A plain 403 is a permissions problem, not a rate limit
+  return resp.status === 429 ? fallbackMs : null;
+}
+
+function withQuery(url, params) {
+  const u = new URL(url);
+  Object.entries(params).forEach(([k, v]) => {
+    if (!u.searchParams.has(k) && v !== undefined && v !== Infinity) u.searchParams.set(k, String(v));
+  });
+  return u.toString();
+}
+
+export function nextLink(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader.split(',').map(part => /<([^>]+)>;\s*rel="([^"]+)"/.exec(part.trim()))
+    .find(m => m && m[2] === 'next');
+  return match ? match[1] : null;
+}
@@ -0,0 +1,84 @@
+/* ═══════════════════════════════════════════════════════════
+   JUnit XML → per-test records
+   ══════════════════════════════════════════════════════════
+   Understands the common subset written by pytest --junitxml,
+   jest-junit and go-junit-report: <testcase> elements with
+   name / classname / time / file, and <failure>, <error> or
+   <skipped> children. Regex-based on purpose: no XML dependency,
+   and malformed reports degrade to "fewer tests" rather than a
+   crash.
+   ═══════════════════════════════════════════════════════════ */
+
+const MAX_MESSAGE = 500;
+const MAX_DETAILS = 4000;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Surrogates and values past U+10FFFF aren't characters; fromCodePoint
+// would throw on the latter and drop the whole report
+function isCodePoint(code) {
+  return code >= 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+}
+
+export function decodeXml(str) {
+  return String(str || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, ent) => {
+      if (ent[0] === '#') {
+        const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+        return isCodePoint(code) ? String.fromCodePoint(code) : whole;
+      }
+      return Object.hasOwn(ENTITIES, ent) ? ENTITIES[ent] : whole;
+    });
+}
+
+function parseAttributes(str) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(str))) attrs[m[1]] = decodeXml(m[2] ?? m[3]);
+  return attrs;
+}
+
+function truncate(str, max) {
+  return str.length > max ? str.slice(0, max) + '…' : str;
+}
+
+// [{ name, classname, file, duration, status, message, type, details }]
+// status: passed | failed | error | skipped; duration in seconds (or null)
+export function parseJUnit(xml) {
+  const tests = [];
+  const caseRe = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let m;
+
+  while ((m = caseRe.exec(String(xml || '')))) {
+    const attrs = parseAttributes(m[1]);
+    const body = m[2] || '';
+    const time = parseFloat(attrs.time);
+    const record = {
+      name: attrs.name || 'unnamed',
+      classname: attrs.classname || '',
+      file: attrs.file || null,
+      duration: isNaN(time) ? null : time,
+      status: 'passed',
+      message: null,
+      type: null,
+      details: null
+    };
+
+    const problem = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+    if (problem) {
+      const pAttrs = parseAttributes(problem[2]);
+      const details = decodeXml(problem[3] || '').trim();
+      record.status = problem[1] === 'error' ? 'error' : 'failed';
+      record.type = pAttrs.type || null;
+      record.message = truncate(pAttrs.message || details.split('\n')[0] || problem[1], MAX_MESSAGE);
+      record.details = details ? truncate(details, MAX_DETAILS) : null;
+    } else if (/<skipped\b/.test(body)) {
+      record.status = 'skipped';
+    }
+
+    tests.push(record);
+  }
+  return tests;
+}
@@ -0,0 +1,78 @@
+/* ═══════════════════════════════════════════════════════════
+   Pull requests behind the CI runs
+   ══════════════════════════════════════════════════════════
+   Feeds branches.html with the PR number, title and author of
+   the branches the runs were built from, in
+   data/<repo>.pulls.json:
+
+     { generated_at,
+       pulls: [{ number, title, state, draft, merged_at, author,
+                 head_ref, head_sha, head_repo, base_ref,
+                 html_url, created_at, updated_at, closed_at }] }
+
+   Open PRs are listed on every refresh. A closed PR is fetched
+   once when a kept run still points at it, and dropped with
+   the last such run.
+   ═══════════════════════════════════════════════════════════ */
+
+export const MAX_OPEN_PULLS = 100;
+// Closed PRs looked up per refresh; the rest wait for the next one
+export const MAX_PULL_LOOKUPS = 20;
+
+export function toPull(raw) {
+  return {
+    number: raw.number,
+    title: raw.title ?? '',
+    state: raw.state ?? null,
+    draft: !!raw.draft,
+    merged_at: raw.merged_at ?? null,
+    author: raw.user ? { login: raw.user.login, avatar_url: raw.user.avatar_url } : null,
+    head_ref: raw.head?.ref ?? null,
+    head_sha: raw.head?.sha ?? null,
+    head_repo: raw.head?.repo?.full_name ?? null,
+    base_ref: raw.base?.ref ?? null,
+    html_url: raw.html_url ?? null,
+    created_at: raw.created_at ?? null,
+    updated_at: raw.updated_at ?? null,
+    closed_at: raw.closed_at ?? null
+  };
+}
+
+// PR numbers the runs were triggered for. GitHub only fills
+// run.pull_requests for PRs from the same repo, not from forks.
+export function referencedPullNumbers(runs) {
+  return [...new Set((runs || []).flatMap(r => r.pull_requests || []))].sort((a, b) => b - a);
+}
+
+export async function collectPullRequests(client, { owner, repo, runs, existing = null, generatedAt, log = () => {} }) {
+  const base = `repos/${owner}/${repo}`;
+  const open = (await client.paginate(`${base}/pulls?state=open&sort=updated&direction=desc`, { maxItems: MAX_OPEN_PULLS })).map(toPull);
+  const byNumber = new Map(open.map(p => [p.number, p]));
+  const known = new Map((existing?.pulls || []).map(p => [p.number, p]));
+
+  let lookups = 0;
+  for (const number of referencedPullNumbers(runs)) {
+    if (byNumber.has(number)) continue;
+    const prev = known.get(number);
+    // Closed last time and not open now: nothing left to change
+    if (prev && prev.state === 'closed') {
+      byNumber.set(number, prev);
+      continue;
+    }
+    if (lookups >= MAX_PULL_LOOKUPS) {
+      if (prev) byNumber.set(number, prev);
+      continue;
+    }
+    lookups++;
+    try {
+      byNumber.set(number, toPull(await client.getJSON(`${base}/pulls/${number}`)));
+    } catch (err) {
+      log(`  ⚠️  PR #${number} unavailable: ${err.message}`);
+      if (prev) byNumber.set(number, prev);
+    }
+  }
+
+  const pulls = [...byNumber.values()].sort((a, b) => b.number - a.number);
+  log(`  Pull requests: ${open.length} open, ${pulls.length - open.length} closed (${lookups} looked up)`);
+  return { generated_at: generatedAt, pulls };
+}
@@ -0,0 +1,113 @@
+/* ═══════════════════════════════════════════════════════════
+   Releases and environment promotions
+   ══════════════════════════════════════════════════════════
+   Reads GitHub releases (tags and CHANGELOG notes written by
+   reusable-release.yml) and the deployments GitHub records for
+   jobs that declare an `environment:` (reusable-publish.yml and
+   the reusable-integration-ci.yml deploy jobs) into
+   data/<repo>.releases.json:
+
+     { generated_at,
+       releases:     [{ tag, version, name, published_at, prerelease,
+                        html_url, notes }],
+       deployments:  [{ id, environment, ref, sha, version, created_at,
+                        state, state_at, creator, log_url, environment_url }],
+       environments: { <env>: { current, latest } } }
+
+   A deployment's version is the release tag pointing at its
+   commit. Statuses are only re-fetched for deployments that
+   haven't reached a final state yet.
+   ═══════════════════════════════════════════════════════════ */
+
+export const MAX_RELEASES = 20;
+export const MAX_DEPLOYMENTS = 50;
+export const NOTES_EXCERPT_LENGTH = 600;
+
+const FINAL_STATES = new Set(['success', 'failure', 'error', 'inactive']);
+
+// First lines of the release notes, trimmed to a readable excerpt
+export function notesExcerpt(body, max = NOTES_EXCERPT_LENGTH) {
+  const text = String(body || '').replace(/\r\n/g, '\n').replace(/<!--[\s\S]*?-->/g, '').trim();
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const lineEnd = cut.lastIndexOf('\n');
+  return (lineEnd > max / 2 ? cut.slice(0, lineEnd) : cut).trimEnd() + '\n…';
+}
+
+export function toRelease(raw) {
+  const tag = raw.tag_name || null;
+  return {
+    tag,
+    version: tag ? tag.replace(/^v(?=\d)/, '') : null,
+    name: raw.name || tag,
+    published_at: raw.published_at || raw.created_at || null,
+    prerelease: !!raw.prerelease,
+    html_url: raw.html_url ?? null,
+    notes: notesExcerpt(raw.body)
+  };
+}
+
+export function toDeployment(raw, status, versionBySha) {
+  return {
+    id: raw.id,
+    environment: raw.environment || 'unknown',
+    ref: raw.ref ?? null,
+    sha: raw.sha ?? null,
+    version: versionBySha.get(raw.sha) || null,
+    created_at: raw.created_at ?? null,
+    state: status?.state || 'pending',
+    state_at: status?.created_at || raw.updated_at || raw.created_at || null,
+    creator: raw.creator?.login || null,
+    log_url: status?.log_url || status?.target_url || null,
+    environment_url: status?.environment_url || null
+  };
+}
+
+// Per environment: the newest successful deployment (what's running there)
+// and the newest deployment of any state (what was last attempted)
+export function summariseEnvironments(deployments) {
+  const environments = {};
+  deployments.forEach(d => {
+    const env = environments[d.environment] || (environments[d.environment] = { current: null, latest: null });
+    const newer = (a, b) => !a || String(b.created_at) > String(a.created_at);
+    if (newer(env.latest, d)) env.latest = d;
+    // A successful deployment turns "inactive" once a newer one replaces it
+    if ((d.state === 'success' || d.state === 'inactive') && newer(env.current, d)) env.current = d;
+  });
+  return environments;
+}
+
+export async function collectReleases(client, { owner, repo, existing = null, generatedAt, log = () => {} }) {
+  const rawReleases = await client.paginate(`repos/${owner}/${repo}/releases`, { maxItems: MAX_RELEASES });
+  const releases = rawReleases.filter(r => !r.draft).map(toRelease);
+
+  // Tags map commits to versions; only the newest page is needed
+  const tags = await client.paginate(`repos/${owner}/${repo}/tags`, { maxItems: 100 });
+  const versionBySha = new Map();
+  tags.forEach(t => {
+    if (t.commit?.sha && !versionBySha.has(t.commit.sha)) versionBySha.set(t.commit.sha, t.name.replace(/^v(?=\d)/, ''));
+  });
+
+  const known = new Map((existing?.deployments || []).map(d => [d.id, d]));
+  const rawDeployments = await client.paginate(`repos/${owner}/${repo}/deployments`, { maxItems: MAX_DEPLOYMENTS });
+  let refreshed = 0;
+  const deployments = [];
+  for (const raw of rawDeployments) {
+    const prev = known.get(raw.id);
+    if (prev && FINAL_STATES.has(prev.state)) {
+      deployments.push({ ...prev, version: prev.version || versionBySha.get(prev.sha) || null });
+      continue;
+    }
+    const statuses = await client.paginate(`repos/${owner}/${repo}/deployments/${raw.id}/statuses`, { maxItems: 1 });
+    deployments.push(toDeployment(raw, statuses[0], versionBySha));
+    refreshed++;
+  }
+  log(`  Releases: ${releases.length}, deployments: ${deployments.length} (${refreshed} status refreshed)`);
+
+  return {
+    generated_at: generatedAt,
+    releases,
+    deployments,
+    environments: summariseEnvironments(deployments)
+  };
+}
@@ -0,0 +1,183 @@
+/* ═══════════════════════════════════════════════════════════
+   Per-repo data collection
+   ══════════════════════════════════════════════════════════
+   Produces the data/<repo>.json shape consumed by the dashboard
+   (dashboard/core/load.mjs → buildRepoModel()) and described
+   by dashboard/schemas/repo-data.v1.schema.json:
+     { schema_version, generated_at, runs[], jobs[],
+       ciStats: { lint, test, security, … } }
+   plus the rolling data/<repo>.history.json entries. Runs are
+   merged into the existing file by id, so history beyond the API
+   window survives until the retention policy drops it. Every
+   run's jobs are kept (they all bill runner minutes); stats are
+   only read for CI runs, not for the runs a run-scoped category
+   (Release by default) claims.
+   ═══════════════════════════════════════════════════════════ */
+
+import { classifyRun, resolveCategories } from '../../dashboard/core/categories.mjs';
+import { isTrackedRun, toJob, toRun } from '../../dashboard/core/runs.mjs';
+import { collectCiStats, emptyCiStats } from './annotations.mjs';
+import { DATA_SCHEMA_VERSION } from './schemas.mjs';
+
+export const DEFAULT_RETENTION = { maxAgeDays: 90, maxRuns: 100 };
+
+// Fetches the newest runs and merges them into the existing data by run id.
+// Jobs are only re-fetched for runs that are new or changed since the last
+// refresh, and ci_* annotations only for those that are CI runs. When the runs
+// listing is unchanged (HTTP 304 on the stored ETag) nothing else is requested
+// and { notModified: true } is returned.
+//
+// `categories` are the repo's resolved categories (core resolveCategories());
+// they default to the built-in ones.
+//
+// Returns { data, history, refreshedRuns, latestCiRun, etag, notModified }. history is
+// [{ run, ciStats }] for every CI run whose stats were read in this pass,
+// oldest first, so the caller can record each of them — several runs (on any
+// branch) can land between two refreshes. refreshedRuns are the CI runs whose
+// jobs were (re)fetched; latestCiRun is the newest of all CI runs kept, the
+// one data.ciStats describes.
+export async function collectRepoData(client, {
+  owner,
+  repo,
+  maxRuns = 20,
+  categories = resolveCategories(null, null),
+  generatedAt,
+  existing = null,
+  etag = null,
+  retention = DEFAULT_RETENTION,
+  now = new Date(),
+  log = () => {}
+}) {
+  const base = `repos/${owner}/${repo}`;
+  const previousRuns = existing?.runs || [];
+  const previousJobs = groupByRun(existing?.jobs || []);
+
+  // In-flight runs can progress without the listing changing, so only trust
+  // the ETag once every stored run has completed
+  const settled = previousRuns.length > 0 && previousRuns.every(r => r.status === 'completed');
+
+  log('  Fetching workflow runs...');
+  const listing = await client.fetchPages(`${base}/actions/runs`, {
+    itemsKey: 'workflow_runs', maxItems: maxRuns, etag: settled ? etag : null
+  });
+  if (listing.notModified) {
+    log('  Runs unchanged since last refresh (304)');
+    return { data: existing, history: [], refreshedRuns: [], latestCiRun: null, etag, notModified: true };
+  }
+
+  const fetched = listing.items.filter(isTrackedRun).map(toRun);
+  log(`  Found ${fetched.length} runs (filtered)`);
+
+  // Runs still in flight last time that have since scrolled out of the listing
+  const listedIds = new Set(fetched.map(r => r.id));
+  for (const prev of previousRuns.filter(r => !listedIds.has(r.id) && r.status !== 'completed')) {
+    log(`  Refreshing in-flight run ${prev.id}...`);
+    try {
+      fetched.push(toRun(await client.getJSON(`${base}/actions/runs/${prev.id}`)));
+    } catch (err) {
+      log(`  ⚠️  Run ${prev.id} unavailable: ${err.message}`);
+    }
+  }
+
+  const previousById = new Map(previousRuns.map(r => [r.id, r]));
+  const jobsByRun = new Map(previousJobs);
+  const refreshed = new Set();
+  const isCiRun = run => !classifyRun(run, categories);
+
+  for (const run of fetched) {
+    const prev = previousById.get(run.id);
+    const unchanged = prev && jobsByRun.has(run.id) && prev.status === 'completed' &&
+      prev.updated_at === run.updated_at && prev.run_attempt === run.run_attempt;
+    if (unchanged) continue;
+
+    log(`  Fetching jobs for run ${run.id}...`);
+    const rawJobs = await client.paginate(`${base}/actions/runs/${run.id}/jobs?filter=all`, { itemsKey: 'jobs' });
+    jobsByRun.set(run.id, rawJobs.map(j => toJob(j, run)));
+    refreshed.add(run.id);
+  }
+  log(`  Jobs fetched for ${refreshed.size} new or updated run(s)`);
+
+  const fetchedIds = new Set(fetched.map(r => r.id));
+  const merged = [...fetched, ...previousRuns.filter(r => !fetchedIds.has(r.id) && isTrackedRun(r))]
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  const runs = applyRetention(merged, { ...DEFAULT_RETENTION, ...retention, minRuns: maxRuns }, now);
+  const jobs = runs.flatMap(r => jobsByRun.get(r.id) || []);
+  if (runs.length < merged.length) log(`  Retention dropped ${merged.length - runs.length} old run(s)`);
+  log(`  Keeping ${runs.length} runs, ${jobs.length} jobs`);
+
+  // The newest CI run's stats are the card's; the data file always has them,
+  // even when that run's jobs were kept from an older refresh
+  const latestCi = runs.find(isCiRun) || null;
+  const statRuns = runs.filter(r => isCiRun(r) && (refreshed.has(r.id) || (r === latestCi && !existing?.ciStats)));
+  const history = [];
+  for (const run of statRuns.slice().reverse()) {
+    log(`  Fetching annotations for CI run ${run.id}...`);
+    const runJobs = jobs.filter(j => j.run_id === run.id && j.run_attempt === run.run_attempt);
+    history.push({ run, ciStats: await fetchCiStats(client, base, runJobs, log) });
+  }
+  const ciStats = history.find(h => h.run === latestCi)?.ciStats || existing?.ciStats || emptyCiStats();
+  log(`  CI Stats: ${JSON.stringify(ciStats)}`);
+
+  return {
+    data: { schema_version: DATA_SCHEMA_VERSION, generated_at: generatedAt, runs, jobs, ciStats },
+    history,
+    refreshedRuns: runs.filter(r => refreshed.has(r.id) && isCiRun(r)),
+    latestCiRun: latestCi,
+    etag: listing.etag,
+    notModified: false
+  };
+}
+
+// ci_* annotations of a run's jobs folded into one ciStats object
+async function fetchCiStats(client, base, jobs, log) {
+  const ciStats = emptyCiStats();
+  for (const job of jobs) {
+    // Stats are best-effort: a missing check run shouldn't drop the repo
+    try {
+      collectCiStats(await client.paginate(`${base}/check-runs/${job.id}/annotations`), ciStats, log);
+    } catch (err) {
+      log(`  ⚠️  Annotations unavailable for job ${job.id}: ${err.message}`);
+    }
+  }
+  return ciStats;
+}
+
+// Drops runs older than maxAgeDays and caps the total at maxRuns. The newest
+// minRuns are always kept so a quiet repo never ends up with an empty card.
+// `runs` must be sorted newest first.
+export function applyRetention(runs, { maxAgeDays = null, maxRuns = null, minRuns = 0 } = {}, now = new Date()) {
+  const cutoff = maxAgeDays ? now.getTime() - maxAgeDays * 86400000 : -Infinity;
+  return runs
+    .filter((r, idx) => {
+      const created = new Date(r.created_at).getTime();
+      return idx < minRuns || isNaN(created) || created >= cutoff;
+    })
+    .slice(0, maxRuns || Infinity);
+}
+
+function groupByRun(jobs) {
+  const map = new Map();
+  jobs.forEach(j => {
+    if (!map.has(j.run_id)) map.set(j.run_id, []);
+    map.get(j.run_id).push(j);
+  });
+  return map;
+}
+
+// Replaces (by run id) or appends a CI run's stats, keeping the
+// newest maxEntries entries in chronological order. Every stat type is
+// recorded, so new ci_stats_v2 types get a history without schema changes.
+export function upsertHistory(entries, run, ciStats, maxEntries = 100) {
+  const entry = {
+    ...ciStats,
+    run_id: run.id,
+    run_number: run.run_number,
+    created_at: run.created_at,
+    head_branch: run.head_branch,
+    head_sha: run.head_sha,
+    conclusion: run.conclusion
+  };
+  return [...(entries || []).filter(e => e.run_id !== run.id), entry]
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+    .slice(-maxEntries);
+}
@@ -0,0 +1,45 @@
+/* ═══════════════════════════════════════════════════════════
+   Schema checks for the files the generator reads and writes
+   ══════════════════════════════════════════════════════════
+   Uses the JSON Schemas in dashboard/schemas/ and the validator
+   in dashboard/core/schema.mjs — the same ones the dashboard checks
+   the files with on load — so nothing the dashboard would
+   reject gets written.
+   ═══════════════════════════════════════════════════════════ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DATA_SCHEMA_VERSION, SCHEMA_FILES, describeSchemaProblem, validateSchema } from '../../dashboard/core/schema.mjs';
+
+export { DATA_SCHEMA_VERSION };
+
+const SCHEMA_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..', 'dashboard', 'schemas');
+// Problems listed in an error message; the rest are counted
+const MAX_LISTED = 5;
+
+// { manifest, repoData, dashboardData } plus every schema by $id, for $ref
+export async function loadSchemas(dir = SCHEMA_DIR) {
+  const registry = {};
+  for (const [key, file] of Object.entries(SCHEMA_FILES)) {
+    const schema = JSON.parse(await readFile(join(dir, file), 'utf8'));
+    registry[key] = schema;
+    registry[schema.$id] = schema;
+  }
+  return registry;
+}
+
+// ["runs[3].head_branch must be string or null, got 42", …]
+export function schemaProblems(schemas, key, value) {
+  return validateSchema(schemas[key], value, schemas).map(describeSchemaProblem);
+}
+
+// Throws listing the first problems when `value` doesn't match; `label`
+// names the file in the message
+export function assertValid(schemas, key, value, label) {
+  const problems = schemaProblems(schemas, key, value);
+  if (problems.length === 0) return;
+  const more = problems.length > MAX_LISTED ? ` (+${problems.length - MAX_LISTED} more)` : '';
+  throw new Error(`${label} does not match ${SCHEMA_FILES[key]}: ${problems.slice(0, MAX_LISTED).join('; ')}${more}`);
+}
@@ -0,0 +1,249 @@
+/* ═══════════════════════════════════════════════════════════
+   Security findings from the security-reports-* artifacts
+   ══════════════════════════════════════════════════════════
+   For each newly completed run with a security scan, downloads
+   the security-reports-* artifact, parses every report inside
+   (security-reports.mjs) and folds the findings into
+   data/<repo>.security.json:
+
+     { generated_at,
+       allowlist: { path, entries: [{ id, package, file, tool,
+                    reason, expires, by }] } | null,
+       branches: { <branch>: {
+         last_run, previous_run,        — { run_id, run_number, … }
+         sources: ['sast', 'deps', 'vuln'],
+         findings: [{ key, tool, kind, rule, aliases, title,
+                      severity, package, version, fix, file, line,
+                      url, first_seen, new, allowlisted }],
+         fixed:    [{ …finding, fixed_in }],
+         counts:   { sast, deps, critical, high, medium, low,
+                     accepted } } } }
+
+   "new" and "fixed" compare a run with the previous scan of the
+   same branch. The allowlist is a JSON file in the repo's
+   default branch (.github/security-allowlist.json unless
+   manifest.json "security.allowlistPath" says otherwise):
+
+     { "accepted": [{ "id": "CVE-2024-3651", "package": "idna",
+                      "reason": "not reachable", "expires": "2026-12-31" }] }
+
+   An entry matches on the rule id or an alias, narrowed by the
+   optional package / file / tool; every entry needs an expiry
+   date. Accepted findings stay listed but drop out of the
+   counts until they expire; the allowlist is re-read and
+   re-applied whenever the repo's runs are refreshed.
+   ═══════════════════════════════════════════════════════════ */
+
+import { listRunArtifacts, pruneBranches, readArtifactEntries, runRef } from './artifacts.mjs';
+import { isSecurityReport, parseSecurityReport, reportKind } from './security-reports.mjs';
+
+export const SECURITY_ARTIFACT_PATTERN = /^security-reports\b/;
+export const DEFAULT_ALLOWLIST_PATH = '.github/security-allowlist.json';
+export const MAX_FIXED = 100;
+
+const TRIVY_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Stable across runs: line numbers are left out so an edit above a finding
+// doesn't turn it into a "new" one. Repeats get a #2, #3… suffix.
+export function assignKeys(findings) {
+  const counts = new Map();
+  return findings.map(f => {
+    const base = `${f.tool}|${f.rule}|${f.package || f.file || ''}`;
+    const n = (counts.get(base) || 0) + 1;
+    counts.set(base, n);
+    return { ...f, key: n === 1 ? base : `${base}#${n}` };
+  });
+}
+
+// Every finding in the run's security artifacts, or null when the run has none
+export async function fetchRunFindings(client, { owner, repo, run, log = () => {} }) {
+  const artifacts = await listRunArtifacts(client, { owner, repo, run, pattern: SECURITY_ARTIFACT_PATTERN });
+  if (artifacts.length === 0) return null;
+
+  const findings = [];
+  const sources = new Set();
+  for (const artifact of artifacts) {
+    const entries = await readArtifactEntries(client, artifact, isSecurityReport, log);
+    (entries || []).forEach(entry => {
+      const parsed = parseSecurityReport(entry.name, entry.data.toString('utf8'));
+      if (!parsed) {
+        log(`    Unreadable report ${entry.name}`);
+        return;
+      }
+      // A report with no findings still proves its kind was scanned
+      sources.add(reportKind(entry.name));
+      findings.push(...parsed);
+    });
+  }
+  return { findings: assignKeys(findings), sources: [...sources].sort() };
+}
+
+// Valid allowlist entries; `warn` hears about the rest
+export function parseAllowlist(json, warn = () => {}) {
+  const raw = Array.isArray(json) ? json : json?.accepted;
+  if (!Array.isArray(raw)) {
+    warn('allowlist has no "accepted" list');
+    return [];
+  }
+  return raw.filter(entry => {
+    const valid = entry?.id && /^\d{4}-\d{2}-\d{2}$/.test(String(entry.expires || ''));
+    if (!valid) warn(`ignoring allowlist entry without an id and an expires date (YYYY-MM-DD): ${JSON.stringify(entry)}`);
+    return valid;
+  }).map(entry => ({
+    id: String(entry.id),
+    package: entry.package ?? null,
+    file: entry.file ?? null,
+    tool: entry.tool ?? null,
+    reason: entry.reason ?? null,
+    expires: entry.expires,
+    by: entry.by ?? null
+  }));
+}
+
+// The allowlist file from the default branch, or null when the repo has none
+export async function fetchAllowlist(client, { owner, repo, path = DEFAULT_ALLOWLIST_PATH, log = () => {} }) {
+  let text;
+  try {
+    const resp = await client.request(`repos/${owner}/${repo}/contents/${path}`, { headers: { Accept: 'application/vnd.github.raw+json' } });
+    text = await resp.text();
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    log(`  ⚠️  ${path} is not valid JSON: ${err.message}`);
+    return { path, entries: [] };
+  }
+  return { path, entries: parseAllowlist(json, msg => log(`  ⚠️  ${path}: ${msg}`)) };
+}
+
+function entryMatches(entry, f) {
+  const id = entry.id.toLowerCase();
+  if (f.rule.toLowerCase() !== id && !f.aliases.some(a => a.toLowerCase() === id)) return false;
+  if (entry.package && entry.package !== f.package) return false;
+  if (entry.file && !(f.file || '').endsWith(entry.file)) return false;
+  if (entry.tool && entry.tool !== f.tool) return false;
+  return true;
+}
+
+// Marks findings covered by an allowlist entry: allowlisted = { reason,
+// expires, by, expired }. An expired entry is kept visible but no longer
+// hides the finding from the counts.
+export function applyAllowlist(findings, entries, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  return findings.map(f => {
+    const entry = (entries || []).find(e => entryMatches(e, f));
+    return {
+      ...f,
+      allowlisted: entry ? { reason: entry.reason, expires: entry.expires, by: entry.by, expired: entry.expires < today } : null
+    };
+  });
+}
+
+export function isAccepted(f) {
+  return !!f.allowlisted && !f.allowlisted.expired;
+}
+
+// Counts in the ci_stats security metric names. Kinds that weren't scanned
+// are left out, so the counts the CI job reported for them stand.
+export function securityCounts(findings, sources) {
+  const active = findings.filter(f => !isAccepted(f));
+  const counts = { accepted: findings.length - active.length };
+  if (sources.includes('sast')) counts.sast = active.filter(f => f.kind === 'sast').length;
+  if (sources.includes('deps')) counts.deps = active.filter(f => f.kind === 'deps').length;
+  if (sources.includes('vuln')) {
+    TRIVY_SEVERITIES.forEach(s => { counts[s] = active.filter(f => f.kind === 'vuln' && f.severity === s).length; });
+  }
+  return counts;
+}
+
+// The ciStats security block with the allowlist-aware counts in place of the
+// ones the CI job annotated
+export function applySecurityCounts(block, counts) {
+  const base = block && block.metrics ? block : { version: 2, tool: null, metrics: {}, breakdown: [] };
+  const metrics = { ...base.metrics };
+  Object.entries(counts).forEach(([name, value]) => { metrics[name] = { value }; });
+  return { ...base, metrics };
+}
+
+// Folds one run's findings into a branch's state. Runs older than the last
+// one recorded are ignored; re-processing the same run (a re-attempt) keeps
+// the comparison with the scan before it.
+export function updateBranchFindings(branchState, run, scan) {
+  const prev = branchState || null;
+  if (prev?.last_run && prev.last_run.run_id !== run.id &&
+      String(run.created_at) < String(prev.last_run.created_at)) {
+    return prev;
+  }
+
+  const ref = runRef(run);
+  const sameRun = prev?.last_run?.run_id === run.id;
+  const previousByKey = new Map((prev?.findings || []).map(f => [f.key, f]));
+  const currentKeys = new Set(scan.findings.map(f => f.key));
+
+  const findings = scan.findings.map(f => {
+    const old = previousByKey.get(f.key);
+    return {
+      ...f,
+      first_seen: old?.first_seen || ref,
+      // The first scan of a branch is the baseline, not a wall of "new"
+      new: old ? (sameRun ? old.new : false) : !!prev
+    };
+  });
+
+  const fixedNow = [...previousByKey.values()]
+    .filter(f => !currentKeys.has(f.key))
+    .map(({ new: _, allowlisted: __, ...f }) => ({ ...f, fixed_in: ref }));
+  const fixed = sameRun
+    ? [...fixedNow, ...(prev.fixed || []).filter(f => !currentKeys.has(f.key) && !previousByKey.has(f.key))]
+    : fixedNow;
+
+  return {
+    last_run: ref,
+    previous_run: sameRun ? prev.previous_run : prev?.last_run || null,
+    sources: scan.sources,
+    findings,
+    fixed: fixed.slice(0, MAX_FIXED)
+  };
+}
+
+// Processes the given completed runs (oldest first) and re-applies the
+// allowlist to every branch
+export async function collectSecurityFindings(client, {
+  owner, repo, runs, existing = null, allowlistPath = DEFAULT_ALLOWLIST_PATH,
+  maxAgeDays = null, generatedAt, now = new Date(), log = () => {}
+}) {
+  const branches = { ...(existing?.branches || {}) };
+  const ordered = runs
+    .filter(r => r.status === 'completed')
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+  for (const run of ordered) {
+    try {
+      const scan = await fetchRunFindings(client, { owner, repo, run, log });
+      if (!scan) continue;
+      const branch = run.head_branch || 'unknown';
+      branches[branch] = updateBranchFindings(branches[branch], run, scan);
+      const state = branches[branch];
+      log(`  Security: run ${run.id} — ${state.findings.length} findings (${state.findings.filter(f => f.new).length} new, ${state.fixed.length} fixed) on ${branch}`);
+    } catch (err) {
+      // Artifacts expire or may be malformed; never drop the repo over it
+      log(`  ⚠️  Security reports unavailable for run ${run.id}: ${err.message}`);
+    }
+  }
+
+  const allowlist = await fetchAllowlist(client, { owner, repo, path: allowlistPath, log });
+  if (allowlist) log(`  Security allowlist: ${allowlist.entries.length} entr${allowlist.entries.length === 1 ? 'y' : 'ies'}`);
+
+  const kept = pruneBranches(branches, maxAgeDays, now);
+  Object.keys(kept).forEach(branch => {
+    const state = kept[branch];
+    const findings = applyAllowlist(state.findings, allowlist?.entries, now);
+    kept[branch] = { ...state, findings, counts: securityCounts(findings, state.sources) };
+  });
+
+  return { generated_at: generatedAt, allowlist, branches: kept };
+}
@@ -0,0 +1,204 @@
+/* ═══════════════════════════════════════════════════════════
+   Security scan reports → per-finding records
+   ══════════════════════════════════════════════════════════
+   Understands the JSON reports reusable-ci.yml uploads in its
+   security-reports-* artifact, plus any SARIF 2.1 file:
+     • SAST  — bandit-report.json, gosec-report.json,
+               eslint-security-report.json, *.sarif
+     • deps  — pip-audit-report.json, npm-audit-report.json,
+               govulncheck-report.json
+     • vuln  — trivy-results.json (what the critical / high /
+               medium / low counts are taken from)
+   Every finding is normalised to:
+     { tool, kind, rule, aliases[], title, severity, package,
+       version, fix, file, line, url }
+   severity is critical / high / medium / low / unknown.
+   Unknown files and malformed reports yield no findings.
+   ═══════════════════════════════════════════════════════════ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+const MAX_TITLE = 300;
+
+export function normalizeSeverity(value) {
+  const s = String(value ?? '').toLowerCase();
+  if (s === 'error') return 'high';
+  if (s === 'warning' || s === 'moderate') return 'medium';
+  if (s === 'note' || s === 'info' || s === 'informational') return 'low';
+  return SEVERITIES.includes(s) ? s : 'unknown';
+}
+
+// CVSS-style score (SARIF "security-severity") → severity
+function severityFromScore(score) {
+  const n = Number(score);
+  if (isNaN(n)) return null;
+  return n >= 9 ? 'critical' : n >= 7 ? 'high' : n >= 4 ? 'medium' : 'low';
+}
+
+function finding(fields) {
+  const title = String(fields.title ?? '').replace(/\s+/g, ' ').trim();
+  return {
+    tool: fields.tool,
+    kind: fields.kind,
+    rule: fields.rule ? String(fields.rule) : 'unknown',
+    aliases: [...new Set((fields.aliases || []).filter(Boolean).map(String))],
+    title: title.length > MAX_TITLE ? title.slice(0, MAX_TITLE) + '…' : title,
+    severity: normalizeSeverity(fields.severity),
+    package: fields.package ?? null,
+    version: fields.version ?? null,
+    fix: fields.fix ?? null,
+    file: fields.file ?? null,
+    line: fields.line !== null && fields.line !== undefined && !isNaN(Number(fields.line)) ? Number(fields.line) : null,
+    url: fields.url ?? null
+  };
+}
+
+export function parseBandit(report) {
+  return (report?.results || []).map(r => finding({
+    tool: 'bandit', kind: 'sast',
+    rule: r.test_id, title: r.issue_text || r.test_name, severity: r.issue_severity,
+    file: r.filename, line: r.line_number, url: r.more_info
+  }));
+}
+
+export function parseGosec(report) {
+  return (report?.Issues || []).map(i => finding({
+    tool: 'gosec', kind: 'sast',
+    rule: i.rule_id, aliases: i.cwe?.id ? [`CWE-${i.cwe.id}`] : [], title: i.details, severity: i.severity,
+    file: i.file, line: String(i.line ?? '').split('-')[0], url: i.cwe?.url
+  }));
+}
+
+export function parseEslint(report) {
+  return (Array.isArray(report) ? report : []).flatMap(file => (file.messages || []).map(m => finding({
+    tool: 'eslint', kind: 'sast',
+    rule: m.ruleId || 'parse-error', title: m.message, severity: m.severity === 2 ? 'medium' : 'low',
+    file: file.filePath, line: m.line
+  })));
+}
+
+export function parseTrivy(report) {
+  return (report?.Results || []).flatMap(result => (result.Vulnerabilities || []).map(v => finding({
+    tool: 'trivy', kind: 'vuln',
+    rule: v.VulnerabilityID, title: v.Title || v.Description, severity: v.Severity,
+    package: v.PkgName, version: v.InstalledVersion, fix: v.FixedVersion || null,
+    file: result.Target, url: v.PrimaryURL
+  })));
+}
+
+// pip-audit ≥ 2.5 wraps the list in { dependencies }; older versions don't
+export function parsePipAudit(report) {
+  const deps = Array.isArray(report) ? report : report?.dependencies || [];
+  return deps.flatMap(dep => (dep.vulns || []).map(v => finding({
+    tool: 'pip-audit', kind: 'deps',
+    rule: v.id, aliases: v.aliases, title: v.description, severity: 'unknown',
+    package: dep.name, version: dep.version, fix: (v.fix_versions || [])[0] || null,
+    url: /^(PYSEC|GHSA|CVE)-/.test(v.id) ? `https://osv.dev/vulnerability/${v.id}` : null
+  })));
+}
+
+// npm ≥ 7: one entry per vulnerable package; `via` strings point at other
+// entries (transitive), objects are the advisories themselves
+export function parseNpmAudit(report) {
+  return Object.entries(report?.vulnerabilities || {}).flatMap(([name, vuln]) =>
+    (vuln.via || []).filter(v => v && typeof v === 'object').map(v => finding({
+      tool: 'npm audit', kind: 'deps',
+      rule: /GHSA-[\w-]+/.exec(v.url || '')?.[0] || v.source, title: v.title, severity: v.severity || vuln.severity,
+      package: v.name || name, version: v.range || vuln.range,
+      fix: vuln.fixAvailable && typeof vuln.fixAvailable === 'object' ? `${vuln.fixAvailable.name}@${vuln.fixAvailable.version}` : null,
+      url: v.url
+    })));
+}
+
+// govulncheck -json writes a stream of JSON objects: "osv" messages describe
+// advisories, "finding" messages say a module is affected. One finding per
+// advisory and module.
+export function parseGovulncheck(messages) {
+  const osvs = new Map();
+  messages.filter(m => m?.osv).forEach(m => osvs.set(m.osv.id, m.osv));
+
+  const seen = new Map();
+  messages.filter(m => m?.finding).forEach(({ finding: f }) => {
+    const frame = (f.trace || [])[0] || {};
+    const key = `${f.osv}::${frame.module}`;
+    if (seen.has(key)) return;
+    const osv = osvs.get(f.osv) || {};
+    seen.set(key, finding({
+      tool: 'govulncheck', kind: 'deps',
+      rule: f.osv, aliases: osv.aliases, title: osv.summary || osv.details, severity: 'unknown',
+      package: frame.module, version: frame.version, fix: f.fixed_version || null,
+      url: f.osv ? `https://pkg.go.dev/vuln/${f.osv}` : null
+    }));
+  });
+  return [...seen.values()];
+}
+
+export function parseSarif(report) {
+  return (report?.runs || []).flatMap(run => {
+    const driver = run.tool?.driver || {};
+    const rules = new Map((driver.rules || []).map(r => [r.id, r]));
+    return (run.results || []).map(r => {
+      const rule = rules.get(r.ruleId) || {};
+      const location = r.locations?.[0]?.physicalLocation || {};
+      return finding({
+        tool: String(driver.name || 'sarif').toLowerCase(), kind: 'sast',
+        rule: r.ruleId, title: r.message?.text || rule.shortDescription?.text,
+        severity: severityFromScore(rule.properties?.['security-severity']) || r.level || rule.defaultConfiguration?.level,
+        file: location.artifactLocation?.uri, line: location.region?.startLine, url: rule.helpUri
+      });
+    });
+  });
+}
+
+// Splits concatenated (possibly pretty-printed) JSON values
+export function parseJsonStream(text) {
+  const values = [];
+  let depth = 0, start = -1, inString = false, escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{' || c === '[') {
+      if (depth++ === 0) start = i;
+    } else if ((c === '}' || c === ']') && depth > 0 && --depth === 0) {
+      try { values.push(JSON.parse(text.slice(start, i + 1))); } catch (_) {}
+    }
+  }
+  return values;
+}
+
+const REPORT_PARSERS = [
+  { pattern: /bandit-report\.json$/i,          kind: 'sast', parse: text => parseBandit(JSON.parse(text)) },
+  { pattern: /gosec-report\.json$/i,           kind: 'sast', parse: text => parseGosec(JSON.parse(text)) },
+  { pattern: /eslint-security-report\.json$/i, kind: 'sast', parse: text => parseEslint(JSON.parse(text)) },
+  { pattern: /trivy-results\.json$/i,          kind: 'vuln', parse: text => parseTrivy(JSON.parse(text)) },
+  { pattern: /pip-audit-report\.json$/i,       kind: 'deps', parse: text => parsePipAudit(JSON.parse(text)) },
+  { pattern: /npm-audit-report\.json$/i,       kind: 'deps', parse: text => parseNpmAudit(JSON.parse(text)) },
+  { pattern: /govulncheck-report\.json$/i,     kind: 'deps', parse: text => parseGovulncheck(parseJsonStream(text)) },
+  { pattern: /\.sarif(\.json)?$/i,             kind: 'sast', parse: text => parseSarif(JSON.parse(text)) }
+];
+
+export function isSecurityReport(fileName) {
+  return REPORT_PARSERS.some(p => p.pattern.test(fileName));
+}
+
+// "sast", "deps" or "vuln" — which counts a report is the source for
+export function reportKind(fileName) {
+  return REPORT_PARSERS.find(p => p.pattern.test(fileName))?.kind ?? null;
+}
+
+// Findings in one report file, or null when the file isn't a known report
+// or can't be parsed
+export function parseSecurityReport(fileName, text) {
+  const parser = REPORT_PARSERS.find(p => p.pattern.test(fileName));
+  if (!parser) return null;
+  try {
+    return parser.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,110 @@
+/* ═══════════════════════════════════════════════════════════
+   Failing tests from JUnit artifacts
+   ══════════════════════════════════════════════════════════
+   For each newly completed CI run, downloads the test-results-*
+   / regression-results-* artifacts, parses every JUnit XML file
+   inside and folds the results into data/<repo>.tests.json:
+
+     { generated_at,
+       branches: { <branch>: {
+         last_run: { run_id, run_number, run_attempt, created_at, html_url },
+         totals:   { tests, passed, failed, errors, skipped },
+         failing:  { <suite::classname::name>: {
+           suite, name, classname, file, duration, status, message,
+           type, details, failing_runs, first_failed, last_failed } } } } }
+
+   Streaks are tracked per branch so a demo branch that is meant
+   to fail doesn't pollute main. A test that passes clears its
+   entry; a test that wasn't executed keeps it.
+   ═══════════════════════════════════════════════════════════ */
+
+import { listRunArtifacts, pruneBranches, readArtifactEntries, runRef } from './artifacts.mjs';
+import { parseJUnit } from './junit.mjs';
+
+export const TEST_ARTIFACT_PATTERN = /^(test-results|regression-results)\b/;
+
+export function testKey(test) {
+  return `${test.suite}::${test.classname}::${test.name}`;
+}
+
+// Every JUnit test case in the run's test artifacts, tagged with the artifact
+// name as `suite` (matrix legs upload one artifact each)
+export async function fetchRunTestResults(client, { owner, repo, run, log = () => {} }) {
+  const artifacts = await listRunArtifacts(client, { owner, repo, run, pattern: TEST_ARTIFACT_PATTERN });
+  const tests = [];
+  for (const artifact of artifacts) {
+    const entries = await readArtifactEntries(client, artifact, name => /\.xml$/i.test(name), log);
+    (entries || []).forEach(entry => {
+      parseJUnit(entry.data.toString('utf8')).forEach(t => tests.push({ suite: artifact.name, ...t }));
+    });
+  }
+  return tests;
+}
+
+// Folds one run's results into a branch's state. Runs older than the last
+// one recorded for the branch are ignored; re-processing the same run (a
+// re-attempt) replaces its results without extending streaks.
+export function updateBranchTests(branchState, run, tests) {
+  const prev = branchState || { last_run: null, totals: null, failing: {} };
+  if (prev.last_run && prev.last_run.run_id !== run.id &&
+      String(run.created_at) < String(prev.last_run.created_at)) {
+    return prev;
+  }
+
+  const ref = runRef(run);
+  const executed = new Set(tests.map(testKey));
+  const failing = {};
+  Object.entries(prev.failing || {}).forEach(([key, rec]) => {
+    if (!executed.has(key)) failing[key] = rec;
+  });
+
+  tests.filter(t => t.status === 'failed' || t.status === 'error').forEach(t => {
+    const key = testKey(t);
+    const old = prev.failing?.[key];
+    const sameRun = old?.last_failed?.run_id === run.id;
+    failing[key] = {
+      suite: t.suite,
+      name: t.name,
+      classname: t.classname,
+      file: t.file,
+      duration: t.duration,
+      status: t.status,
+      message: t.message,
+      type: t.type,
+      details: t.details,
+      failing_runs: old ? old.failing_runs + (sameRun ? 0 : 1) : 1,
+      first_failed: old?.first_failed || ref,
+      last_failed: ref
+    };
+  });
+
+  const count = status => tests.filter(t => t.status === status).length;
+  return {
+    last_run: ref,
+    totals: { tests: tests.length, passed: count('passed'), failed: count('failed'), errors: count('error'), skipped: count('skipped') },
+    failing
+  };
+}
+
+// Processes the given completed CI runs (oldest first) into the tests state
+export async function collectTestResults(client, { owner, repo, runs, existing = null, maxAgeDays = null, generatedAt, now = new Date(), log = () => {} }) {
+  const branches = { ...(existing?.branches || {}) };
+  const ordered = runs
+    .filter(r => r.status === 'completed')
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+  for (const run of ordered) {
+    try {
+      const tests = await fetchRunTestResults(client, { owner, repo, run, log });
+      if (tests.length === 0) continue;
+      const branch = run.head_branch || 'unknown';
+      branches[branch] = updateBranchTests(branches[branch], run, tests);
+      log(`  JUnit: run ${run.id} — ${tests.length} tests, ${Object.keys(branches[branch].failing).length} failing on ${branch}`);
+    } catch (err) {
+      // Artifacts expire or may be malformed; never drop the repo over it
+      log(`  ⚠️  Test results unavailable for run ${run.id}: ${err.message}`);
+    }
+  }
+
+  return { generated_at: generatedAt, branches: pruneBranches(branches, maxAgeDays, now) };
+}
@@ -0,0 +1,77 @@
+/* ═══════════════════════════════════════════════════════════
+   Minimal ZIP reader for workflow artifacts
+   ══════════════════════════════════════════════════════════
+   Artifact downloads are plain ZIP archives (stored or deflated
+   entries, no ZIP64 for the sizes we read), so the central
+   directory plus zlib's raw inflate is all that's needed.
+   Inflating is capped at `maxBytes` per entry, so a small
+   archive can't expand without bound (a zip bomb).
+   ═══════════════════════════════════════════════════════════ */
+
+import { inflateRawSync } from 'node:zlib';
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a ZIP archive (no end of central directory)');
+}
+
+// Returns [{ name, data: Buffer }] for the file entries accepted by `filter(name)`.
+// Throws when an entry holds more than maxBytes once inflated.
+export function readZipEntries(input, filter = () => true, { maxBytes = Infinity } = {}) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIG) throw new Error('Corrupt ZIP central directory');
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (size > maxBytes) throw tooLarge(name, maxBytes);
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIG) throw new Error(`Corrupt ZIP entry: ${name}`);
+
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      if (raw.length > maxBytes) throw tooLarge(name, maxBytes);
+      entries.push({ name, data: Buffer.from(raw) });
+    } else if (method === 8) {
+      entries.push({ name, data: inflateEntry(raw, name, maxBytes) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+  return entries;
+}
+
+// The declared size can lie; zlib stops at maxOutputLength whatever it says
+function inflateEntry(raw, name, maxBytes) {
+  try {
+    return inflateRawSync(raw, Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {});
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name, maxBytes);
+    throw new Error(`Corrupt ZIP entry ${name}: ${err.message}`);
+  }
+}
+
+function tooLarge(name, maxBytes) {
+  return new Error(`ZIP entry ${name} is larger than ${maxBytes} bytes uncompressed`);
+}
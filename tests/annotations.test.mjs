@@ -0,0 +1,46 @@
+// scripts/lib/annotations.mjs — ci_stats_v2 and legacy annotation parsing
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseKeyValues } from '../dashboard/core/ci-stats.mjs';
+import { collectCiStats, parseStatsV2 } from '../scripts/lib/annotations.mjs';
+
+const v2 = payload => JSON.stringify({ schema: 'ci_stats', version: 2, ...payload });
+
+describe('collectCiStats', () => {
+  it('normalises legacy and v2 annotations, with v2 winning for the same type', () => {
+    const stats = collectCiStats([
+      { title: 'ci_stats_v2', message: v2({ type: 'test', tool: 'pytest', metrics: { total: { value: 42 }, errors: 3 } }) },
+      { title: 'ci_test', message: 'total=1|passed=1' },
+      { title: 'ci_lint', message: 'errors=2|coverage=87%|grade=N/A' }
+    ]);
+
+    assert.deepEqual(stats.test.metrics, { total: { value: 42 }, errors: { value: 3 } });
+    assert.equal(stats.test.tool, 'pytest');
+    assert.deepEqual(stats.lint, {
+      version: 1,
+      tool: null,
+      metrics: { errors: { value: 2 }, coverage: { value: 87, unit: '%' }, grade: { value: null } },
+      breakdown: []
+    });
+  });
+
+  it('ignores stat types and metric names that would clobber Object.prototype', () => {
+    const logged = [];
+    const stats = collectCiStats([
+      { title: 'ci_stats_v2', message: v2({ type: '__proto__', metrics: { total: 1 } }) },
+      { title: 'ci_stats_v2', message: v2({ type: 'constructor', metrics: { total: 1 } }) },
+      { title: 'ci_stats_v2', message: '{"schema":"ci_stats","version":2,"type":"build","metrics":{"__proto__":{"value":1},"size":{"value":2}}}' },
+      { title: 'ci_test', message: '__proto__=1|constructor=2|total=3' }
+    ], undefined, msg => logged.push(msg));
+
+    assert.equal(Object.getPrototypeOf(stats), Object.prototype);
+    assert.equal(Object.hasOwn(stats, 'constructor'), false);
+    assert.deepEqual(Object.keys(stats), ['lint', 'test', 'security', 'build']);
+    assert.deepEqual(stats.build.metrics, { size: { value: 2 } });
+    assert.deepEqual(stats.test.metrics, { total: { value: 3 } });
+    assert.equal(logged.length, 2);
+    assert.equal(parseStatsV2(v2({ type: 'toString' })), null);
+    assert.deepEqual(parseKeyValues('hasOwnProperty=1|a=b=c'), { a: 'b=c' });
+  });
+});
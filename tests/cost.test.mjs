@@ -0,0 +1,106 @@
+// dashboard/core/cost.mjs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  billingMonth, collectJobCosts, costCoverage, DAY_MS, forecastMonth, formatCost, formatCoverage, jobCost,
+  resolveBillingConfig, runnerOs, sumCosts
+} from '../dashboard/core/index.mjs';
+
+const config = resolveBillingConfig({ billing: { ratePerMinute: 0.01, multipliers: { macos: 5 } } });
+
+const job = (id, labels, seconds, overrides = {}) => ({
+  id, run_id: 1, name: 'Build', labels, status: 'completed', conclusion: 'success',
+  started_at: '2026-02-10T10:00:00Z', completed_at: new Date(Date.parse('2026-02-10T10:00:00Z') + seconds * 1000).toISOString(),
+  ...overrides
+});
+
+// A collectJobCosts() item `daysAgo` days before asOf
+const ASOF = Date.parse('2026-02-15T00:00:00Z');
+const item = (daysAgo, cost) => ({ at: ASOF - daysAgo * DAY_MS, month: billingMonth(ASOF - daysAgo * DAY_MS), cost, billableMinutes: cost * 100 });
+
+describe('billing config and runner OS', () => {
+  it('merges the manifest over the defaults', () => {
+    assert.equal(config.ratePerMinute, 0.01);
+    assert.equal(config.currency, 'USD');
+    assert.deepEqual(config.multipliers, { linux: 1, windows: 2, macos: 5, 'self-hosted': 0 });
+  });
+
+  it('takes the OS from the labels, then the matrix leg, then defaultOs', () => {
+    assert.equal(runnerOs(job(1, ['self-hosted', 'linux'], 60), config), 'self-hosted');
+    assert.equal(runnerOs(job(1, ['windows-2022'], 60), config), 'windows');
+    assert.equal(runnerOs(job(1, [], 60, { name: 'Test (20, macos-14)' }), config), 'macos');
+    assert.equal(runnerOs(job(1, [], 60), config), 'linux');
+  });
+});
+
+describe('jobCost / collectJobCosts / sumCosts', () => {
+  it('rounds each job up to a minute and applies the multiplier', () => {
+    assert.deepEqual(jobCost(job(1, ['macos-14'], 61), config), { os: 'macos', minutes: 2, billableMinutes: 10, cost: 0.1 });
+    assert.equal(jobCost(job(1, ['self-hosted'], 600), config).cost, 0);
+    assert.equal(jobCost(job(1, [], 0, { completed_at: null }), config), null);
+  });
+
+  it('bills every job of a known run, matrix legs by cell', () => {
+    const runs = [{ id: 1, name: 'CI' }];
+    const items = collectJobCosts(runs, [
+      job(1, ['ubuntu-latest'], 30, { name: 'Test (20, ubuntu-latest)' }),
+      job(2, ['windows-latest'], 90),
+      job(3, ['ubuntu-latest'], 30, { run_id: 2 })
+    ], config);
+    assert.deepEqual(items.map(i => [i.workflow, i.cell, i.billableMinutes, i.month]),
+      [['CI', 'Test · 20 · ubuntu-latest', 1, '2026-02'], ['CI', null, 4, '2026-02']]);
+
+    const byOs = sumCosts(items, i => i.os);
+    assert.deepEqual(byOs.map(t => [t.key, t.jobs, t.minutes, t.billableMinutes]), [['windows', 1, 2, 4], ['linux', 1, 1, 1]]);
+  });
+});
+
+describe('forecastMonth', () => {
+  it('averages the last `days` days when the data goes back that far', () => {
+    const items = [item(40, 5), item(20, 3), item(10, 3)];
+    const f = forecastMonth(items, ASOF, 30);
+    assert.equal(f.month, '2026-02');
+    assert.equal(f.rateDays, 30);
+    assert.equal(f.dailyRate, 6 / 30);
+    assert.equal(f.toDate, 3);
+    // 14 days left in February 2026 after the 15th
+    assert.ok(Math.abs(f.forecast - (3 + (6 / 30) * 14)) < 1e-9);
+    assert.ok(Math.abs(f.forecastMinutes - (300 + (600 / 30) * 14)) < 1e-9);
+  });
+
+  it('averages over the days the items cover when that is less', () => {
+    const f = forecastMonth([item(4, 2), item(1, 2)], ASOF, 30);
+    assert.equal(f.rateDays, 4);
+    assert.equal(f.dailyRate, 1);
+    assert.ok(Math.abs(f.forecast - (4 + 14)) < 1e-9);
+  });
+
+  it('never averages over less than a day', () => {
+    const f = forecastMonth([item(0.1, 2)], ASOF, 30);
+    assert.equal(f.rateDays, 1);
+    assert.equal(f.dailyRate, 2);
+    assert.equal(forecastMonth([], ASOF).dailyRate, 0);
+  });
+});
+
+describe('costCoverage / formatCoverage', () => {
+  it('spans the oldest to the newest item', () => {
+    const coverage = costCoverage([item(10, 1), item(40, 1), item(0, 1)]);
+    assert.deepEqual(coverage, { from: ASOF - 40 * DAY_MS, to: ASOF });
+    assert.equal(formatCoverage(coverage), 'Jan 6 – Feb 15, 2026');
+    assert.equal(costCoverage([]), null);
+  });
+
+  it('names both years when the span crosses one', () => {
+    assert.equal(formatCoverage({ from: Date.parse('2025-12-20T23:00:00Z'), to: ASOF }), 'Dec 20, 2025 – Feb 15, 2026');
+  });
+});
+
+describe('formatCost', () => {
+  it('keeps a third decimal for amounts under one', () => {
+    assert.equal(formatCost(0.008), '$0.008');
+    assert.equal(formatCost(12.5), '$12.50');
+    assert.equal(formatCost(3, 'EUR'), '€3.00');
+  });
+});
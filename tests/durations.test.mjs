@@ -0,0 +1,80 @@
+// dashboard/core/durations.mjs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  criticalPath, durationTrend, elapsedMs, formatDurationMs, jobDurationMs, percentile, runDurationMs, slowestJobs
+} from '../dashboard/core/index.mjs';
+
+const at = (minutes, day = 2) => new Date(Date.UTC(2026, 1, day, 10, minutes)).toISOString();
+
+const job = (id, start, end, overrides = {}) => ({
+  id, name: `job ${id}`, status: 'completed', conclusion: 'success', started_at: at(start), completed_at: at(end), ...overrides
+});
+
+describe('run and job durations', () => {
+  it('measure completed work only', () => {
+    assert.equal(elapsedMs(at(0), at(2)), 120000);
+    assert.equal(elapsedMs(at(2), at(0)), null);
+    assert.equal(elapsedMs(null, at(0)), null);
+
+    assert.equal(runDurationMs({ status: 'completed', run_started_at: at(1), created_at: at(0), updated_at: at(5) }), 240000);
+    assert.equal(runDurationMs({ status: 'completed', created_at: at(0), updated_at: at(5) }), 300000);
+    assert.equal(runDurationMs({ status: 'in_progress', created_at: at(0), updated_at: at(5) }), null);
+
+    assert.equal(jobDurationMs(job(1, 0, 3)), 180000);
+    assert.equal(jobDurationMs(job(1, 0, 3, { conclusion: 'skipped' })), null);
+    assert.equal(jobDurationMs(job(1, 0, 3, { status: 'queued' })), null);
+  });
+
+  it('formatDurationMs', () => {
+    assert.equal(formatDurationMs(59999), '59s');
+    assert.equal(formatDurationMs(61000), '1m 1s');
+    assert.equal(formatDurationMs(3 * 3600000 + 5 * 60000), '3h 5m');
+  });
+
+  it('percentile is nearest-rank and skips nulls', () => {
+    assert.equal(percentile([], 50), null);
+    assert.equal(percentile([4, null, 1, 3, 2], 50), 2);
+    assert.equal(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 90), 9);
+    assert.equal(percentile([7], 90), 7);
+  });
+});
+
+describe('durationTrend', () => {
+  const run = (day, minutes) => ({ status: 'completed', created_at: at(0, day), updated_at: at(minutes, day) });
+
+  it('buckets by day while the runs span three weeks or less', () => {
+    const trend = durationTrend([run(2, 10), run(2, 20), run(3, 5), { status: 'in_progress', created_at: at(0, 3) }]);
+    assert.deepEqual(trend.map(t => [t.created_at, t.count, t.p50, t.p90]), [
+      ['2026-02-02T00:00:00.000Z', 2, 600000, 1200000],
+      ['2026-02-03T00:00:00.000Z', 1, 300000, 300000]
+    ]);
+    assert.equal(trend[0].label, 'Feb 2 · 2 runs');
+  });
+
+  it('buckets by week starting on Monday beyond that', () => {
+    // 2026-02-02 is a Monday
+    const trend = durationTrend([run(4, 10), run(8, 10), run(9, 10), run(28, 10)]);
+    assert.deepEqual(trend.map(t => [t.created_at.slice(0, 10), t.count]), [['2026-02-02', 2], ['2026-02-09', 1], ['2026-02-23', 1]]);
+    assert.equal(trend[0].label, 'Week of Feb 2 · 2 runs');
+  });
+});
+
+describe('slowestJobs / criticalPath', () => {
+  it('slowestJobs groups by name, slowest median first', () => {
+    const jobs = [
+      job(1, 0, 1, { name: 'lint' }), job(2, 0, 5, { name: 'test' }), job(3, 0, 9, { name: 'test' }),
+      job(4, 0, 7, { name: 'build' }), job(5, 0, 1, { name: 'lint', conclusion: 'skipped' })
+    ];
+    const slowest = slowestJobs(jobs);
+    assert.deepEqual(slowest.map(s => [s.name, s.count, s.p50 / 60000]), [['build', 1, 7], ['test', 2, 5], ['lint', 1, 1]]);
+    assert.equal(slowest[1].slowest.id, 3);
+  });
+
+  it('criticalPath follows the last job back through what finished before it started', () => {
+    const jobs = [job(1, 0, 2), job(2, 0, 4), job(3, 4, 9), job(4, 5, 6), job(5, 9, 12), job(6, 0, 1, { conclusion: 'skipped' })];
+    assert.deepEqual([...criticalPath(jobs)], [5, 3, 2]);
+    assert.deepEqual([...criticalPath([])], []);
+  });
+});
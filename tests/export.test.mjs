@@ -0,0 +1,49 @@
+// dashboard/export.js
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { reportMarkdown, toCSV } from '../dashboard/export.js';
+
+const cells = values => toCSV([{ label: 'v', value: v => v }], values).split('\r\n').slice(1, -1);
+
+describe('toCSV', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    assert.deepEqual(cells(['a,b', 'say "hi"', 'two\nlines']), ['"a,b"', '"say ""hi"""', '"two\nlines"']);
+  });
+
+  it('neutralises cells a spreadsheet would read as a formula', () => {
+    assert.deepEqual(cells(['=1+1', '+cmd', '-x', '@SUM(A1)', '\t=1', '\r=1']),
+      ["'=1+1", "'+cmd", "'-x", "'@SUM(A1)", "'\t=1", `"'\r=1"`]);
+  });
+
+  it('leaves signed numbers and empty values alone', () => {
+    assert.deepEqual(cells([-3, '+4.5', null, undefined, 0]), ['-3', '+4.5', '', '', '0']);
+  });
+});
+
+describe('reportMarkdown', () => {
+  const report = topFailingJobs => ({
+    title: 'All repos',
+    from: '2026-02-03T00:00:00Z',
+    to: '2026-02-10T00:00:00Z',
+    totals: { runs: 4, failed: 1, passRate: 75, previousPassRate: null },
+    streak: 2,
+    repos: [],
+    topFailingJobs
+  });
+
+  it('keeps a last-failure link target intact whatever the URL holds', () => {
+    const md = reportMarkdown(report([{
+      repo: 'r', job: 'ci / Test', failures: 1, runs: 4,
+      lastFailureUrl: 'https://example.test/a (b)/c\td) [x](javascript:alert(1))',
+      lastFailureAt: '2026-02-09T10:00:00Z'
+    }]));
+
+    const [, target] = /\]\(([^)]*)\)/.exec(md.split('\n').find(l => l.startsWith('| ci / Test')));
+    assert.equal(target, 'https://example.test/a%20%28b%29/c%09d%29%20[x]%28javascript:alert%281%29%29');
+  });
+
+  it('says so when no job failed', () => {
+    assert.match(reportMarkdown(report([])), /No job failed this week\./);
+  });
+});
@@ -0,0 +1,222 @@
+// scripts/generate-dashboard-data.mjs against a mocked REST API
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { generateDashboardData } from '../scripts/generate-dashboard-data.mjs';
+import { apiJob, apiRun, mockGitHub, tempDashboard } from './helpers/mock-github.mjs';
+
+const NOW = new Date('2026-02-10T12:00:00Z');
+const quiet = () => {};
+
+// Routes for one or more repos: runs[repo] is the listing, jobs[runId] the
+// run's jobs, annotations[jobId] its check-run annotations
+function routes({ runs = {}, jobs = {}, annotations = {}, etags = {}, fail = [] }) {
+  return (path, { headers }) => {
+    const [, , repo, ...rest] = path.split('/');
+    const tail = rest.join('/');
+    if (fail.includes(repo)) return { status: 500, body: { message: 'boom' } };
+    if (tail === 'actions/runs') {
+      if (etags[repo] && headers['If-None-Match'] === etags[repo]) return { status: 304 };
+      return { body: { workflow_runs: runs[repo] || [] }, headers: etags[repo] ? { etag: etags[repo] } : {} };
+    }
+    const jobsMatch = /^actions\/runs\/(\d+)\/jobs$/.exec(tail);
+    if (jobsMatch) return { body: { jobs: jobs[jobsMatch[1]] || [] } };
+    const annMatch = /^check-runs\/(\d+)\/annotations$/.exec(tail);
+    if (annMatch) return { body: annotations[annMatch[1]] || [] };
+    return undefined;
+  };
+}
+
+const testStats = total => [{ title: 'ci_test', message: `total=${total}|passed=${total}|failed=0` }];
+
+describe('generateDashboardData', () => {
+  let ws;
+  afterEach(() => ws?.cleanup());
+
+  const generate = (client, options = {}) =>
+    generateDashboardData({ manifestPath: ws.manifestPath, client, now: () => NOW, log: quiet, ...options });
+
+  it('writes the repo file, its history and the combined file', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const { client } = mockGitHub(routes({
+      runs: { r: [apiRun(1)] },
+      jobs: { 1: [apiJob(10, 1)] },
+      annotations: { 10: testStats(12) }
+    }));
+
+    const result = await generate(client);
+
+    assert.deepEqual(result, { updated: ['r'], unchanged: [], failed: [] });
+    const data = await ws.readData('r.json');
+    assert.deepEqual(data.runs.map(r => r.id), [1]);
+    assert.deepEqual(data.jobs.map(j => [j.id, j.run_id, j.head_branch]), [[10, 1, 'main']]);
+    assert.equal(data.ciStats.test.metrics.total.value, 12);
+    assert.deepEqual(Object.keys((await ws.readData('dashboard-data.json')).repos), ['r']);
+    assert.deepEqual((await ws.readData('r.history.json')).entries.map(e => e.run_id), [1]);
+  });
+
+  it('merges new runs by id and only fetches jobs for new or changed runs', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const listing = { r: [apiRun(1)] };
+    const jobs = { 1: [apiJob(10, 1)], 2: [apiJob(20, 2)] };
+    const { client, calls } = mockGitHub(routes({ runs: listing, jobs }));
+    await generate(client);
+
+    // Run 1 scrolls out of the listing window; it stays in the file
+    listing.r = [apiRun(2, { created_at: '2026-02-02T10:00:00Z' })];
+    calls.length = 0;
+    await generate(client);
+
+    const data = await ws.readData('r.json');
+    assert.deepEqual(data.runs.map(r => r.id), [2, 1]);
+    assert.deepEqual(data.jobs.map(j => j.id).sort(), [10, 20]);
+    assert.deepEqual(calls.filter(c => c.path.endsWith('/jobs')).map(c => c.path), ['repos/o/r/actions/runs/2/jobs']);
+  });
+
+  it('sends the stored ETag and leaves the files alone on 304', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const { client, calls } = mockGitHub(routes({
+      runs: { r: [apiRun(1)] },
+      jobs: { 1: [apiJob(10, 1)] },
+      etags: { r: '"v1"' }
+    }));
+    await generate(client);
+    assert.deepEqual(await ws.readData('etags.json'), { r: '"v1"' });
+    const before = await ws.readData('r.json');
+
+    calls.length = 0;
+    const result = await generate(client, { now: () => new Date('2026-02-11T12:00:00Z') });
+
+    assert.deepEqual(result, { updated: [], unchanged: ['r'], failed: [] });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].headers['If-None-Match'], '"v1"');
+    assert.deepEqual(await ws.readData('r.json'), before);
+  });
+
+  it('ignores the ETag while a stored run is still in flight', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const listing = { r: [apiRun(1, { status: 'in_progress', conclusion: null })] };
+    const { client, calls } = mockGitHub(routes({ runs: listing, jobs: { 1: [apiJob(10, 1)] }, etags: { r: '"v1"' } }));
+    await generate(client);
+
+    listing.r = [apiRun(1, { updated_at: '2026-02-01T10:05:00Z' })];
+    calls.length = 0;
+    const result = await generate(client);
+
+    assert.deepEqual(result.updated, ['r']);
+    assert.equal(calls[0].headers['If-None-Match'], undefined);
+    assert.equal((await ws.readData('r.json')).runs[0].status, 'completed');
+  });
+
+  it('drops runs and their jobs past the retention policy, keeping the newest maxRunsPerRepo', async () => {
+    const old = { ...apiRun(1, { created_at: '2025-10-01T10:00:00Z' }), head_commit_at: null, pull_requests: [] };
+    ws = await tempDashboard(
+      { owner: 'o', maxRunsPerRepo: 1, retention: { maxAgeDays: 30, maxRuns: 2 }, repos: [{ name: 'r' }] },
+      {
+        'r.json': {
+          generated_at: '2025-10-01T12:00:00Z',
+          runs: [old, { ...old, id: 2, created_at: '2026-02-05T10:00:00Z' }],
+          jobs: [{ ...apiJob(10, 1), head_branch: 'main' }],
+          ciStats: { lint: {}, test: {}, security: {} }
+        }
+      }
+    );
+    const { client } = mockGitHub(routes({
+      runs: { r: [apiRun(3, { created_at: '2026-02-09T10:00:00Z' })] },
+      jobs: { 3: [apiJob(30, 3)] }
+    }));
+
+    await generate(client);
+
+    const data = await ws.readData('r.json');
+    assert.deepEqual(data.runs.map(r => r.id), [3, 2]);
+    assert.deepEqual(data.jobs.map(j => j.id), [30]);
+  });
+
+  it('keeps the previous files of a repo that fails and still refreshes the others', async () => {
+    const previous = { generated_at: '2026-02-01T12:00:00Z', runs: [], jobs: [], ciStats: { lint: {}, test: {}, security: {} } };
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'a' }, { name: 'b' }] }, { 'b.json': previous });
+    const { client } = mockGitHub(routes({ runs: { a: [apiRun(1)] }, jobs: { 1: [apiJob(10, 1)] }, fail: ['b'] }));
+
+    const result = await generate(client);
+
+    assert.deepEqual(result.updated, ['a']);
+    assert.deepEqual(result.failed.map(f => f.repo), ['b']);
+    assert.match(result.failed[0].error, /HTTP 500/);
+    assert.deepEqual(await ws.readData('b.json'), previous);
+    const combined = await ws.readData('dashboard-data.json');
+    assert.deepEqual(Object.keys(combined.repos), ['a', 'b']);
+    assert.deepEqual(combined.repos.b, previous);
+  });
+
+  it('records a history entry for every CI run that refreshed in one pass', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const listing = { r: [apiRun(1)] };
+    const { client, calls } = mockGitHub(routes({
+      runs: listing,
+      jobs: { 1: [apiJob(10, 1)], 2: [apiJob(20, 2)], 3: [apiJob(30, 3)], 4: [apiJob(40, 4)] },
+      annotations: { 10: testStats(1), 20: testStats(2), 30: testStats(3) }
+    }));
+    await generate(client);
+
+    listing.r = [
+      apiRun(4, { created_at: '2026-02-04T10:00:00Z', name: 'Release' }),
+      apiRun(3, { created_at: '2026-02-03T10:00:00Z' }),
+      apiRun(2, { created_at: '2026-02-02T10:00:00Z', head_branch: 'feat/x' }),
+      ...listing.r
+    ];
+    calls.length = 0;
+    await generate(client);
+
+    const { entries } = await ws.readData('r.history.json');
+    assert.deepEqual(entries.map(e => [e.run_id, e.head_branch, e.test.metrics.total.value]),
+      [[1, 'main', 1], [2, 'feat/x', 2], [3, 'main', 3]]);
+    assert.equal((await ws.readData('r.json')).ciStats.test.metrics.total.value, 3);
+    // Run 1's jobs are unchanged; the release run has no stats
+    assert.deepEqual(calls.filter(c => c.path.endsWith('/annotations')).map(c => c.path).sort(),
+      ['repos/o/r/check-runs/20/annotations', 'repos/o/r/check-runs/30/annotations']);
+  });
+
+  it("tells CI runs and security jobs apart by the manifest's categories", async () => {
+    ws = await tempDashboard({
+      owner: 'o',
+      categories: [
+        { key: 'test', include: ['test'] },
+        { key: 'security', include: ['trivy'] },
+        { key: 'deploy', include: ['^deploy'], scope: 'runs' }
+      ],
+      repos: [{ name: 'r' }]
+    });
+    const { client, calls } = mockGitHub(routes({
+      runs: { r: [apiRun(2, { name: 'Deploy', created_at: '2026-02-02T10:00:00Z' }), apiRun(1)] },
+      jobs: { 1: [apiJob(10, 1), apiJob(11, 1, { name: 'ci / Trivy' })], 2: [apiJob(20, 2)] },
+      annotations: { 10: testStats(5) }
+    }));
+
+    await generate(client);
+
+    // The Deploy run's jobs are stored (they bill minutes), but only the CI run's are read for stats
+    const data = await ws.readData('r.json');
+    assert.deepEqual(data.jobs.map(j => j.id).sort(), [10, 11, 20]);
+    assert.deepEqual(calls.filter(c => c.path.endsWith('/annotations')).map(c => c.path).sort(),
+      ['repos/o/r/check-runs/10/annotations', 'repos/o/r/check-runs/11/annotations']);
+    assert.equal(data.ciStats.test.metrics.total.value, 5);
+    assert.deepEqual(Object.keys((await ws.readData('r.security.json')).branches), []);
+  });
+
+  it('refuses repos that are not in the manifest', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'r' }] });
+    const { client, calls } = mockGitHub();
+
+    await assert.rejects(generate(client, { repos: ['nope'] }), /Not listed in manifest\.json: nope/);
+    assert.equal(calls.length, 0);
+  });
+
+  it('stops before writing anything when the manifest is invalid', async () => {
+    ws = await tempDashboard({ owner: 'o', repos: [{ name: 'not a name' }] });
+    const { client, calls } = mockGitHub();
+
+    await assert.rejects(generate(client), /manifest/i);
+    assert.equal(calls.length, 0);
+  });
+});
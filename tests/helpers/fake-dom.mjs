@@ -0,0 +1,132 @@
+/* ═══════════════════════════════════════════════════════════
+   Test helpers — just enough of a browser to load a page
+   ══════════════════════════════════════════════════════════
+   loadPage('app.js', { files }) installs a fake document,
+   window, storage and fetch on globalThis, imports a fresh
+   copy of the page's entry module and fires DOMContentLoaded.
+   fetch (fakeFetch(), also usable on its own) answers from
+   `files` (path → JSON) and serves schemas/ from the real
+   dashboard/. Every string a renderer assigns to innerHTML is
+   kept in `writes`, so a test can look at all the markup a
+   page produced, including views it has since replaced.
+   ═══════════════════════════════════════════════════════════ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const DASHBOARD_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../dashboard');
+
+let loads = 0;
+
+class FakeElement {
+  constructor(page, tagName, id = '') {
+    this.page = page;
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.html = '';
+    this.textContent = '';
+    this.title = '';
+    this.value = '';
+    this.checked = false;
+    this.disabled = false;
+    this.hidden = false;
+    this.style = {};
+    this.dataset = {};
+    this.options = [];
+    this.attributes = {};
+    const classes = new Set();
+    this.classList = {
+      add: (...c) => c.forEach(x => classes.add(x)),
+      remove: (...c) => c.forEach(x => classes.delete(x)),
+      toggle: (c, on = !classes.has(c)) => (on ? classes.add(c) : classes.delete(c), on),
+      contains: c => classes.has(c)
+    };
+  }
+
+  get innerHTML() { return this.html; }
+  set innerHTML(value) {
+    this.html = String(value);
+    this.page.writes.push(this.html);
+  }
+
+  insertAdjacentHTML(position, html) {
+    this.page.writes.push(html);
+    this.html = position === 'afterbegin' ? html + this.html : this.html + html;
+  }
+
+  appendChild(child) { this.options.push(child); return child; }
+  prepend() {}
+  remove() {}
+  focus() {}
+  addEventListener() {}
+  removeEventListener() {}
+  setAttribute(name, value) { this.attributes[name] = String(value); }
+  getAttribute(name) { return this.attributes[name] ?? null; }
+  closest() { return null; }
+  querySelector(selector) { return new FakeElement(this.page, 'div', selector); }
+  querySelectorAll() { return []; }
+}
+
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+// A fetch that answers from `files` (path → JSON), serves schemas/ from the
+// real dashboard/ and 404s anything else
+export function fakeFetch(files = {}) {
+  return async url => {
+    const path = String(url).split('?')[0];
+    if (path in files) return new Response(JSON.stringify(files[path]), { status: 200 });
+    if (path.startsWith('schemas/')) return new Response(await readFile(join(DASHBOARD_DIR, path)), { status: 200 });
+    return new Response('Not Found', { status: 404 });
+  };
+}
+
+// Loads dashboard/<entry> as if it were opened at `<page>.html<search>`.
+// Returns { writes, elements, intervals }: intervals holds the callbacks
+// the page registered with setInterval, so a test can tick them.
+export async function loadPage(entry, { search = '', files = {}, setup } = {}) {
+  const page = { writes: [], elements: new Map(), intervals: [] };
+  const listeners = {};
+  const byId = id => {
+    if (!page.elements.has(id)) page.elements.set(id, new FakeElement(page, 'div', id));
+    return page.elements.get(id);
+  };
+
+  const G = globalThis;
+  G.document = {
+    title: '',
+    visibilityState: 'visible',
+    body: new FakeElement(page, 'body'),
+    head: new FakeElement(page, 'head'),
+    documentElement: new FakeElement(page, 'html'),
+    getElementById: byId,
+    querySelector: selector => new FakeElement(page, 'div', selector),
+    querySelectorAll: () => [],
+    createElement: tag => new FakeElement(page, tag),
+    addEventListener: (type, fn) => (listeners[type] ||= []).push(fn)
+  };
+  G.window = G;
+  G.location = { search, pathname: '/', href: `http://dashboard.test/${search}` };
+  G.history = { replaceState() {}, pushState() {} };
+  G.localStorage = fakeStorage();
+  G.sessionStorage = fakeStorage();
+  Object.defineProperty(G, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+  G.addEventListener = () => {};
+  G.Option = class { constructor(label, value) { this.label = label; this.value = value; } };
+  G.setInterval = fn => page.intervals.push(fn);
+  G.clearInterval = () => {};
+  G.fetch = fakeFetch(files);
+  setup?.(G);
+
+  // A query string per load gives each page a fresh module instance
+  await import(`${pathToFileURL(join(DASHBOARD_DIR, entry)).href}?load=${++loads}`);
+  for (const fn of listeners.DOMContentLoaded || []) await fn();
+  return page;
+}
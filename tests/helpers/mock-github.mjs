@@ -0,0 +1,100 @@
+/* ═══════════════════════════════════════════════════════════
+   Test helpers — a stand-in for the GitHub REST API
+   ══════════════════════════════════════════════════════════
+   mockGitHub(handler) returns a real createGitHubClient() whose
+   fetchImpl answers from `handler(path, request)`. A handler
+   that returns undefined falls through to empty listings for
+   the extras the generator asks for (artifacts, releases, …),
+   and 404 for anything else. Every request is kept in `calls`.
+   ═══════════════════════════════════════════════════════════ */
+
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createGitHubClient } from '../../scripts/lib/github-client.mjs';
+
+export const API_URL = 'https://api.test';
+
+const EMPTY_LISTINGS = [
+  [/\/artifacts$/, { artifacts: [] }],
+  [/\/check-runs\/\d+\/annotations$/, []],
+  [/\/(releases|tags|deployments|pulls)$/, []]
+];
+
+export function mockGitHub(handler = () => undefined) {
+  const calls = [];
+  const fetchImpl = async (url, { headers = {} } = {}) => {
+    const u = new URL(url);
+    const path = u.pathname.replace(/^\/+/, '');
+    const request = { headers, query: u.searchParams };
+    calls.push({ path, ...request });
+
+    const reply = await handler(path, request)
+      ?? EMPTY_LISTINGS.filter(([re]) => re.test(path)).map(([, body]) => ({ body }))[0]
+      ?? { status: 404, body: { message: 'Not Found' } };
+    const { status = 200, body = null, headers: replyHeaders = {} } = reply;
+    return new Response(status === 304 ? null : JSON.stringify(body), { status, headers: replyHeaders });
+  };
+
+  const client = createGitHubClient({ baseUrl: API_URL, fetchImpl, sleep: async () => {}, retryDelayMs: 0 });
+  return { client, calls, fetchImpl };
+}
+
+// A workflow run as the API returns it
+export function apiRun(id, overrides = {}) {
+  const created = overrides.created_at || '2026-02-01T10:00:00Z';
+  return {
+    id,
+    name: 'CI',
+    status: 'completed',
+    conclusion: 'success',
+    html_url: `https://github.com/o/r/actions/runs/${id}`,
+    created_at: created,
+    updated_at: created,
+    run_started_at: created,
+    head_branch: 'main',
+    head_sha: `sha${id}`,
+    event: 'push',
+    run_number: id,
+    run_attempt: 1,
+    actor: { login: 'dev', avatar_url: null },
+    ...overrides
+  };
+}
+
+// A job of `runId` as the API returns it; started at the run's time, 90s long
+export function apiJob(id, runId, overrides = {}) {
+  return {
+    id,
+    run_id: runId,
+    name: 'ci / Test',
+    status: 'completed',
+    conclusion: 'success',
+    html_url: `https://github.com/o/r/actions/runs/${runId}/job/${id}`,
+    started_at: '2026-02-01T10:00:00Z',
+    completed_at: '2026-02-01T10:01:30Z',
+    run_attempt: 1,
+    labels: ['ubuntu-latest'],
+    ...overrides
+  };
+}
+
+// A throwaway dashboard/ directory with manifest.json and data/
+export async function tempDashboard(manifest, dataFiles = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'dashboard-test-'));
+  const dataDir = join(dir, 'data');
+  await mkdir(dataDir);
+  const manifestPath = join(dir, 'manifest.json');
+  await writeFile(manifestPath, JSON.stringify(manifest));
+  for (const [name, content] of Object.entries(dataFiles)) {
+    await writeFile(join(dataDir, name), JSON.stringify(content));
+  }
+  return {
+    dir,
+    dataDir,
+    manifestPath,
+    readData: async name => JSON.parse(await readFile(join(dataDir, name), 'utf8')),
+    cleanup: () => rm(dir, { recursive: true, force: true })
+  };
+}
@@ -0,0 +1,49 @@
+// scripts/lib/junit.mjs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { decodeXml, parseJUnit } from '../scripts/lib/junit.mjs';
+
+describe('decodeXml', () => {
+  it('decodes named, decimal and hex entities and unwraps CDATA', () => {
+    assert.equal(decodeXml('a &lt; b &amp;&amp; &#67;&#x1F600; <![CDATA[<raw>]]>'), 'a < b && C😀 <raw>');
+  });
+
+  it('leaves entities that are not characters as written', () => {
+    assert.equal(decodeXml('&#99999999;|&#x110000;|&#xD800;|&#57343;'), '&#99999999;|&#x110000;|&#xD800;|&#57343;');
+    assert.equal(decodeXml('&constructor; &nbsp;'), '&constructor; &nbsp;');
+  });
+});
+
+describe('parseJUnit', () => {
+  it('reads passed, failed, errored and skipped test cases', () => {
+    const tests = parseJUnit(`
+      <testsuite>
+        <testcase classname="a.b" name="passes" time="0.5" file="a/b.py"/>
+        <testcase classname="a.b" name="fails" time="1.25">
+          <failure message="assert 1 == 2" type="AssertionError">Traceback &amp; more</failure>
+        </testcase>
+        <testcase name="errors"><error type="Boom"/></testcase>
+        <testcase name="skips" time="oops"><skipped/></testcase>
+      </testsuite>`);
+
+    assert.deepEqual(tests.map(t => [t.name, t.status, t.duration]),
+      [['passes', 'passed', 0.5], ['fails', 'failed', 1.25], ['errors', 'error', null], ['skips', 'skipped', null]]);
+    assert.deepEqual(tests[0], {
+      name: 'passes', classname: 'a.b', file: 'a/b.py', duration: 0.5,
+      status: 'passed', message: null, type: null, details: null
+    });
+    assert.equal(tests[1].message, 'assert 1 == 2');
+    assert.equal(tests[1].details, 'Traceback & more');
+    assert.equal(tests[2].message, 'error');
+  });
+
+  it('keeps every test of a report with an out-of-range character reference', () => {
+    const tests = parseJUnit(`
+      <testcase name="first &#99999999;"><failure message="bad &#x110000; char"/></testcase>
+      <testcase name="second"/>`);
+
+    assert.deepEqual(tests.map(t => [t.name, t.status]), [['first &#99999999;', 'failed'], ['second', 'passed']]);
+    assert.equal(tests[0].message, 'bad &#x110000; char');
+  });
+});
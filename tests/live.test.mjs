@@ -0,0 +1,79 @@
+// Live mode API URLs against the page's Content Security Policy
+// (dashboard/live.js liveApiUrlProblem)
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+
+import { connectSources, liveApiUrlProblem } from '../dashboard/live.js';
+import { DASHBOARD_DIR, loadPage } from './helpers/fake-dom.mjs';
+
+const PAGE = 'https://dashboard.example.com';
+
+async function indexPolicy() {
+  const html = await readFile(join(DASHBOARD_DIR, 'index.html'), 'utf8');
+  return /<meta http-equiv="Content-Security-Policy" content="([^"]+)"/.exec(html)[1];
+}
+
+describe('liveApiUrlProblem', () => {
+  it("allows the default API under index.html's policy", async () => {
+    const policy = await indexPolicy();
+    assert.equal(liveApiUrlProblem('https://api.github.com', policy, PAGE), null);
+    assert.equal(liveApiUrlProblem('https://api.github.com/', policy, PAGE), null);
+  });
+
+  it("refuses origins index.html's policy blocks", async () => {
+    const policy = await indexPolicy();
+    ['http://localhost:3000', 'https://github.example.com/api/v3', 'http://api.github.com', 'https://api.github.com:8443'].forEach(url => {
+      assert.match(liveApiUrlProblem(url, policy, PAGE), /blocked by the page's Content Security Policy; add it to connect-src/, url);
+    });
+  });
+
+  it('allows what an extended connect-src lists', () => {
+    const policy = "default-src 'self'; connect-src 'self' https://api.github.com http://localhost:3000 https://*.example.com";
+    ['http://localhost:3000', 'https://github.example.com/api/v3', `${PAGE}/api`].forEach(url => {
+      assert.equal(liveApiUrlProblem(url, policy, PAGE), null, url);
+    });
+    assert.ok(liveApiUrlProblem('http://localhost:4000', policy, PAGE));
+    assert.ok(liveApiUrlProblem('https://example.com', policy, PAGE));
+  });
+
+  it('matches schemes, ports and paths like the browser', () => {
+    assert.equal(liveApiUrlProblem('https://mock.test', 'connect-src http://mock.test', PAGE), null);
+    assert.equal(liveApiUrlProblem('https://mock.test:9000', 'connect-src https:', PAGE), null);
+    assert.equal(liveApiUrlProblem('http://mock.test:9000', 'connect-src mock.test:*', PAGE), null);
+    assert.equal(liveApiUrlProblem('https://ghe.test/api/v3', 'connect-src https://ghe.test/api/', PAGE), null);
+    assert.ok(liveApiUrlProblem('https://ghe.test/other', 'connect-src https://ghe.test/api/', PAGE));
+    assert.ok(liveApiUrlProblem('http://mock.test', 'connect-src https://mock.test', PAGE));
+  });
+
+  it('falls back on default-src and allows anything without a policy', () => {
+    assert.deepEqual(connectSources("default-src 'self'; img-src *"), ["'self'"]);
+    assert.equal(connectSources('img-src *'), null);
+    assert.ok(liveApiUrlProblem('https://api.github.com', "default-src 'self'", PAGE));
+    assert.equal(liveApiUrlProblem('http://localhost:3000', undefined, PAGE), null);
+  });
+
+  it('refuses what is not an http(s) URL', () => {
+    assert.equal(liveApiUrlProblem('api.github.com', undefined, PAGE), 'The API URL is not a valid URL');
+    assert.equal(liveApiUrlProblem('ftp://api.github.com', undefined, PAGE), 'The API URL must start with https:// or http://');
+  });
+});
+
+describe('live mode on index.html', () => {
+  it('turns off with the reason when the saved API URL is blocked', async () => {
+    const policy = await indexPolicy();
+    const page = await loadPage('app.js', {
+      files: { 'manifest.json': { owner: 'o', repos: [] } },
+      setup: G => {
+        G.location.origin = PAGE;
+        G.sessionStorage.setItem('dashboard_live_v1', JSON.stringify({ token: 't', apiUrl: 'http://localhost:3000' }));
+        const querySelector = G.document.querySelector;
+        G.document.querySelector = selector => (selector.includes('Content-Security-Policy') ? { content: policy } : querySelector(selector));
+      }
+    });
+    const status = page.elements.get('live-status');
+    assert.match(status.textContent, /^Live mode is off: http:\/\/localhost:3000 is blocked/);
+    assert.equal(globalThis.sessionStorage.getItem('dashboard_live_v1'), null);
+  });
+});
@@ -0,0 +1,71 @@
+// manifest.json checks on every page (dashboard/core/load.mjs loadManifest)
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { loadManifest, loadSchemaRegistry, resolveCategories } from '../dashboard/core/index.mjs';
+import { fakeFetch, loadPage } from './helpers/fake-dom.mjs';
+
+const T0 = '2026-02-09T10:00:00Z';
+
+// "categories" is not an array and the second repo has no usable name
+const BAD_MANIFEST = {
+  owner: 'o',
+  repos: [{ name: 'app', displayName: 'The App', categories: 'lint' }, { name: 'not a name' }]
+};
+
+const APP_DATA = {
+  generated_at: T0,
+  runs: [{
+    id: 1, name: 'CI', status: 'completed', conclusion: 'success', html_url: 'https://github.com/o/app/actions/runs/1',
+    created_at: T0, head_branch: 'main', head_sha: 'abc1234', event: 'push', run_number: 1
+  }],
+  jobs: [{
+    id: 10, run_id: 1, name: 'ci / Test', status: 'completed', conclusion: 'success',
+    html_url: 'https://github.com/o/app/actions/runs/1/job/10', started_at: T0, completed_at: T0
+  }],
+  ciStats: {}
+};
+
+const FILES = {
+  'manifest.json': BAD_MANIFEST,
+  'data/dashboard-data.json': { generated_at: T0, repos: { app: APP_DATA } },
+  'data/app.json': APP_DATA
+};
+
+describe('loadManifest', () => {
+  it('prunes what breaks the schema and reports it', async () => {
+    globalThis.fetch = fakeFetch(FILES);
+    const { manifest, problem } = await loadManifest(await loadSchemaRegistry());
+
+    assert.deepEqual(manifest.repos.map(r => r.name), ['app']);
+    assert.equal(manifest.repos[0].categories, undefined);
+    assert.ok(resolveCategories(manifest, manifest.repos[0]).length > 0);
+    assert.equal(problem.file, 'manifest.json');
+    assert.deepEqual(problem.skipped, { repo: 1 });
+    assert.ok(problem.problems.some(p => p.path.join('.') === 'repos.0.categories'));
+  });
+
+  it('leaves a valid manifest alone', async () => {
+    const valid = { owner: 'o', repos: [{ name: 'app' }] };
+    globalThis.fetch = fakeFetch({ 'manifest.json': valid });
+    assert.deepEqual(await loadManifest(await loadSchemaRegistry()), { manifest: valid, problem: null });
+  });
+});
+
+describe('every page checks the manifest', () => {
+  const pages = [
+    ['index.html', 'app.js', ''],
+    ['repo.html', 'repo-detail.js', '?repo=app'],
+    ['branches.html', 'branches.js', ''],
+    ['releases.html', 'releases.js', '']
+  ];
+  pages.forEach(([name, entry, search]) => {
+    it(`${name} shows the problems and still renders the valid repo`, async () => {
+      const page = await loadPage(entry, { search, files: FILES });
+      const markup = page.writes.join('\n');
+      assert.match(markup, /invalid fields? in <code>manifest\.json<\/code> — 1 repo skipped/);
+      assert.doesNotMatch(markup, /loading-detail">Error/);
+      assert.doesNotMatch(markup, /not a name/);
+    });
+  });
+});
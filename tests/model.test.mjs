@@ -0,0 +1,88 @@
+// dashboard/core/model.mjs: the repo model and flaky jobs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { analyseFlakiness, buildRepoModel, resolveCategories } from '../dashboard/core/index.mjs';
+import { apiJob, apiRun } from './helpers/mock-github.mjs';
+
+const at = hour => new Date(Date.UTC(2026, 1, 2, hour)).toISOString();
+
+const exec = (id, hour, conclusion, overrides = {}) => ({
+  id, name: 'Test', conclusion, status: 'completed', started_at: at(hour), head_sha: `sha${id}`, head_branch: 'main',
+  html_url: `https://github.com/o/r/actions/runs/1/job/${id}`, ...overrides
+});
+
+describe('analyseFlakiness', () => {
+  it('flags a job that flipped on a re-run of the same commit', () => {
+    const { jobs, observed, score } = analyseFlakiness([
+      exec(1, 1, 'failure', { head_sha: 'abcdef1234' }), exec(2, 2, 'success', { head_sha: 'abcdef1234' }),
+      exec(3, 1, 'success', { name: 'Lint' }), exec(4, 2, 'success', { name: 'Lint' })
+    ]);
+    assert.equal(observed, 2);
+    assert.equal(score, 50);
+    assert.deepEqual(jobs.map(j => [j.name, j.reasons, j.failures, j.executions]), [['Test', ['flipped on re-run of abcdef1'], 1, 2]]);
+    assert.equal(jobs[0].html_url, 'https://github.com/o/r/actions/runs/1/job/2');
+  });
+
+  it('flags alternation on one branch, but not a single fix', () => {
+    const alternating = analyseFlakiness([exec(1, 1, 'success'), exec(2, 2, 'failure'), exec(3, 3, 'success')]);
+    assert.deepEqual(alternating.jobs[0].reasons, ['alternated 2× on main']);
+
+    const fixed = analyseFlakiness([exec(1, 1, 'failure'), exec(2, 2, 'failure'), exec(3, 3, 'success')]);
+    assert.deepEqual(fixed.jobs, []);
+    assert.equal(fixed.score, 0);
+  });
+
+  it('only counts decided executions seen more than once', () => {
+    const { jobs, observed, score } = analyseFlakiness([exec(1, 1, 'success'), exec(2, 2, 'cancelled'), exec(3, 3, 'skipped')]);
+    assert.deepEqual([jobs, observed, score], [[], 0, null]);
+  });
+});
+
+describe('buildRepoModel', () => {
+  const categories = resolveCategories(null, null);
+  const run = (id, hour, overrides) => ({ ...apiRun(id, { created_at: at(hour), updated_at: at(hour), ...overrides }) });
+
+  it('ties jobs to their runs and picks the latest CI run', () => {
+    const model = buildRepoModel({
+      runs: [run(1, 1), run(3, 3, { name: 'Release', conclusion: 'failure' }), run(2, 2, { conclusion: 'failure' }), run(4, 4, { event: 'dynamic' })],
+      jobs: [apiJob(10, 1), apiJob(20, 2, { name: 'ci / Lint', conclusion: 'failure' }), apiJob(40, 4)],
+      ciStats: { test: { version: 2 } }
+    }, categories);
+
+    assert.deepEqual(model.runs.map(r => r.id), [3, 2, 1]);
+    assert.deepEqual(model.jobs.map(j => [j.id, j.head_sha]), [[10, 'sha1'], [20, 'sha2']]);
+    assert.equal(model.latestRun.id, 2);
+    assert.equal(model.conclusion, 'failure');
+    assert.deepEqual(model.ciStats, { test: { version: 2 } });
+    assert.deepEqual(Object.fromEntries(Object.entries(model.categories).map(([key, c]) => [key, c.conclusion])),
+      { lint: 'failure', test: 'success', security: 'unknown', release: 'failure' });
+  });
+
+  it("keeps a release run's jobs without categorising them", () => {
+    const model = buildRepoModel({
+      runs: [run(1, 1), run(2, 2, { name: 'Release' })],
+      jobs: [apiJob(10, 1), apiJob(20, 2, { name: 'Test build', conclusion: 'failure' }), apiJob(21, 2, { name: 'Test build' })]
+    }, categories);
+    assert.deepEqual(model.jobs.map(j => j.id), [10, 20, 21]);
+    assert.deepEqual(model.categories.test.items.map(i => i.id), [10]);
+    assert.deepEqual(model.categories.release.items.map(i => [i.type, i.id]), [['run', 2]]);
+    assert.equal(model.flakiness.observed, 0);
+  });
+
+  it('falls back on the CI runs themselves when there are no jobs', () => {
+    const model = buildRepoModel({ runs: [run(1, 1), run(2, 2, { name: 'Release' })], jobs: [] }, categories);
+    assert.deepEqual(model.categories.test.items.map(i => [i.type, i.id]), [['run', 1]]);
+    assert.deepEqual(model.ciStats, { lint: {}, test: {}, security: {} });
+  });
+
+  it('collapses the matrix legs of a run into its worst conclusion', () => {
+    const model = buildRepoModel({
+      runs: [run(1, 1)],
+      jobs: [apiJob(10, 1, { name: 'Test (20, ubuntu-latest)' }), apiJob(11, 1, { name: 'Test (22, ubuntu-latest)', conclusion: 'failure' })]
+    }, categories);
+    assert.equal(model.categories.test.history.length, 1);
+    assert.equal(model.categories.test.conclusion, 'failure');
+    assert.equal(model.categories.test.latest.legs.length, 2);
+  });
+});
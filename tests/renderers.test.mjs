@@ -0,0 +1,205 @@
+// Every page renderer and dashboard/html.js against hostile names from the
+// data and the manifest
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { conclusionClass } from '../dashboard/core/index.mjs';
+import { escapeHtml, isSafeUrl, safeUrl } from '../dashboard/html.js';
+import { buildWeeklyReport, reportHtml } from '../dashboard/export.js';
+import { loadPage } from './helpers/fake-dom.mjs';
+
+// Breaks out of element content, out of a quoted attribute, and into a link
+const TAG = '<img src=x onerror=alert(1)>';
+const ATTR = 'x" onmouseover="alert(1)';
+const URL_ = 'javascript:alert(1)';
+const NAME = `${ATTR} ${TAG}`;
+
+const T0 = '2026-02-09T10:00:00Z';
+const T1 = '2026-02-09T10:05:00Z';
+const SHA = 'abcdef1234567890';
+
+const run = (id, overrides = {}) => ({
+  id, name: NAME, status: 'completed', conclusion: ATTR, html_url: URL_,
+  created_at: T0, updated_at: T1, run_started_at: T0, head_branch: NAME, head_sha: SHA,
+  event: NAME, run_number: id, run_attempt: 1, actor: { login: NAME, avatar_url: URL_ },
+  ...overrides
+});
+
+const job = (id, runId, name) => ({
+  id, run_id: runId, name, status: 'completed', conclusion: ATTR, html_url: URL_,
+  started_at: T0, completed_at: T1, run_number: runId, run_attempt: 1,
+  labels: [NAME], head_branch: NAME, event: NAME, actor: { login: NAME, avatar_url: URL_ }
+});
+
+function hostileFiles() {
+  const repoData = {
+    generated_at: T1,
+    runs: [run(2), run(1, { conclusion: 'success', name: `Release ${NAME}` })],
+    jobs: [
+      job(20, 2, `ci / Lint ${NAME}`), job(21, 2, `ci / Test (${NAME})`),
+      job(22, 2, `ci / Security ${NAME}`), job(23, 2, NAME)
+    ],
+    ciStats: {
+      test: { version: 2, tool: NAME, metrics: { total: { value: 3 }, failed: { value: 1 }, coverage: { value: 70, unit: '%' } } },
+      security: { version: 2, tool: NAME, metrics: { critical: { value: 1 } }, breakdown: [{ tool: NAME, metrics: { findings: { value: 1 } } }] }
+    }
+  };
+  const ref = { run_id: 2, run_number: 2, run_attempt: 1, created_at: T0, html_url: URL_ };
+  // Numbers in the data files are only numbers if the generator wrote them
+  const badRef = { ...ref, run_number: TAG };
+  const deployment = {
+    id: 7, environment: NAME, ref: NAME, sha: SHA, version: NAME, created_at: T0,
+    state: ATTR, state_at: T1, creator: NAME, log_url: URL_, environment_url: URL_
+  };
+  return {
+    'manifest.json': {
+      owner: 'o',
+      title: NAME,
+      categories: [
+        { key: 'lint', label: NAME, icon: TAG, include: ['lint'], order: 10 },
+        { key: 'test', label: NAME, icon: TAG, include: ['test'], order: 20 },
+        { key: 'security', label: NAME, icon: TAG, include: ['security'], order: 30 },
+        { key: 'release', label: NAME, icon: TAG, include: ['release'], order: 40, scope: 'runs' }
+      ],
+      repos: [{ name: 'app', displayName: NAME, description: NAME, language: NAME, icon: TAG }],
+      alerts: { rules: [{ id: 'main', label: NAME, type: 'branch', branch: NAME }] },
+      wallboard: { views: ['summary', 'repos', 'failing', 'insights'] },
+      billing: { ratePerMinute: 0.008, currency: 'USD' }
+    },
+    'data/dashboard-data.json': { generated_at: T1, repos: { app: repoData } },
+    'data/app.json': repoData,
+    'data/app.history.json': {
+      entries: [1, 2].map(id => ({ ...repoData.ciStats, run_id: id, run_number: id, created_at: T0, head_branch: NAME, head_sha: SHA, conclusion: ATTR }))
+    },
+    'data/app.tests.json': {
+      generated_at: T1,
+      branches: {
+        [NAME]: {
+          last_run: badRef,
+          totals: { tests: TAG, passed: 2, failed: TAG, errors: 0, skipped: TAG },
+          failing: {
+            [NAME]: {
+              suite: NAME, name: NAME, classname: NAME, file: NAME, duration: TAG, status: 'failed',
+              message: NAME, type: NAME, details: NAME, failing_runs: TAG, first_failed: badRef, last_failed: ref
+            }
+          }
+        }
+      }
+    },
+    'data/app.security.json': {
+      generated_at: T1,
+      allowlist: { path: NAME, entries: [{ id: NAME, package: NAME, reason: NAME, expires: '2099-01-01' }] },
+      branches: {
+        [NAME]: {
+          last_run: badRef, previous_run: badRef, sources: ['sast', 'deps', 'vuln'],
+          findings: [{
+            key: NAME, tool: NAME, kind: 'deps', rule: NAME, aliases: [NAME], title: NAME, severity: 'high',
+            package: NAME, version: NAME, fix: NAME, file: NAME, line: 1, url: URL_, first_seen: ref, new: true, allowlisted: false
+          }, {
+            key: 's', tool: NAME, kind: 'sast', rule: NAME, title: NAME, severity: 'medium',
+            file: NAME, line: TAG, url: URL_, first_seen: badRef, new: false, allowlisted: false
+          }],
+          fixed: [{ key: 'f', tool: NAME, kind: 'sast', rule: NAME, title: NAME, severity: 'low', file: NAME, url: URL_, first_seen: badRef, fixed_in: ref }],
+          counts: { sast: 0, deps: 1, critical: 0, high: 1, medium: 0, low: 0, accepted: 0 }
+        }
+      }
+    },
+    'data/app.commits.json': {
+      generated_at: T1,
+      shas: { [SHA]: { branch: NAME, base_sha: null, status: 'ok', total_commits: 1, truncated: false, commits: [{ sha: SHA, message: NAME, author: NAME, date: T0, html_url: URL_ }] } }
+    },
+    'data/app.pulls.json': {
+      generated_at: T1,
+      pulls: [{ number: 5, title: NAME, state: 'open', draft: false, merged_at: null, author: NAME, head_ref: NAME, head_sha: SHA, head_repo: NAME, base_ref: 'main', html_url: URL_, created_at: T0, updated_at: T1, closed_at: null }]
+    },
+    'data/app.releases.json': {
+      generated_at: T1,
+      releases: [{ tag: NAME, version: NAME, name: NAME, published_at: T0, prerelease: false, html_url: URL_, notes: NAME }],
+      deployments: [deployment],
+      environments: { [NAME]: { current: deployment, latest: deployment } }
+    }
+  };
+}
+
+// The markup rendered the hostile names, and only ever as text
+function assertEscaped(markup) {
+  assert.match(markup, /&lt;img src=x onerror=alert\(1\)&gt;/, 'the hostile names were rendered');
+  [/<img src=x/i, /" onmouseover=/, /javascript:/i].forEach(re => {
+    const at = markup.search(re);
+    assert.equal(at, -1, `${re} in …${markup.slice(Math.max(0, at - 120), at + 40)}…`);
+  });
+}
+
+describe('page renderers escape data and manifest values', () => {
+  it('index.html: summary, repo cards, timeline, DORA, cost and insights', async () => {
+    const page = await loadPage('app.js', { files: hostileFiles() });
+    assert.ok(page.elements.get('repo-cards')?.innerHTML.includes('repo-card '), 'repo cards were rendered');
+    assert.match(page.elements.get('cost-coverage')?.textContent, /: Feb 9 – Feb 9, 2026\./, 'the cost section says what it covers');
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('index.html: every wallboard view', async () => {
+    const page = await loadPage('app.js', { search: '?mode=wallboard', files: hostileFiles() });
+    // The first interval rotates the wallboard; tick through every view
+    for (let i = 0; i < 4; i++) page.intervals.forEach(fn => fn());
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('repo.html: detail, tests, findings and trends', async () => {
+    const page = await loadPage('repo-detail.js', { search: '?repo=app', files: hostileFiles() });
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('repo.html: run comparison', async () => {
+    const page = await loadPage('repo-detail.js', { search: '?repo=app&compare=1,2', files: hostileFiles() });
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('branches.html', async () => {
+    const page = await loadPage('branches.js', { files: hostileFiles() });
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('releases.html', async () => {
+    const page = await loadPage('releases.js', { files: hostileFiles() });
+    assertEscaped(page.writes.join('\n'));
+  });
+
+  it('the weekly report', () => {
+    const { runs, jobs } = hostileFiles()['data/app.json'];
+    const failed = { conclusion: 'failure' };
+    const report = buildWeeklyReport({
+      title: NAME,
+      entries: [{ repo: { name: 'app', displayName: NAME }, runs: runs.map(r => ({ ...r, ...failed })), jobs: jobs.map(j => ({ ...j, ...failed })), history: [] }],
+      to: new Date(T1)
+    });
+    assertEscaped(reportHtml(report));
+  });
+});
+
+describe('html.js', () => {
+  it('escapeHtml escapes markup and both quote styles', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(42), '42');
+  });
+
+  it('isSafeUrl accepts http(s) and relative URLs only', () => {
+    ['https://github.com/o/r', 'http://localhost:3000', 'repo.html?repo=a', '/data/x.json', '#top'].forEach(url => assert.ok(isSafeUrl(url), url));
+    ['javascript:alert(1)', 'JavaScript:alert(1)', 'java\tscript:alert(1)', ' javascript:alert(1)', '\u0000javascript:x',
+      'data:text/html,<b>', 'vbscript:msgbox', '', null, undefined].forEach(url => assert.ok(!isSafeUrl(url), String(url)));
+  });
+
+  it('safeUrl escapes what it keeps and falls back on the rest', () => {
+    assert.equal(safeUrl('https://x.test/?a=1&b="2"'), 'https://x.test/?a=1&amp;b=&quot;2&quot;');
+    assert.equal(safeUrl('java\nscript:alert(1)'), '#');
+    assert.equal(safeUrl('data:image/png;base64,AA', ''), '');
+  });
+});
+
+describe('core/format.mjs', () => {
+  it('conclusionClass keeps the states the stylesheet knows', () => {
+    ['success', 'failure', 'cancelled', 'skipped', 'in_progress'].forEach(c => assert.equal(conclusionClass(c), c));
+    ['timed_out', ATTR, null, undefined, '__proto__'].forEach(c => assert.equal(conclusionClass(c), 'unknown'));
+  });
+});
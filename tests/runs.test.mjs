@@ -0,0 +1,91 @@
+// dashboard/core/runs.mjs and the category matching it relies on
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  ciRuns, classifyName, classifyRun, isTrackedRun, latestAttemptJobs, normalizeJob, normalizeRun,
+  resolveCategories, toJob, toRun
+} from '../dashboard/core/index.mjs';
+import { apiJob, apiRun } from './helpers/mock-github.mjs';
+
+describe('toRun / toJob', () => {
+  it('keep the stored fields of an API run and its jobs', () => {
+    const run = toRun(apiRun(1, { pull_requests: [{ number: 7 }], head_commit: { timestamp: '2026-02-01T09:59:00Z' } }));
+    assert.equal(run.name, 'CI');
+    assert.deepEqual(run.pull_requests, [7]);
+    assert.equal(run.head_commit_at, '2026-02-01T09:59:00Z');
+    assert.deepEqual(run.actor, { login: 'dev', avatar_url: null });
+    assert.equal('head_commit' in run, false);
+
+    const job = toJob(apiJob(10, 1, { labels: undefined, run_attempt: undefined }), run);
+    assert.deepEqual([job.run_id, job.run_number, job.run_attempt, job.head_branch, job.event], [1, 1, 1, 'main', 'push']);
+    assert.deepEqual(job.labels, []);
+  });
+
+  it('name a run that failed before starting after its workflow', () => {
+    assert.equal(toRun({ id: 2, workflow_name: 'release.yml' }).name, 'release.yml');
+    assert.equal(toRun({ id: 2 }).name, 'unknown');
+  });
+});
+
+describe('isTrackedRun', () => {
+  it('leaves out Copilot sessions and dynamic runs', () => {
+    assert.ok(isTrackedRun(apiRun(1)));
+    assert.ok(!isTrackedRun(apiRun(1, { name: 'Copilot coding agent' })));
+    assert.ok(!isTrackedRun(apiRun(1, { event: 'dynamic' })));
+  });
+});
+
+describe('normalizeRun / normalizeJob', () => {
+  it('fill in display defaults and keep null branches', () => {
+    const run = normalizeRun({ id: 1, name: 'CI', status: 'completed', conclusion: null, created_at: '2026-02-01T10:00:00Z', head_branch: null });
+    assert.deepEqual([run.status, run.conclusion, run.run_attempt, run.run_started_at, run.head_branch],
+      ['completed', 'unknown', 1, '2026-02-01T10:00:00Z', null]);
+    assert.equal(normalizeRun({ id: 2, status: 'in_progress', conclusion: null }).conclusion, 'in_progress');
+
+    const job = normalizeJob({ id: 10, run_id: 1, name: '' }, { ...run, run_number: 4, head_sha: 'abc' });
+    assert.deepEqual([job.name, job.conclusion, job.run_number, job.head_sha], ['unknown', 'unknown', 4, 'abc']);
+  });
+});
+
+describe('ciRuns / latestAttemptJobs', () => {
+  const categories = resolveCategories(null, null);
+
+  it('ciRuns drops the runs a run-scoped category claims', () => {
+    const runs = [apiRun(1, { name: 'Release' }), apiRun(2), apiRun(3, { name: 'Nightly release build' })];
+    assert.deepEqual(ciRuns(runs, categories).map(r => r.id), [2]);
+  });
+
+  it('latestAttemptJobs keeps the newest attempt of the run only', () => {
+    const jobs = [apiJob(10, 1), apiJob(11, 1, { run_attempt: 2 }), apiJob(12, 1, { run_attempt: 2 }), apiJob(20, 2)];
+    assert.deepEqual(latestAttemptJobs(jobs, { id: 1 }).map(j => j.id), [11, 12]);
+    assert.deepEqual(latestAttemptJobs(null, { id: 1 }), []);
+  });
+});
+
+describe('categories', () => {
+  const manifest = {
+    categories: [
+      { key: 'lint', include: ['lint'], order: 10 },
+      { key: 'test', include: ['test'], exclude: ['e2e'], order: 20 },
+      { key: 'deploy', include: ['^deploy'], scope: 'runs', order: 30 }
+    ],
+    repos: [{ name: 'app', categories: [{ key: 'lint', enabled: false }, { key: 'e2e', include: ['e2e'], order: 5 }] }]
+  };
+
+  it('merge repo categories over the top-level ones by key', () => {
+    const categories = resolveCategories(manifest, manifest.repos[0]);
+    assert.deepEqual(categories.map(c => [c.key, c.scope]), [['e2e', 'jobs'], ['test', 'jobs'], ['deploy', 'runs']]);
+    assert.equal(classifyName('ci / Test e2e', categories), 'e2e');
+    assert.equal(classifyName('ci / Lint', categories), null);
+  });
+
+  it('classify job names and run names by their own scope', () => {
+    const categories = resolveCategories(manifest, { name: 'other' });
+    assert.equal(classifyName('ci / Test', categories), 'test');
+    assert.equal(classifyName('ci / Test e2e', categories), null);
+    assert.equal(classifyName('Deploy', categories), null);
+    assert.equal(classifyRun({ name: 'Deploy prod' }, categories)?.key, 'deploy');
+    assert.equal(classifyRun({ name: 'CI' }, categories), null);
+  });
+});
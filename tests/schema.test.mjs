@@ -0,0 +1,94 @@
+// dashboard/core/schema.mjs against the schemas in dashboard/schemas/
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import {
+  describeSchemaProblem, formatSchemaPath, loadSchemaRegistry, pruneToSchema, SCHEMA_FILES, usableRepoData, validateSchema
+} from '../dashboard/core/index.mjs';
+import { fakeFetch } from './helpers/fake-dom.mjs';
+
+const T0 = '2026-02-09T10:00:00Z';
+const run = (id, overrides = {}) => ({
+  id, name: 'CI', status: 'completed', conclusion: 'success', html_url: null, created_at: T0,
+  head_branch: 'main', head_sha: 'abc', event: 'push', run_number: id, ...overrides
+});
+const job = (id, overrides = {}) => ({
+  id, run_id: 1, name: 'Test', status: 'completed', conclusion: 'success', html_url: null, started_at: T0, completed_at: T0, ...overrides
+});
+
+describe('validateSchema', () => {
+  let registry, repoData;
+  before(async () => {
+    globalThis.fetch = fakeFetch();
+    registry = await loadSchemaRegistry();
+    repoData = registry[SCHEMA_FILES.repoData];
+  });
+
+  it('loads every schema by $id', () => {
+    assert.deepEqual(Object.keys(registry).sort(), Object.values(SCHEMA_FILES).sort());
+  });
+
+  it('accepts what the generator writes', () => {
+    const data = { schema_version: 1, generated_at: T0, runs: [run(1)], jobs: [job(10)], ciStats: {} };
+    assert.deepEqual(validateSchema(repoData, data, registry), []);
+  });
+
+  it('reports each problem with its path', () => {
+    const data = { generated_at: 'yesterday', runs: [run(1), run(2, { head_branch: 42, created_at: undefined })], jobs: 'none', ciStats: {} };
+    delete data.runs[1].created_at;
+    assert.deepEqual(validateSchema(repoData, data, registry).map(describeSchemaProblem), [
+      'generated_at must be an ISO 8601 timestamp',
+      'runs[1].created_at is missing',
+      'runs[1].head_branch must be string or null, got 42',
+      'jobs must be array, got "none"'
+    ]);
+  });
+
+  it('supports enum, const, minimum, minLength, pattern and additionalProperties', () => {
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        kind: { enum: ['a', 'b'] }, v: { const: 1 }, n: { type: 'integer', minimum: 1 },
+        s: { type: 'string', minLength: 1, pattern: '^[a-z]+$' }
+      }
+    };
+    const problems = validateSchema(schema, { kind: 'c', v: 2, n: 0, s: '', extra: true });
+    assert.deepEqual(problems.map(describeSchemaProblem), [
+      'kind must be one of "a", "b"', 'v must be 1', 'n must be at least 1', 's must not be empty', 's must match ^[a-z]+$', 'extra is not allowed'
+    ]);
+  });
+
+  it('formatSchemaPath', () => {
+    assert.equal(formatSchemaPath([]), '(root)');
+    assert.equal(formatSchemaPath(['repos', 'my repo', 'runs', 3]), 'repos["my repo"].runs[3]');
+  });
+});
+
+describe('pruneToSchema / usableRepoData', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, label: { type: 'string' } } } }
+    }
+  };
+
+  it('pruneToSchema drops invalid fields, and the entries they leave incomplete', () => {
+    const { value, problems } = pruneToSchema(schema, { items: [{ id: 1, label: 2 }, { id: 'x' }, { id: 3 }] });
+    assert.deepEqual(value, { items: [{ id: 1 }, { id: 3 }] });
+    assert.equal(problems.length, 2);
+  });
+
+  it('usableRepoData keeps the valid runs, jobs and stat blocks and counts the rest', () => {
+    const data = { runs: [run(1), run(2)], jobs: [job(10), job(11)], ciStats: { test: {}, lint: 'x' } };
+    const problems = [
+      { path: ['runs', 1, 'created_at'], message: 'is missing' },
+      { path: ['ciStats', 'lint'], message: 'must be object' }
+    ];
+    const usable = usableRepoData(data, problems);
+    assert.deepEqual(usable.runs.map(r => r.id), [1]);
+    assert.equal(usable.jobs.length, 2);
+    assert.deepEqual(usable.ciStats, { test: {} });
+    assert.deepEqual(usable.skipped, { run: 1, job: 0, 'stat block': 1 });
+  });
+});
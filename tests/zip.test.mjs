@@ -0,0 +1,68 @@
+// scripts/lib/zip.mjs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { deflateRawSync } from 'node:zlib';
+
+import { readZipEntries } from '../scripts/lib/zip.mjs';
+
+// A one-pass ZIP writer: [{ name, data, method?, declaredSize? }] → Buffer
+function zip(files) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data, method = 8, declaredSize = data.length }) => {
+    const body = method === 8 ? deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  });
+  const dir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+describe('readZipEntries', () => {
+  it('reads stored and deflated entries that pass the filter', () => {
+    const archive = zip([
+      { name: 'junit.xml', data: Buffer.from('<testsuite/>') },
+      { name: 'notes.txt', data: Buffer.from('skip me'), method: 0 },
+      { name: 'raw.xml', data: Buffer.from('<raw/>'), method: 0 }
+    ]);
+    const entries = readZipEntries(archive, name => name.endsWith('.xml'));
+    assert.deepEqual(entries.map(e => [e.name, e.data.toString()]), [['junit.xml', '<testsuite/>'], ['raw.xml', '<raw/>']]);
+  });
+
+  it('refuses an entry that declares more than maxBytes', () => {
+    const archive = zip([{ name: 'big.xml', data: Buffer.alloc(2048) }]);
+    assert.throws(() => readZipEntries(archive, () => true, { maxBytes: 1024 }), /big\.xml is larger than 1024 bytes/);
+  });
+
+  it('stops inflating at maxBytes when the declared size lies', () => {
+    // 4 MB of zeros deflates to a few KB and claims to be 10 bytes
+    const archive = zip([{ name: 'bomb.xml', data: Buffer.alloc(4 * 1024 * 1024), declaredSize: 10 }]);
+    assert.ok(archive.length < 16 * 1024);
+    assert.throws(() => readZipEntries(archive, () => true, { maxBytes: 64 * 1024 }), /bomb\.xml is larger than 65536 bytes/);
+  });
+
+  it('rejects data that is not a ZIP archive', () => {
+    assert.throws(() => readZipEntries(Buffer.from('definitely not a zip file, just some text')), /Not a ZIP archive/);
+  });
+});